@@ -0,0 +1,229 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Support for analytics.js Enhanced Ecommerce commands, i.e.
+ * ga('ec:addProduct', ...), ga('ec:setAction', ...) and so on. The ec plugin
+ * takes the same fields as the UA ecommerce data layer, so a sequence of
+ * commands is analyzed as the equivalent data layer ecommerce object.
+ */
+import codeGen from "./code_gen.js";
+import objectLiteral from "./object_literal.js";
+
+/** @const {string} Name of the analytics.js command queue function. */
+const COMMAND_FUNCTION = "ga";
+
+/**
+ * @const {!RegExp} Regex for a command name, optionally prefixed with a
+ * tracker name. Capturing group 1 is the command without the tracker name.
+ */
+const COMMAND_REGEX = /^(?:[\w-]+\.)?(\S+)$/;
+
+/** @const {!Array<string>} Commands of the ec plugin. */
+const EC_COMMANDS = [
+  "ec:addProduct",
+  "ec:addImpression",
+  "ec:addPromo",
+  "ec:setAction",
+];
+
+/**
+ * @const {!Object<string, string>} Map of ec:setAction actions to the UA
+ * ecommerce data layer actions, for those that are named differently.
+ */
+const DATA_LAYER_ACTIONS = {
+  promo_click: "promoClick",
+};
+
+/**
+ * @param {string} text ga() commands, e.g. copied from a page.
+ * @return {!Array<!Array<*>>} The arguments of each command.
+ * @throws {!objectLiteral.ParseError} If the text isn't a sequence of ga()
+ *     commands with literal arguments.
+ */
+function parseCommands(text) {
+  return objectLiteral.parseCalls(text, COMMAND_FUNCTION);
+}
+
+/**
+ * @param {!Array<*>} command The arguments of a ga() command.
+ * @return {string} The command name without the tracker name, e.g.
+ *     "ec:addProduct" for ga('myTracker.ec:addProduct', ...).
+ */
+function commandName(command) {
+  const match = COMMAND_REGEX.exec(
+    typeof command[0] === "string" ? command[0] : ""
+  );
+  return match ? match[1] : "";
+}
+
+/**
+ * @param {!Array<*>} command The arguments of a ga() command.
+ * @return {boolean} Whether the command is a command of the ec plugin.
+ */
+function isEcCommand(command) {
+  return commandName(command).startsWith("ec:");
+}
+
+/**
+ * @param {!Array<*>} command
+ * @param {number} index The index of the fields object in the arguments.
+ * @return {!Object<string, *>} The fields object of the command, or an empty
+ *     object if it has none.
+ */
+function fieldsOf(command, index) {
+  const fields = command[index];
+  return fields && typeof fields === "object" && !Array.isArray(fields)
+    ? fields
+    : {};
+}
+
+/**
+ * Builds the UA ecommerce data layer object equivalent to a sequence of ga()
+ * commands. Products, impressions and promotions are attached to the action
+ * set with ec:setAction; promotions without a promo_click action are
+ * promotion views.
+ *
+ * @param {!Array<!Array<*>>} commands As returned by parseCommands.
+ * @param {!Object<string, string>=} sources Filled in with the path in the
+ *     commands that each part of the ecommerce object comes from, e.g.
+ *     "purchase.products[0]" comes from "$[2][1]", for commandPath.
+ * @return {!Object<string, *>} The ecommerce object.
+ */
+function toEcommerce(commands, sources = {}) {
+  const ecommerce = {};
+  const products = [];
+  const impressions = [];
+  const promotions = [];
+  let action;
+  let actionField;
+  let actionIndex;
+  commands.forEach((command, index) => {
+    const fieldsPath = `$[${index}][1]`;
+    switch (commandName(command)) {
+      case "set":
+        if (command[1] === "currencyCode") {
+          ecommerce["currencyCode"] = command[2];
+          sources["currencyCode"] = `$[${index}][2]`;
+        } else if (fieldsOf(command, 1)["currencyCode"] !== undefined) {
+          ecommerce["currencyCode"] = fieldsOf(command, 1)["currencyCode"];
+          sources["currencyCode"] = `${fieldsPath}.currencyCode`;
+        }
+        break;
+      case "ec:addProduct":
+        products.push({ fields: fieldsOf(command, 1), source: fieldsPath });
+        break;
+      case "ec:addImpression":
+        impressions.push({ fields: fieldsOf(command, 1), source: fieldsPath });
+        break;
+      case "ec:addPromo":
+        promotions.push({ fields: fieldsOf(command, 1), source: fieldsPath });
+        break;
+      case "ec:setAction":
+        action = command[1];
+        actionField = command[2];
+        actionIndex = index;
+        break;
+    }
+  });
+  const listAt = (path, list) =>
+    list.map((entry, index) => {
+      sources[`${path}[${index}]`] = entry.source;
+      return entry.fields;
+    });
+
+  if (impressions.length) {
+    ecommerce["impressions"] = listAt("impressions", impressions);
+  }
+  if (typeof action === "string" && action) {
+    const actionObject = {};
+    const dataLayerAction = DATA_LAYER_ACTIONS[action] || action;
+    sources[dataLayerAction] = `$[${actionIndex}]`;
+    if (actionField && typeof actionField === "object") {
+      actionObject["actionField"] = actionField;
+      sources[`${dataLayerAction}.actionField`] = `$[${actionIndex}][2]`;
+    }
+    if (products.length) {
+      actionObject["products"] = listAt(
+        `${dataLayerAction}.products`,
+        products
+      );
+    }
+    if (dataLayerAction === "promoClick") {
+      actionObject["promotions"] = listAt("promoClick.promotions", promotions);
+    }
+    ecommerce[dataLayerAction] = actionObject;
+  }
+  if (promotions.length && !ecommerce["promoClick"]) {
+    ecommerce["promoView"] = {
+      promotions: listAt("promoView.promotions", promotions),
+    };
+  }
+  return ecommerce;
+}
+
+/**
+ * @param {!Object<string, string>} sources As filled in by toEcommerce.
+ * @param {string} path The path of a field of the ecommerce object, e.g.
+ *     "$.ecommerce.purchase.products[0].price".
+ * @return {string} The path of the same field in the commands, e.g.
+ *     "$[2][1].price", or the path of the ec:setAction command for fields of
+ *     the action that no command sets, or "$" if the field doesn't come from
+ *     any command.
+ */
+function commandPath(sources, path) {
+  const relative = path.replace(/^\$\.ecommerce\.?/, "");
+  const key = Object.keys(sources)
+    .filter(
+      (source) =>
+        relative === source ||
+        relative.startsWith(`${source}.`) ||
+        relative.startsWith(`${source}[`)
+    )
+    .sort((a, b) => b.length - a.length)[0];
+  if (key === undefined) {
+    return "$";
+  }
+  // Whole commands, i.e. the ec:setAction command of the action, have no
+  // fields to point into.
+  const source = sources[key];
+  return /^\$\[\d+\]$/.test(source)
+    ? source
+    : source + relative.slice(key.length);
+}
+
+/**
+ * @param {!Array<!Array<*>>} commands
+ * @return {string} The commands as ga() calls, one per line.
+ */
+function formatCommands(commands) {
+  return commands
+    .map(
+      (command) =>
+        `${COMMAND_FUNCTION}(${command
+          .map((arg) => codeGen.serialize(arg))
+          .join(", ")});`
+    )
+    .join("\n");
+}
+
+export default {
+  EC_COMMANDS,
+  parseCommands,
+  commandName,
+  isEcCommand,
+  toEcommerce,
+  commandPath,
+  formatCommands,
+};
@@ -0,0 +1,187 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Suggests and applies fixes for items that mix UA and GA4
+ * fields, e.g. a GA4 event whose items were partly copied from UA code. Each
+ * fix renames a UA item field to its GA4 equivalent, and UA promotions are
+ * moved to the items, so applying all of them gives a clean GA4 event.
+ */
+import categoryPath from "./category_path.js";
+import schemaId from "./schema_id.js";
+
+/**
+ * @typedef {{
+ *   path: string,
+ *   description: string,
+ * }}
+ */
+let Fix;
+
+/** @const {!Object<string, string>} Map of UA item fields to GA4 fields. */
+const RENAMED_FIELDS = {
+  id: "item_id",
+  name: "item_name",
+  brand: "item_brand",
+  variant: "item_variant",
+  list_name: "item_list_name",
+  list_position: "index",
+};
+
+/**
+ * @const {!Object<string, string>} Map of UA promotion fields to GA4 fields.
+ */
+const RENAMED_PROMOTION_FIELDS = {
+  id: "promotion_id",
+  name: "promotion_name",
+  creative: "creative_name",
+  position: "creative_slot",
+};
+
+/**
+ * @param {*} item
+ * @param {string} path Path of the item, for the fix descriptions.
+ * @param {!Object<string, string>} renamedFields Map of UA fields to GA4
+ *     fields for this kind of item.
+ * @return {{item: *, fixes: !Array<!Fix>}} A fixed copy of the item, and the
+ *     fixes made. UA fields whose GA4 equivalent is already set are removed.
+ */
+function fixItem(item, path, renamedFields) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return { item, fixes: [] };
+  }
+  const fixes = [];
+  const fixed = {};
+  for (const field of Object.keys(item)) {
+    const ga4Field = renamedFields[field];
+    if (ga4Field && item[ga4Field] === undefined) {
+      fixed[ga4Field] = item[field];
+      fixes.push({
+        path: `${path}.${field}`,
+        description: `Rename ${field} to ${ga4Field}.`,
+      });
+    } else if (ga4Field) {
+      fixes.push({
+        path: `${path}.${field}`,
+        description: `Remove ${field}, ${ga4Field} is already set.`,
+      });
+    } else if (field === "category" && item["item_category"] !== undefined) {
+      fixes.push({
+        path: `${path}.${field}`,
+        description: "Remove category, item_category is already set.",
+      });
+    } else if (field === "category" && typeof item[field] === "string") {
+      const { fields, depth } = categoryPath.split(item[field]);
+      Object.assign(fixed, fields);
+      const names = Object.keys(fields).join(", ");
+      const warning = categoryPath.depthWarning(item[field], depth);
+      let description = `Split category "${item[field]}" into ${names}.`;
+      if (depth === 0) {
+        description = "Remove category, it has no levels.";
+      } else if (depth === 1) {
+        description = "Rename category to item_category.";
+      }
+      fixes.push({
+        path: `${path}.${field}`,
+        description: description + (warning ? ` Note: ${warning}` : ""),
+      });
+    } else {
+      fixed[field] = item[field];
+    }
+  }
+  return { item: fixes.length ? fixed : item, fixes };
+}
+
+/**
+ * Fixes the items of an event, and moves its UA promotions (the promotions
+ * parameter of UA gtag.js events) to the items, where GA4 reads them.
+ *
+ * @param {!schemaId.Api} api
+ * @param {!Object<string, *>} params
+ * @return {{params: !Object<string, *>, fixes: !Array<!Fix>}}
+ */
+function fix(api, params) {
+  const dataLayer = api === schemaId.Api.DATA_LAYER;
+  // The object holding the items: the ecommerce object in the data layer.
+  const parent = dataLayer ? params["ecommerce"] : params;
+  const path = dataLayer ? "$.ecommerce" : "$";
+  if (!parent || typeof parent !== "object") {
+    return { params, fixes: [] };
+  }
+  const fixes = [];
+  const fixList = (list, listPath, renamedFields) =>
+    list.map((item, index) => {
+      const result = fixItem(item, `${listPath}[${index}]`, renamedFields);
+      fixes.push(...result.fixes);
+      return result.item;
+    });
+
+  const fixedParent = Object.assign({}, parent);
+  if (Array.isArray(parent["items"])) {
+    fixedParent["items"] = fixList(
+      parent["items"],
+      `${path}.items`,
+      RENAMED_FIELDS
+    );
+  }
+  if (Array.isArray(parent["promotions"])) {
+    const promotions = fixList(
+      parent["promotions"],
+      `${path}.promotions`,
+      RENAMED_PROMOTION_FIELDS
+    );
+    fixes.push({
+      path: `${path}.promotions`,
+      description: "Move the promotions to items, where GA4 reads them.",
+    });
+    fixedParent["items"] = (fixedParent["items"] || []).concat(promotions);
+    delete fixedParent["promotions"];
+  }
+  if (!fixes.length) {
+    return { params, fixes };
+  }
+  return {
+    params: dataLayer
+      ? Object.assign({}, params, { ecommerce: fixedParent })
+      : fixedParent,
+    fixes,
+  };
+}
+
+/**
+ * Suggests fixes for the UA fields in the items of a GA4 or mixed event.
+ *
+ * @param {!schemaId.Api} api
+ * @param {!Object<string, *>} params The gtag parameters or the data layer
+ *     update.
+ * @return {!Array<!Fix>} The fixes, with the path of the field each one
+ *     applies to. Empty if the items only have GA4 fields.
+ */
+function suggestFixes(api, params) {
+  return fix(api, params).fixes;
+}
+
+/**
+ * Applies all the fixes returned by suggestFixes.
+ *
+ * @param {!schemaId.Api} api
+ * @param {!Object<string, *>} params The gtag parameters or the data layer
+ *     update, which aren't modified.
+ * @return {!Object<string, *>} The fixed parameters.
+ */
+function applyFixes(api, params) {
+  return fix(api, params).params;
+}
+
+export default { suggestFixes, applyFixes };
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Command line tool that finds the Universal Analytics tags with
+ * Enhanced Ecommerce enabled in a Google Tag Manager container export, and
+ * generates the GA4 event tags that mirror them.
+ *
+ * Usage: node bin/analyze_container.js [--json <report.json>]
+ *     [--output <ga4_tags.json>] [--measurement-id <G-XXXXXXXXXX>]
+ *     <container.json>
+ *
+ * Prints each UA ecommerce tag with its ecommerce data source, triggers and
+ * GA4 event, and the GA4 ecommerce tags the container already has. --output
+ * writes the generated GA4 tags as a container export to import into the
+ * same container ("-" writes it to stdout instead of the report), and --json
+ * writes the report as JSON.
+ */
+import fs from "fs";
+import gtmContainer from "../gtm_container.js";
+
+const USAGE =
+  "Usage: node bin/analyze_container.js [--json <report.json>] " +
+  "[--output <ga4_tags.json>] [--measurement-id <G-XXXXXXXXXX>] " +
+  "<container.json>";
+
+/**
+ * @param {!Array<string>} args Command line arguments.
+ * @return {{
+ *   input: string,
+ *   jsonPath: ?string,
+ *   outputPath: ?string,
+ *   measurementId: (string|undefined),
+ * }}
+ */
+function parseArgs(args) {
+  const options = {
+    input: null,
+    jsonPath: null,
+    outputPath: null,
+    measurementId: undefined,
+  };
+  const inputs = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--json") {
+      options.jsonPath = args[++i];
+    } else if (args[i] === "--output") {
+      options.outputPath = args[++i];
+    } else if (args[i] === "--measurement-id") {
+      options.measurementId = args[++i] || null;
+    } else if (args[i] === "--help" || args[i] === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else {
+      inputs.push(args[i]);
+    }
+  }
+  if (
+    inputs.length !== 1 ||
+    options.jsonPath === undefined ||
+    options.outputPath === undefined ||
+    options.measurementId === null
+  ) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  options.input = inputs[0];
+  return options;
+}
+
+/**
+ * @param {!Array<!Array<string>>} rows Table rows, the first being the header.
+ * @return {string} The rows formatted as a text table.
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+/**
+ * @param {!gtmContainer.DataSource} dataSource
+ * @param {string|undefined} variable
+ * @return {string} Where a tag reads the ecommerce data from.
+ */
+function formatDataSource(dataSource, variable) {
+  return dataSource === gtmContainer.DataSource.VARIABLE
+    ? `variable {{${variable || "?"}}}`
+    : "data layer";
+}
+
+/**
+ * @param {!Array<string>} args Command line arguments.
+ */
+function main(args) {
+  const options = parseArgs(args);
+  let containerVersion;
+  try {
+    containerVersion = gtmContainer.parseContainer(
+      fs.readFileSync(options.input, "utf8")
+    );
+  } catch (ex) {
+    console.error(`${options.input}: ${ex.message}`);
+    process.exit(2);
+  }
+  const report = gtmContainer.analyzeContainer(containerVersion);
+
+  if (options.jsonPath) {
+    const json = JSON.stringify(report, null, 2);
+    if (options.jsonPath === "-") {
+      console.log(json);
+      return;
+    }
+    fs.writeFileSync(options.jsonPath, json + "\n");
+  }
+  if (options.outputPath) {
+    const json = JSON.stringify(
+      gtmContainer.buildGa4Tags(
+        containerVersion,
+        report,
+        options.measurementId
+      ),
+      null,
+      2
+    );
+    if (options.outputPath === "-") {
+      console.log(json);
+      return;
+    }
+    fs.writeFileSync(options.outputPath, json + "\n");
+  }
+
+  const rows = [["UA tag", "Ecommerce data", "Triggers", "GA4 event"]];
+  const warnings = [];
+  for (const uaTag of report.uaTags) {
+    rows.push([
+      uaTag.name,
+      formatDataSource(uaTag.dataSource, uaTag.variable),
+      uaTag.triggers
+        .map((trigger) =>
+          trigger.ga4Event ? trigger.name : `${trigger.name} (unresolved)`
+        )
+        .join(", "),
+      uaTag.mirroredBy ? `sent by ${uaTag.mirroredBy}` : uaTag.ga4Event,
+    ]);
+    warnings.push(
+      ...uaTag.warnings.map((warning) => `  ${uaTag.name}: ${warning}`)
+    );
+  }
+  console.log(formatTable(rows));
+  if (warnings.length) {
+    console.log(`\nWarnings:\n${warnings.join("\n")}`);
+  }
+
+  console.log("\nGA4 ecommerce tags:");
+  for (const ga4Tag of report.ga4Tags) {
+    console.log(
+      `  ${ga4Tag.name}: ${ga4Tag.eventName || "?"} from ` +
+        formatDataSource(ga4Tag.dataSource, ga4Tag.variable)
+    );
+  }
+  if (!report.ga4Tags.length) {
+    console.log("  None.");
+  }
+  if (options.outputPath) {
+    const generated = report.uaTags.filter((uaTag) => !uaTag.mirroredBy);
+    console.log(
+      `\nWrote ${generated.length} GA4 tag(s) to ${options.outputPath}.`
+    );
+  }
+}
+
+main(process.argv.slice(2));
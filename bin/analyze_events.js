@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Command line tool that identifies the schema of captured
+ * ecommerce events and recommends the equivalent GA4 gtag commands.
+ *
+ * Usage: node bin/analyze_events.js [--json <report.json>] [--format js|ts|json]
+ *     [--mapping <mapping.json>] <file-or-dir>...
+ *
+ * Reads .json, .jsonl and .ndjson files of {api, event, params} records,
+ * prints a table and schema breakdown, and optionally writes the full report
+ * as JSON ("-" writes it to stdout instead of the table). --format sets the
+ * language of the recommended commands, and --mapping applies a custom
+ * dimension and metric mapping such as {"dimension5": "item_color"}.
+ */
+import fs from "fs";
+import path from "path";
+import codeGen from "../code_gen.js";
+import customMapping from "../custom_mapping.js";
+import eventLog from "../event_log.js";
+
+/** @const {!RegExp} Extensions of the files read from directories. */
+const LOG_FILE_REGEX = /\.(json|jsonl|ndjson)$/;
+
+const USAGE =
+  "Usage: node bin/analyze_events.js [--json <report.json>] " +
+  "[--format js|ts|json] [--mapping <mapping.json>] <file-or-dir>...";
+
+/**
+ * @param {!Array<string>} args Command line arguments.
+ * @return {{
+ *   inputs: !Array<string>,
+ *   jsonPath: ?string,
+ *   format: !codeGen.Format,
+ *   mappingPath: ?string,
+ * }}
+ */
+function parseArgs(args) {
+  const options = {
+    inputs: [],
+    jsonPath: null,
+    format: codeGen.Format.JS,
+    mappingPath: null,
+  };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--json") {
+      options.jsonPath = args[++i];
+    } else if (args[i] === "--format") {
+      options.format = args[++i];
+    } else if (args[i] === "--mapping") {
+      options.mappingPath = args[++i];
+    } else if (args[i] === "--help" || args[i] === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else {
+      options.inputs.push(args[i]);
+    }
+  }
+  const formats = Object.values(codeGen.Format);
+  if (
+    !options.inputs.length ||
+    options.jsonPath === undefined ||
+    options.mappingPath === undefined ||
+    !formats.includes(options.format)
+  ) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  return options;
+}
+
+/**
+ * @param {!Array<string>} inputs Files and directories.
+ * @return {!Array<string>} All log files, with directories read recursively.
+ *     Inputs that can't be read are reported and skipped.
+ */
+function listFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    let stats;
+    try {
+      stats = fs.statSync(input);
+    } catch (ex) {
+      console.error(`${input}: ${ex.message}`);
+      process.exitCode = 1;
+      continue;
+    }
+    if (stats.isDirectory()) {
+      const entries = fs.readdirSync(input).sort();
+      const children = entries
+        .map((entry) => path.join(input, entry))
+        .filter(
+          (child) =>
+            fs.statSync(child).isDirectory() || LOG_FILE_REGEX.test(child)
+        );
+      files.push(...listFiles(children));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+/**
+ * @param {!Array<!Array<string>>} rows Table rows, the first being the header.
+ * @return {string} The rows formatted as a text table.
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+/**
+ * @param {!Array<string>} args Command line arguments.
+ */
+function main(args) {
+  const options = parseArgs(args);
+  let mapping = {};
+  if (options.mappingPath) {
+    try {
+      mapping = customMapping.parse(
+        fs.readFileSync(options.mappingPath, "utf8")
+      );
+    } catch (ex) {
+      console.error(`${options.mappingPath}: ${ex.message}`);
+      process.exit(2);
+    }
+  }
+  const results = [];
+  for (const file of listFiles(options.inputs)) {
+    let records;
+    try {
+      records = eventLog.parseRecords(fs.readFileSync(file, "utf8"));
+    } catch (ex) {
+      console.error(`${file}: ${ex.message}`);
+      process.exitCode = 1;
+      continue;
+    }
+    records.forEach((record, index) => {
+      results.push(
+        Object.assign(
+          { source: `${file}#${index}` },
+          eventLog.analyzeRecord(record, options.format, mapping)
+        )
+      );
+    });
+  }
+
+  const report = { schemas: eventLog.countSchemas(results), results };
+  if (options.jsonPath) {
+    const json = JSON.stringify(report, null, 2);
+    if (options.jsonPath === "-") {
+      console.log(json);
+      return;
+    }
+    fs.writeFileSync(options.jsonPath, json + "\n");
+  }
+
+  const rows = [["Source", "API", "Event", "Schema", "GA4 event"]];
+  for (const result of results) {
+    rows.push([
+      result.source,
+      result.api || "",
+      result.event || "",
+      result.error ? `error: ${result.error}` : result.schema,
+      result.ga4Event ? result.ga4Event.event || "" : "",
+    ]);
+  }
+  console.log(formatTable(rows));
+
+  console.log("\nSchema breakdown:");
+  for (const schema of Object.keys(report.schemas)) {
+    console.log(`  ${schema}: ${report.schemas[schema]}`);
+  }
+
+  console.log("\nRecommended GA4 commands:");
+  for (const result of results) {
+    if (result.gtagCommand) {
+      console.log(`\n// ${result.source}\n${result.gtagCommand}`);
+    }
+  }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Command line tool that converts Universal Analytics
+ * measurement protocol hits, such as refunds sent from a server, into GA4
+ * Measurement Protocol requests with the same ecommerce data.
+ *
+ * Usage: node bin/migrate_hits.js [--json <requests.json>]
+ *     [--sample node|python|curl] [--measurement-id <G-XXXXXXXXXX>]
+ *     [--mapping <mapping.json>] <file>...
+ *
+ * Reads files with one hit per line, either a /collect URL or the payload
+ * alone (e.g. v=1&t=event&pa=refund&ti=T12345), and prints the GA4 request
+ * body of each ecommerce hit with its validation messages, or sample code
+ * that sends it with --sample. --mapping applies a custom dimension and metric
+ * mapping such as {"dimension5": "item_color"}, and --json writes all request
+ * bodies as JSON ("-" writes them to stdout instead).
+ */
+import fs from "fs";
+import codeGen from "../code_gen.js";
+import customMapping from "../custom_mapping.js";
+import ga4MeasurementProtocol from "../ga4_measurement_protocol.js";
+import measurementProtocol from "../measurement_protocol.js";
+
+/** @const {string} URL that hits given as a payload alone are sent to. */
+const UA_COLLECT_URL = "https://www.google-analytics.com/collect";
+
+/** @const {!RegExp} Regex for a line that is a URL rather than a payload. */
+const URL_REGEX = /^(https?:\/\/|\/)/;
+
+const USAGE =
+  "Usage: node bin/migrate_hits.js [--json <requests.json>] " +
+  "[--sample node|python|curl] [--measurement-id <G-XXXXXXXXXX>] " +
+  "[--mapping <mapping.json>] <file>...";
+
+/**
+ * @param {!Array<string>} args Command line arguments.
+ * @return {{
+ *   inputs: !Array<string>,
+ *   jsonPath: ?string,
+ *   sample: ?ga4MeasurementProtocol.SampleLanguage,
+ *   measurementId: (string|undefined),
+ *   mappingPath: ?string,
+ * }}
+ */
+function parseArgs(args) {
+  const options = {
+    inputs: [],
+    jsonPath: null,
+    sample: null,
+    measurementId: undefined,
+    mappingPath: null,
+  };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--json") {
+      options.jsonPath = args[++i];
+    } else if (args[i] === "--sample") {
+      options.sample = args[++i];
+    } else if (args[i] === "--measurement-id") {
+      options.measurementId = args[++i] || null;
+    } else if (args[i] === "--mapping") {
+      options.mappingPath = args[++i];
+    } else if (args[i] === "--help" || args[i] === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else {
+      options.inputs.push(args[i]);
+    }
+  }
+  const languages = Object.values(ga4MeasurementProtocol.SampleLanguage);
+  if (
+    !options.inputs.length ||
+    options.jsonPath === undefined ||
+    options.mappingPath === undefined ||
+    options.measurementId === null ||
+    (options.sample !== null && !languages.includes(options.sample))
+  ) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  return options;
+}
+
+/**
+ * @param {string} text
+ * @return {!Array<{line: number, url: string, body: string}>} The hits of a
+ *     file, with the 1-based line each one is on. Batch hits are split.
+ */
+function readHits(text) {
+  const hits = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) {
+      return;
+    }
+    const url = URL_REGEX.test(trimmed)
+      ? trimmed
+      : `${UA_COLLECT_URL}?${trimmed}`;
+    for (const hit of measurementProtocol.splitBatch(url)) {
+      hits.push(Object.assign({ line: index + 1 }, hit));
+    }
+  });
+  return hits;
+}
+
+/**
+ * @param {!Array<string>} args Command line arguments.
+ */
+function main(args) {
+  const options = parseArgs(args);
+  let mapping = {};
+  if (options.mappingPath) {
+    try {
+      mapping = customMapping.parse(
+        fs.readFileSync(options.mappingPath, "utf8")
+      );
+    } catch (ex) {
+      console.error(`${options.mappingPath}: ${ex.message}`);
+      process.exit(2);
+    }
+  }
+
+  const results = [];
+  let skipped = 0;
+  for (const file of options.inputs) {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (ex) {
+      console.error(`${file}: ${ex.message}`);
+      process.exit(2);
+    }
+    for (const hit of readHits(text)) {
+      const payload = ga4MeasurementProtocol.fromUaHit(
+        measurementProtocol.parse(hit.url, hit.body),
+        mapping
+      );
+      if (!payload) {
+        skipped++;
+        continue;
+      }
+      results.push({
+        source: `${file}:${hit.line}`,
+        payload,
+        validationMessages:
+          ga4MeasurementProtocol.validate(payload).validationMessages,
+      });
+    }
+  }
+
+  if (options.jsonPath) {
+    const json = JSON.stringify(results, null, 2);
+    if (options.jsonPath === "-") {
+      console.log(json);
+      return;
+    }
+    fs.writeFileSync(options.jsonPath, json + "\n");
+  }
+
+  for (const result of results) {
+    console.log(`\n// ${result.source}`);
+    console.log(
+      options.sample
+        ? ga4MeasurementProtocol.buildSample(
+            result.payload,
+            options.sample,
+            options.measurementId
+          )
+        : codeGen.serialize(result.payload, codeGen.Format.JSON)
+    );
+    for (const message of result.validationMessages) {
+      console.log(
+        `${message.validationCode} at ${message.fieldPath}: ` +
+          message.description
+      );
+    }
+  }
+  console.log(
+    `\nConverted ${results.length} hit(s), skipped ${skipped} without ` +
+      "ecommerce data."
+  );
+}
+
+main(process.argv.slice(2));
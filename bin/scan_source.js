@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Command line tool that finds the dataLayer.push() and
+ * gtag('event', ...) ecommerce calls in source code, identifies their schema
+ * and rewrites the UA calls into GA4 calls.
+ *
+ * Usage: node bin/scan_source.js [--json <report.json>] [--diff] [--write]
+ *     [--mapping <mapping.json>] <file-or-dir>...
+ *
+ * Prints the file, line and schema of each call. --diff prints the rewrites of
+ * the UA calls as a unified diff without changing any file (a dry run), and
+ * --write applies them to the files. --mapping applies a custom dimension and
+ * metric mapping such as {"dimension5": "item_color"} to the rewritten calls.
+ */
+import fs from "fs";
+import path from "path";
+import customMapping from "../custom_mapping.js";
+import sourceScan from "../source_scan.js";
+
+/**
+ * @const {!RegExp} Extensions of the files read from directories: scripts and
+ * the templates that commonly contain inline scripts.
+ */
+const SOURCE_FILE_REGEX =
+  /\.([cm]?js|jsx|ts|tsx|html?|php|erb|twig|liquid|hbs|njk|vue|svelte|tpl)$/;
+
+/** @const {!RegExp} Directories that aren't read. */
+const SKIPPED_DIR_REGEX = /^(\..*|node_modules)$/;
+
+const USAGE =
+  "Usage: node bin/scan_source.js [--json <report.json>] [--diff] [--write] " +
+  "[--mapping <mapping.json>] <file-or-dir>...";
+
+/**
+ * @param {!Array<string>} args Command line arguments.
+ * @return {{
+ *   inputs: !Array<string>,
+ *   jsonPath: ?string,
+ *   diff: boolean,
+ *   write: boolean,
+ *   mappingPath: ?string,
+ * }}
+ */
+function parseArgs(args) {
+  const options = {
+    inputs: [],
+    jsonPath: null,
+    diff: false,
+    write: false,
+    mappingPath: null,
+  };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--json") {
+      options.jsonPath = args[++i];
+    } else if (args[i] === "--diff") {
+      options.diff = true;
+    } else if (args[i] === "--write") {
+      options.write = true;
+    } else if (args[i] === "--mapping") {
+      options.mappingPath = args[++i];
+    } else if (args[i] === "--help" || args[i] === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else {
+      options.inputs.push(args[i]);
+    }
+  }
+  if (
+    !options.inputs.length ||
+    options.jsonPath === undefined ||
+    options.mappingPath === undefined
+  ) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  return options;
+}
+
+/**
+ * @param {!Array<string>} inputs Files and directories.
+ * @return {!Array<string>} All source files, with directories read
+ *     recursively.
+ */
+function listFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    let stats;
+    try {
+      stats = fs.statSync(input);
+    } catch (ex) {
+      console.error(`${input}: ${ex.message}`);
+      process.exitCode = 1;
+      continue;
+    }
+    if (stats.isDirectory()) {
+      const entries = fs
+        .readdirSync(input)
+        .sort()
+        .filter((entry) => !SKIPPED_DIR_REGEX.test(entry));
+      const children = entries
+        .map((entry) => path.join(input, entry))
+        .filter(
+          (child) =>
+            fs.statSync(child).isDirectory() || SOURCE_FILE_REGEX.test(child)
+        );
+      files.push(...listFiles(children));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+/**
+ * @param {!Array<!Array<string>>} rows Table rows, the first being the header.
+ * @return {string} The rows formatted as a text table.
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+/**
+ * @param {!Array<string>} args Command line arguments.
+ */
+function main(args) {
+  const options = parseArgs(args);
+  let mapping = {};
+  if (options.mappingPath) {
+    try {
+      mapping = customMapping.parse(
+        fs.readFileSync(options.mappingPath, "utf8")
+      );
+    } catch (ex) {
+      console.error(`${options.mappingPath}: ${ex.message}`);
+      process.exit(2);
+    }
+  }
+
+  const files = [];
+  for (const file of listFiles(options.inputs)) {
+    const text = fs.readFileSync(file, "utf8");
+    const results = sourceScan.scanSource(text, mapping);
+    if (results.length) {
+      files.push({ file, text, results });
+    }
+  }
+
+  if (options.jsonPath) {
+    const report = files.map(({ file, results }) => ({ file, results }));
+    const json = JSON.stringify(report, null, 2);
+    if (options.jsonPath === "-") {
+      console.log(json);
+      return;
+    }
+    fs.writeFileSync(options.jsonPath, json + "\n");
+  }
+
+  const rows = [["Location", "API", "Event", "Schema", "GA4 event"]];
+  const schemas = {};
+  const notes = [];
+  for (const { file, results } of files) {
+    for (const result of results) {
+      const location = `${file}:${result.line}:${result.column}`;
+      rows.push([
+        location,
+        result.api,
+        result.event || "",
+        result.error ? `error: ${result.error}` : result.schema,
+        result.rewrite ? result.ga4Event : "",
+      ]);
+      schemas[result.schema] = (schemas[result.schema] || 0) + 1;
+      notes.push(...result.notes.map((note) => `  ${location}: ${note}`));
+    }
+  }
+  console.log(formatTable(rows));
+
+  console.log("\nSchema breakdown:");
+  for (const schema of Object.keys(schemas)) {
+    console.log(`  ${schema}: ${schemas[schema]}`);
+  }
+  if (notes.length) {
+    console.log(`\nNotes:\n${notes.join("\n")}`);
+  }
+
+  if (options.diff) {
+    console.log("");
+    for (const { file, text, results } of files) {
+      process.stdout.write(sourceScan.formatDiff(file, text, results));
+    }
+  }
+  if (options.write) {
+    const rewritten = files.filter(({ results }) =>
+      results.some((result) => result.rewrite)
+    );
+    for (const { file, text, results } of rewritten) {
+      fs.writeFileSync(file, sourceScan.applyRewrites(text, results));
+    }
+    console.log(`\nRewrote the UA calls of ${rewritten.length} file(s).`);
+  }
+}
+
+main(process.argv.slice(2));
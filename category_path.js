@@ -0,0 +1,96 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Support for product category hierarchies. UA products have a
+ * single category with up to five levels separated by "/", e.g.
+ * "Apparel/Men/Shirts", while GA4 items have one parameter per level, from
+ * item_category to item_category5.
+ */
+
+/** @const {number} Number of category levels GA4 items have. */
+const MAX_LEVELS = 5;
+
+/** @const {string} Separator of the levels of a UA category. */
+const SEPARATOR = "/";
+
+/**
+ * @param {number} level 1-based category level.
+ * @return {string} The GA4 item parameter of the level.
+ */
+function levelField(level) {
+  return level === 1 ? "item_category" : `item_category${level}`;
+}
+
+/**
+ * @const {!Array<string>} The GA4 item category parameters, in level order.
+ */
+const LEVEL_FIELDS = Array.from({ length: MAX_LEVELS }, (unused, index) =>
+  levelField(index + 1)
+);
+
+/**
+ * Splits a UA category into GA4 category levels. Levels beyond the fifth are
+ * kept together in the fifth, so no data is lost. Empty levels, e.g. after a
+ * trailing "/", are left out.
+ *
+ * @param {string} category
+ * @return {{fields: !Object<string, string>, depth: number}} The GA4 item
+ *     category parameters, and the number of levels of the category.
+ */
+function split(category) {
+  const levels = String(category)
+    .split(SEPARATOR)
+    .filter((level) => level.trim());
+  const depth = levels.length;
+  if (depth > MAX_LEVELS) {
+    levels.push(levels.splice(MAX_LEVELS - 1).join(SEPARATOR));
+  }
+  const fields = {};
+  levels.forEach((level, index) => {
+    fields[LEVEL_FIELDS[index]] = level;
+  });
+  return { fields, depth };
+}
+
+/**
+ * @param {!Object<string, *>} item A GA4 item.
+ * @return {string|undefined} The UA category: the GA4 category levels that
+ *     are set, joined with "/". Undefined if the item has no category.
+ */
+function join(item) {
+  const levels = LEVEL_FIELDS.map((field) => item[field]).filter(
+    (level) => level !== undefined && level !== null && level !== ""
+  );
+  return levels.length ? levels.join(SEPARATOR) : undefined;
+}
+
+/**
+ * @param {string} category
+ * @param {number} depth The number of levels of the category, see split.
+ * @return {?string} A warning if the category has more levels than GA4
+ *     supports, null otherwise.
+ */
+function depthWarning(category, depth) {
+  if (depth <= MAX_LEVELS) {
+    return null;
+  }
+  return (
+    `category "${category}" has ${depth} levels, but GA4 supports ` +
+    `${MAX_LEVELS}: levels ${MAX_LEVELS} to ${depth} are kept together in ` +
+    `${LEVEL_FIELDS[MAX_LEVELS - 1]}.`
+  );
+}
+
+export default { LEVEL_FIELDS, split, join, depthWarning };
@@ -0,0 +1,134 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Serializes values as JavaScript or JSON source code, for the
+ * generated recommendations.
+ */
+import objectLiteral from "./object_literal.js";
+
+/** @enum {string} */
+const Format = {
+  JS: "js",
+  JSON: "json",
+  TYPESCRIPT: "ts",
+};
+
+/** @const {string} One level of indentation. */
+const INDENT = "  ";
+
+/** @const {!RegExp} Regex for keys that don't need to be quoted in JS. */
+const IDENTIFIER_REGEX = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * @param {string} value
+ * @return {string} The value as a single-quoted JS string literal.
+ */
+function quote(value) {
+  const escaped = value.replace(/[\\'\n\r\t\u2028\u2029]/g, (char) => {
+    switch (char) {
+      case "\n":
+        return "\\n";
+      case "\r":
+        return "\\r";
+      case "\t":
+        return "\\t";
+      case "\u2028":
+        return "\\u2028";
+      case "\u2029":
+        return "\\u2029";
+      default:
+        return `\\${char}`;
+    }
+  });
+  return `'${escaped}'`;
+}
+
+/**
+ * @param {string} key
+ * @param {!Format} format
+ * @return {string} The key as it should appear in an object literal.
+ */
+function serializeKey(key, format) {
+  if (format === Format.JSON) {
+    return JSON.stringify(key);
+  }
+  return IDENTIFIER_REGEX.test(key) ? key : quote(key);
+}
+
+/**
+ * Serializes a value as a JS (or TypeScript) literal, or as JSON. Objects and
+ * arrays are spread over several lines, with trailing commas in JS.
+ *
+ * @param {*} value A value made of objects, arrays, strings, numbers,
+ *     booleans and null. In JS, undefined is kept; in JSON, undefined fields
+ *     are left out. objectLiteral.Expressions are written as their source
+ *     code in JS, including spread and shorthand properties. JSON can't hold
+ *     code, so there they are written as strings with the source code, e.g.
+ *     "{{Order ID}}", for the user to replace.
+ * @param {!Format=} format
+ * @param {string=} indent The indentation of the line the value starts on.
+ * @return {string}
+ */
+function serialize(value, format = Format.JS, indent = "") {
+  const json = format === Format.JSON;
+  const innerIndent = indent + INDENT;
+  const trailingComma = json ? "" : ",";
+  if (value === undefined) {
+    return json ? "null" : "undefined";
+  }
+  if (value === null) {
+    return "null";
+  }
+  if (value instanceof objectLiteral.Expression) {
+    return json ? JSON.stringify(value.text) : value.text;
+  }
+  if (typeof value === "number") {
+    // JSON has no NaN or Infinity.
+    return json && !Number.isFinite(value) ? "null" : String(value);
+  }
+  if (typeof value === "boolean") {
+    return String(value);
+  }
+  if (typeof value === "string") {
+    return json ? JSON.stringify(value) : quote(value);
+  }
+  if (Array.isArray(value)) {
+    if (!value.length) {
+      return "[]";
+    }
+    const elements = value.map(
+      (element) => innerIndent + serialize(element, format, innerIndent)
+    );
+    return `[\n${elements.join(",\n")}${trailingComma}\n${indent}]`;
+  }
+  const keys = Object.keys(value).filter(
+    (key) => !(json && value[key] === undefined)
+  );
+  if (!keys.length) {
+    return "{}";
+  }
+  const fields = keys.map((key) =>
+    !json &&
+    value[key] instanceof objectLiteral.Expression &&
+    key === value[key].text
+      ? // A spread or shorthand property, see objectLiteral.parseArguments.
+        innerIndent + key
+      : `${innerIndent}${serializeKey(key, format)}: ` +
+        serialize(value[key], format, innerIndent)
+  );
+  return `{\n${fields.join(",\n")}${trailingComma}\n${indent}}`;
+}
+
+export default { serialize, quote, Format };
@@ -0,0 +1,164 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Support for mapping UA product scoped custom dimensions and
+ * metrics (e.g. dimension5) to GA4 item parameters (e.g. item_color).
+ */
+
+/**
+ * A map of UA custom definition names to GA4 item parameter names, e.g.
+ * {"dimension5": "item_color", "metric2": "item_weight"}.
+ *
+ * @typedef {!Object<string, string>}
+ */
+let Mapping;
+
+/**
+ * @const {!RegExp} Regex for a UA custom dimension or metric name, as used in
+ * the products of the UA ecommerce data layer.
+ */
+const CUSTOM_DEFINITION_REGEX = /^(dimension|metric)\d+$/;
+
+/**
+ * @const {!RegExp} Regex for a valid GA4 parameter name.
+ */
+const PARAM_NAME_REGEX = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/** @const {number} Maximum length of a GA4 parameter name. */
+const MAX_PARAM_NAME_LENGTH = 40;
+
+/**
+ * Parses and validates a mapping configuration.
+ *
+ * @param {string} text The mapping as JSON. Empty text is an empty mapping.
+ * @return {!Mapping}
+ * @throws {!Error} If the text isn't a valid mapping.
+ */
+function parse(text) {
+  if (!text.trim()) {
+    return {};
+  }
+  let mapping;
+  try {
+    mapping = JSON.parse(text);
+  } catch (ex) {
+    throw new Error(`Invalid JSON: ${ex.message}`);
+  }
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new Error(
+      'The mapping must be an object, e.g. {"dimension5": "item_color"}'
+    );
+  }
+  for (const key of Object.keys(mapping)) {
+    const value = mapping[key];
+    if (!CUSTOM_DEFINITION_REGEX.test(key)) {
+      throw new Error(
+        `${key} is not a custom dimension or metric. Use names like ` +
+          "dimension5 or metric2."
+      );
+    }
+    if (typeof value !== "string" || !PARAM_NAME_REGEX.test(value)) {
+      throw new Error(
+        `${key}: ${JSON.stringify(value)} is not a valid GA4 parameter name.`
+      );
+    }
+    if (value.length > MAX_PARAM_NAME_LENGTH) {
+      throw new Error(
+        `${key}: ${value} is longer than ${MAX_PARAM_NAME_LENGTH} characters.`
+      );
+    }
+  }
+  return mapping;
+}
+
+/**
+ * @param {*} item A product, impression or GA4 item.
+ * @param {!Mapping} mapping
+ * @return {*} A copy of the item with the mapped custom definitions renamed,
+ *     keeping the field order. Items that aren't objects are left as they
+ *     are, for validation to report.
+ */
+function applyToItem(item, mapping) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return item;
+  }
+  const mapped = {};
+  for (const field of Object.keys(item)) {
+    const name = Object.prototype.hasOwnProperty.call(mapping, field)
+      ? mapping[field]
+      : field;
+    mapped[name] = item[field];
+  }
+  return mapped;
+}
+
+/**
+ * @param {!Array<*>} items A possibly sparse array of items.
+ * @param {!Mapping} mapping
+ * @return {!Array<*>} The mapped items, at the same indexes.
+ */
+function applyToItems(items, mapping) {
+  // Array.prototype.map keeps the holes of sparse arrays.
+  return items.map((item) => applyToItem(item, mapping));
+}
+
+/**
+ * Applies a mapping to the products, impressions and promotions of a parsed
+ * hit, as returned by ga4.parse or measurementProtocol.parse.
+ *
+ * @param {!Object<string, *>} parsedHit
+ * @param {!Mapping} mapping
+ * @return {!Object<string, *>} A copy of the hit with the items mapped.
+ */
+function applyToHit(parsedHit, mapping) {
+  const mapped = Object.assign({}, parsedHit);
+  if (parsedHit.products) {
+    mapped.products = applyToItems(parsedHit.products, mapping);
+  }
+  if (parsedHit.impressions) {
+    mapped.impressions = parsedHit.impressions.map((list) =>
+      list && Array.isArray(list.impressions)
+        ? Object.assign({}, list, {
+            impressions: applyToItems(list.impressions, mapping),
+          })
+        : list
+    );
+  }
+  if (parsedHit.promos) {
+    mapped.promos = applyToItems(parsedHit.promos, mapping);
+  }
+  return mapped;
+}
+
+/**
+ * Applies a mapping to the items of a GA4 event, as returned by
+ * schemaConvert.convertToGa4.
+ *
+ * @param {?{event: string, params: !Object<string, *>}} ga4Event
+ * @param {!Mapping} mapping
+ * @return {?{event: string, params: !Object<string, *>}} A copy of the event
+ *     with the items mapped.
+ */
+function applyToEvent(ga4Event, mapping) {
+  if (!ga4Event || !Array.isArray(ga4Event.params["items"])) {
+    return ga4Event;
+  }
+  const params = Object.assign({}, ga4Event.params, {
+    items: applyToItems(ga4Event.params["items"], mapping),
+  });
+  return { event: ga4Event.event, params };
+}
+
+export default { parse, applyToHit, applyToEvent };
@@ -0,0 +1,181 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Support for analyzing logs of captured ecommerce events, i.e.
+ * many {api, event, params} records at once instead of a single input.
+ */
+import codeGen from "./code_gen.js";
+import customMapping from "./custom_mapping.js";
+import schemaConvert from "./schema_convert.js";
+import schemaId from "./schema_id.js";
+import schemaRecommend from "./schema_recommend.js";
+
+/**
+ * A single captured ecommerce event. For the data layer API, params is the
+ * whole data layer update and event is taken from it when not set.
+ *
+ * @typedef {{
+ *   api: !schemaId.Api,
+ *   event: (string|undefined),
+ *   params: !Object<string, *>,
+ * }}
+ */
+let EventRecord;
+
+/**
+ * @typedef {{
+ *   api: !schemaId.Api,
+ *   event: (string|undefined),
+ *   schema: !schemaId.KnownSchema,
+ *   ga4Event: ?{event: string, params: !Object<string, *>},
+ *   gtagCommand: ?string,
+ *   error: (string|undefined),
+ * }}
+ */
+let RecordAnalysis;
+
+/**
+ * Parses a log of event records. The log may be a JSON array of records, a
+ * single JSON record, or newline-delimited JSON with one record per line.
+ *
+ * @param {string} text
+ * @return {!Array<!EventRecord>}
+ * @throws {!Error} If the text isn't valid JSON or NDJSON.
+ */
+function parseRecords(text) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(trimmed);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (ex) {
+    // Not a single JSON document, so try NDJSON below.
+  }
+  const records = [];
+  const lines = trimmed.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) {
+      continue;
+    }
+    try {
+      records.push(JSON.parse(lines[i]));
+    } catch (ex) {
+      throw new Error(`Invalid JSON on line ${i + 1}: ${ex.message}`);
+    }
+  }
+  return records;
+}
+
+/**
+ * @param {*} value
+ * @return {boolean} Whether the value is a (non-array) object.
+ */
+function isObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @return {!RecordAnalysis} The analysis of a record that isn't an object with
+ *     a string api, an optional string event and params, which are an array
+ *     for analytics.js and an object for the other APIs.
+ */
+function malformedRecord() {
+  return {
+    api: undefined,
+    event: undefined,
+    schema: schemaId.KnownSchema.UNKNOWN,
+    ga4Event: null,
+    gtagCommand: null,
+    error:
+      "Malformed record: expected an object with a string api, an optional " +
+      "string event and params.",
+  };
+}
+
+/**
+ * @param {!EventRecord} record A record from parseRecords, which may be any
+ *     JSON value if the log is malformed.
+ * @param {!codeGen.Format=} format The format of the recommended command.
+ * @param {!Object<string, string>=} mapping Custom dimension and metric
+ *     mapping applied to the GA4 items, see customMapping.parse.
+ * @return {!RecordAnalysis} The schema of the record and the recommended GA4
+ *     command to send the same data. Malformed records get an error
+ *     instead, as do records without an event name.
+ */
+function analyzeRecord(record, format = codeGen.Format.JS, mapping = {}) {
+  // analytics.js records have the list of ga() commands as params.
+  const analytics = isObject(record) && record.api === schemaId.Api.ANALYTICS;
+  if (
+    !isObject(record) ||
+    typeof record.api !== "string" ||
+    !(
+      (analytics ? Array.isArray(record.params) : isObject(record.params)) ||
+      !record.params
+    )
+  ) {
+    return malformedRecord();
+  }
+  const params = record.params || (analytics ? [] : {});
+  const event =
+    record.api === schemaId.Api.DATA_LAYER
+      ? record.event || params["event"]
+      : record.event;
+  if (event && typeof event !== "string") {
+    return malformedRecord();
+  }
+  const analysis = {
+    api: record.api,
+    event,
+    schema: schemaId.KnownSchema.UNKNOWN,
+    ga4Event: null,
+    gtagCommand: null,
+  };
+  try {
+    analysis.schema = schemaId.identifySchema(record.api, params);
+    analysis.ga4Event = customMapping.applyToEvent(
+      schemaConvert.convertToGa4(record.api, event, params, analysis.schema),
+      mapping
+    );
+    if (analysis.ga4Event) {
+      analysis.gtagCommand = schemaRecommend.buildGa4GtagCommand(
+        schemaConvert.toParsedHitData(analysis.ga4Event),
+        format
+      );
+      if (!analysis.ga4Event.event) {
+        analysis.error =
+          "No event name: the recommended command has a placeholder.";
+      }
+    }
+  } catch (ex) {
+    analysis.error = ex.message;
+  }
+  return analysis;
+}
+
+/**
+ * @param {!Array<!RecordAnalysis>} analyses
+ * @return {!Object<string, number>} The number of records of each schema.
+ */
+function countSchemas(analyses) {
+  const counts = {};
+  for (const analysis of analyses) {
+    counts[analysis.schema] = (counts[analysis.schema] || 0) + 1;
+  }
+  return counts;
+}
+
+export default { parseRecords, analyzeRecord, countSchemas };
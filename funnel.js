@@ -0,0 +1,312 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Support for analyzing a funnel, i.e. an ordered sequence of
+ * ecommerce events such as view_item_list, select_item, add_to_cart,
+ * begin_checkout and purchase, including checks across the steps.
+ */
+import eventLog from "./event_log.js";
+import numeric from "./numeric.js";
+import schemaId from "./schema_id.js";
+import schemaValidate from "./schema_validate.js";
+
+/**
+ * A step of a funnel, with the hits received for it from each tag, in the
+ * order of the comparison table columns.
+ *
+ * @typedef {{
+ *   event: (string|undefined),
+ *   params: !Object<string, *>,
+ *   schema: !schemaId.KnownSchema,
+ *   ga4Event: ?{event: string, params: !Object<string, *>},
+ *   diagnostics: !Array<{severity: string, path: string, message: string}>,
+ *   hits: !Array<?Object<string, *>>,
+ * }}
+ */
+let FunnelStep;
+
+/**
+ * @typedef {{
+ *   severity: !schemaValidate.Severity,
+ *   step: number,
+ *   message: string,
+ * }}
+ */
+let FunnelCheck;
+
+/**
+ * @const {!Array<string>} GA4 events of the checkout, which are expected to
+ * carry the same items through to the purchase.
+ */
+const CHECKOUT_EVENTS = [
+  "begin_checkout",
+  "add_shipping_info",
+  "add_payment_info",
+  "purchase",
+];
+
+/**
+ * @const {!Array<string>} GA4 events where the event value is expected to be
+ * the sum of the item prices.
+ */
+const TOTAL_EVENTS = [
+  "add_to_cart",
+  "remove_from_cart",
+  "view_cart",
+  "begin_checkout",
+  "add_shipping_info",
+  "add_payment_info",
+  "purchase",
+  "refund",
+];
+
+/** @const {number} Number of tags that hits are received from. */
+const TAG_COUNT = 3;
+
+/**
+ * Parses the steps entered for a funnel.
+ *
+ * @param {!schemaId.Api} api
+ * @param {*} value The parsed funnel input, which must be an array. For the
+ *     data layer API each step is a data layer update; for the gtag API each
+ *     step is {event, params}.
+ * @return {!Array<{event: (string|undefined), params: !Object<string, *>}>}
+ * @throws {!Error} If the steps aren't in the expected format, or the API is
+ *     analytics.js.
+ */
+function parseSteps(api, value) {
+  if (api === schemaId.Api.ANALYTICS) {
+    throw new Error(
+      "Funnels of analytics.js commands aren't supported, analyze each step " +
+        "as a single event."
+    );
+  }
+  if (!Array.isArray(value) || !value.length) {
+    throw new Error("The funnel must be an array of steps, e.g. [{...}, ...]");
+  }
+  return value.map((step, index) => {
+    if (!step || typeof step !== "object" || Array.isArray(step)) {
+      throw new Error(`Step ${index + 1} must be an object.`);
+    }
+    if (api === schemaId.Api.DATA_LAYER) {
+      return { event: step["event"], params: step };
+    }
+    if (typeof step["event"] !== "string" || !step["event"]) {
+      throw new Error(
+        `Step ${index + 1} must have an event name, e.g. ` +
+          "{event: 'add_to_cart', params: {...}}"
+      );
+    }
+    const params = step["params"] === undefined ? {} : step["params"];
+    if (!params || typeof params !== "object" || Array.isArray(params)) {
+      throw new Error(`The params of step ${index + 1} must be an object.`);
+    }
+    return { event: step["event"], params };
+  });
+}
+
+/**
+ * Identifies, converts and validates each step of a funnel.
+ *
+ * @param {!schemaId.Api} api
+ * @param {!Array<{event: (string|undefined), params: !Object<string, *>}>}
+ *     steps As returned by parseSteps.
+ * @return {!Array<!FunnelStep>}
+ */
+function analyzeSteps(api, steps) {
+  return steps.map((step) => {
+    const analysis = eventLog.analyzeRecord({
+      api,
+      event: step.event,
+      params: step.params,
+    });
+    return {
+      event: analysis.event,
+      params: step.params,
+      schema: analysis.schema,
+      ga4Event: analysis.ga4Event,
+      diagnostics: analysis.error
+        ? []
+        : schemaValidate.validate(
+            api,
+            analysis.event,
+            step.params,
+            analysis.schema
+          ),
+      hits: new Array(TAG_COUNT).fill(null),
+    };
+  });
+}
+
+/**
+ * Records a hit received for a funnel. GA4 hits are matched to the first step
+ * with the same GA4 event that has no hit from the tag yet; UA hits don't
+ * have the GA4 event name, so they are matched to steps in order.
+ *
+ * @param {!Array<!FunnelStep>} steps
+ * @param {number} tagIndex The comparison table column of the tag.
+ * @param {!Object<string, *>} parsedHit
+ * @param {string=} ga4EventName The event of a GA4 hit.
+ * @return {number} The index of the step the hit was recorded for, or -1 if
+ *     it doesn't belong to any step.
+ */
+function addHit(steps, tagIndex, parsedHit, ga4EventName = undefined) {
+  const index = steps.findIndex(
+    (step) =>
+      !step.hits[tagIndex] &&
+      (ga4EventName === undefined ||
+        (step.ga4Event && step.ga4Event.event === ga4EventName))
+  );
+  if (index >= 0) {
+    steps[index].hits[tagIndex] = parsedHit;
+  }
+  return index;
+}
+
+/**
+ * @param {?{event: string, params: !Object<string, *>}} ga4Event
+ * @return {!Array<!Object<string, *>>} The items of the event.
+ */
+function itemsOf(ga4Event) {
+  const items = ga4Event && ga4Event.params["items"];
+  return Array.isArray(items) ? items.filter((item) => item) : [];
+}
+
+/**
+ * @param {!Object<string, *>} item
+ * @param {!Object<string, *>} params The params of the item's event.
+ * @return {*} The list the item was attributed to, at item or event level.
+ */
+function itemListName(item, params) {
+  return item["item_list_name"] !== undefined
+    ? item["item_list_name"]
+    : params["item_list_name"];
+}
+
+/**
+ * Checks that the steps of a funnel are consistent with each other: items
+ * are carried through from earlier steps, the list an item was selected from
+ * stays attributed to it, checkout steps keep the same items, and event values
+ * match the sum of the item prices, with or without tax, shipping and
+ * discounts, as schemaValidate.validateHit checks for hits.
+ *
+ * @param {!Array<!FunnelStep>} steps
+ * @return {!Array<!FunnelCheck>} Problems found, with 1-based step numbers.
+ */
+function checkConsistency(steps) {
+  const checks = [];
+  const warn = (step, message) =>
+    checks.push({
+      severity: schemaValidate.Severity.WARNING,
+      step,
+      message,
+    });
+
+  /** @type {!Map<string, {list: *, step: number}>} */
+  const seenItems = new Map();
+  let previousCheckout = null;
+  steps.forEach((step, index) => {
+    const number = index + 1;
+    const ga4Event = step.ga4Event;
+    if (!ga4Event) {
+      warn(number, "The step couldn't be converted to a GA4 event.");
+      return;
+    }
+    const eventName = ga4Event.event;
+    const items = itemsOf(ga4Event);
+
+    for (const item of items) {
+      const id = item["item_id"];
+      if (id === undefined) {
+        continue;
+      }
+      const list = itemListName(item, ga4Event.params);
+      const seen = seenItems.get(String(id));
+      if (!seen) {
+        if (index > 0 && eventName !== "view_item_list") {
+          warn(
+            number,
+            `item_id ${id} in ${eventName} isn't in any earlier step, so ` +
+              "the item IDs may not be carried through the funnel."
+          );
+        }
+        seenItems.set(String(id), { list, step: number });
+        continue;
+      }
+      if (seen.list !== undefined && list === undefined) {
+        warn(
+          number,
+          `item_id ${id} has item_list_name "${seen.list}" in step ` +
+            `${seen.step} but none in ${eventName}, so the list attribution ` +
+            "is lost."
+        );
+      } else if (seen.list !== undefined && list !== seen.list) {
+        warn(
+          number,
+          `item_id ${id} has item_list_name "${seen.list}" in step ` +
+            `${seen.step} but "${list}" in ${eventName}.`
+        );
+      }
+      if (list !== undefined) {
+        seenItems.set(String(id), { list, step: number });
+      }
+    }
+
+    if (CHECKOUT_EVENTS.includes(eventName)) {
+      const ids = items
+        .filter((item) => item["item_id"] !== undefined)
+        .map((item) => String(item["item_id"]));
+      if (previousCheckout) {
+        for (const id of previousCheckout.ids) {
+          if (!ids.includes(id)) {
+            warn(
+              number,
+              `item_id ${id} is in step ${previousCheckout.step} ` +
+                `(${previousCheckout.event}) but missing from ${eventName}.`
+            );
+          }
+        }
+      }
+      previousCheckout = { ids, step: number, event: eventName };
+    }
+
+    const value = numeric.toNumber(ga4Event.params["value"]);
+    if (TOTAL_EVENTS.includes(eventName) && !isNaN(value) && items.length) {
+      const totals = numeric.itemsTotal(items);
+      const extras = ["tax", "shipping"]
+        .map((param) => numeric.toNumber(ga4Event.params[param]))
+        .reduce((sum, amount) => sum + (isNaN(amount) ? 0 : amount), 0);
+      const round = (amount) => Math.round(amount * 100) / 100;
+      if (isNaN(totals.total)) {
+        warn(
+          number,
+          `Some items of ${eventName} have no numeric price or quantity, so ` +
+            "the value can't be checked against them."
+        );
+      } else if (!numeric.matchesItemsTotal(value, totals, extras)) {
+        warn(
+          number,
+          `The ${eventName} value ${value} doesn't match the sum of the item ` +
+            `prices times quantities, ${round(totals.total)}, with or ` +
+            `without tax and shipping (${round(extras)}) or discounts ` +
+            `(${round(totals.discount)}).`
+        );
+      }
+    }
+  });
+  return checks;
+}
+
+export default { parseSteps, analyzeSteps, addHit, checkConsistency };
@@ -23,28 +23,42 @@
 const GA4_URL_REGEX = /\/g\/collect\?/;
 
 /**
- * @const {!RegExp} Regex for identifying product data in a GA4 hit. Capturing
- * group 1 is the product index and capturing group 2 is the product data.
+ * @const {!RegExp} Regex for identifying a product parameter in a GA4 hit.
+ * Capturing group 1 is the product index.
  */
-const GA4_PRODUCT_REGEX = /&pr(\d+)=([^&]*)/g;
+const GA4_PRODUCT_PARAM_REGEX = /^pr(\d+)$/;
+
+/**
+ * @const {!RegExp} Regex for identifying a custom item parameter key or value
+ * in a product parameter. Capturing group 1 is k for keys or v for values,
+ * capturing group 2 is the custom parameter index, and capturing group 3 is
+ * the key or value.
+ */
+const GA4_CUSTOM_ITEM_PARAM_REGEX = /^([kv])(\d+)(.*)$/;
+
 /**
- * @const {!RegExp} Regex for identifying standard event parameters in a GA4
- * hit. Capturing group 1 is the parameter name, capturing group 2 is the
- * parameter value.
+ * @const {!Object<string, boolean>} Map of event parameter prefixes to whether
+ * the parameter is numeric.
  */
-const GA4_PARAM_REGEX = /&epn?\.([^=]+)=([^&]*)/g;
+const GA4_PARAM_PREFIXES = {
+  "ep.": false,
+  "epn.": true,
+};
 
 /**
- * @const {!RegExp} Regex for identifying the event name in a GA4 hit. Capturing
- * group 1 is the event name.
+ * @const {!Object<string, boolean>} Map of user property prefixes to whether
+ * the property is numeric.
  */
-const GA4_EVENT_NAME_REGEX = /&en=([^&]*)/g;
+const GA4_USER_PROPERTY_PREFIXES = {
+  "up.": false,
+  "upn.": true,
+};
 
 const GA4_PRODUCT_FIELDS = {
   id: "item_id",
   nm: "item_name",
   br: "item_brand",
-  ca: "item_cateogry",
+  ca: "item_category",
   c2: "item_category2",
   c3: "item_category3",
   c4: "item_category4",
@@ -62,49 +76,199 @@ const GA4_PRODUCT_FIELDS = {
   pn: "promotion_name",
   cn: "creative_name",
   cs: "creative_slot",
-  lo: "Location ID",
+  lo: "location_id",
 };
 
 /**
- * Parses event parameters and ecommerce product data from a GA4 hit and returns
- * it in a structured format.
+ * @typedef {{
+ *   event: (string|undefined),
+ *   params: !Object<string, (string|number)>,
+ *   products: !Array<!Object<string, string>>,
+ *   userProperties: !Object<string, (string|number)>,
+ *   measurementId: (string|undefined),
+ *   clientId: (string|undefined),
+ *   documentLocation: (string|undefined),
+ *   documentTitle: (string|undefined),
+ *   engagementTime: (number|undefined),
+ *   session: {
+ *     id: (string|undefined),
+ *     number: (number|undefined),
+ *     engaged: boolean,
+ *   },
+ * }}
+ */
+let ParsedEvent;
+
+/**
+ * @param {string} value A URL-encoded value.
+ * @return {string} The decoded value, or the original value if it isn't
+ *     validly encoded.
+ */
+function decode(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, " "));
+  } catch (ex) {
+    return value;
+  }
+}
+
+/**
+ * @param {string} query A query string or a line of a batched hit body.
+ * @return {!Array<!Array<string>>} The decoded [name, value] pairs, in order.
  */
-function parse(url) {
+function parseQuery(query) {
+  const pairs = [];
+  for (const part of query.split("&")) {
+    if (!part) {
+      continue;
+    }
+    const separator = part.indexOf("=");
+    if (separator < 0) {
+      pairs.push([decode(part), ""]);
+    } else {
+      pairs.push([
+        decode(part.substring(0, separator)),
+        part.substring(separator + 1),
+      ]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * @param {string} value The raw (still URL-encoded) value of a pr parameter.
+ * @return {!Object<string, string>} The product fields.
+ */
+function parseProduct(value) {
+  const product = {};
+  const customKeys = {};
+  const customValues = {};
+  const productParts = value.split("~");
+  for (let i = 0; i < productParts.length; i++) {
+    let productPart = productParts[i];
+    while (i + 1 < productParts.length && !productParts[i + 1]) {
+      productPart += "~";
+      if (productParts[i + 2]) productPart += productParts[i + 2];
+      i += 2;
+    }
+    const custom = GA4_CUSTOM_ITEM_PARAM_REGEX.exec(productPart);
+    if (custom) {
+      const customParams = custom[1] === "k" ? customKeys : customValues;
+      customParams[custom[2]] = decode(custom[3]);
+    } else {
+      const code = productPart.substring(0, 2);
+      product[GA4_PRODUCT_FIELDS[code] || code] = decode(
+        productPart.substring(2)
+      );
+    }
+  }
+  for (const index of Object.keys(customKeys)) {
+    product[customKeys[index]] = customValues[index];
+  }
+  return product;
+}
+
+/**
+ * @param {string} name The decoded parameter name.
+ * @param {!Object<string, boolean>} prefixes Map of prefix to whether the
+ *     value is numeric.
+ * @return {?{name: string, numeric: boolean}} The name without the prefix,
+ *     or null if it doesn't have any of the prefixes.
+ */
+function matchPrefix(name, prefixes) {
+  for (const prefix of Object.keys(prefixes)) {
+    if (name.startsWith(prefix)) {
+      return { name: name.substring(prefix.length), numeric: prefixes[prefix] };
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {!Array<!Array<string>>} pairs All parameters of a single event,
+ *     shared parameters first.
+ * @return {!ParsedEvent}
+ */
+function parseEvent(pairs) {
   const parsedData = {
     products: [],
+    params: {},
+    userProperties: {},
+    session: { engaged: false },
   };
-  const products = url.matchAll(GA4_PRODUCT_REGEX);
-  if (products) {
-    for (const p of products) {
-      const product = {};
-      const productIndex = p[1];
-      const productParts = p[2].split("~");
-      for (let i = 0; i < productParts.length; i++) {
-        let productPart = productParts[i];
-        while (i + 1 < productParts.length && !productParts[i + 1]) {
-          productPart += "~";
-          if (productParts[i + 2]) productPart += productParts[i + 2];
-          i += 2;
-        }
-        const code = productPart.substring(0, 2);
-        product[GA4_PRODUCT_FIELDS[code]] = productPart.substring(2);
-      }
-      parsedData.products[productIndex] = product;
+  for (const [name, rawValue] of pairs) {
+    const productIndex = GA4_PRODUCT_PARAM_REGEX.exec(name);
+    if (productIndex) {
+      parsedData.products[productIndex[1]] = parseProduct(rawValue);
+      continue;
     }
-  }
-  const params = url.matchAll(GA4_PARAM_REGEX);
-  if (params) {
-    parsedData.params = {};
-    for (let p of params) {
-      parsedData.params[p[1]] = p[2];
+    const value = decode(rawValue);
+    const param = matchPrefix(name, GA4_PARAM_PREFIXES);
+    if (param) {
+      parsedData.params[param.name] = param.numeric ? Number(value) : value;
+      continue;
+    }
+    const userProperty = matchPrefix(name, GA4_USER_PROPERTY_PREFIXES);
+    if (userProperty) {
+      parsedData.userProperties[userProperty.name] = userProperty.numeric
+        ? Number(value)
+        : value;
+      continue;
+    }
+    switch (name) {
+      case "en":
+        parsedData.event = value;
+        break;
+      case "tid":
+        parsedData.measurementId = value;
+        break;
+      case "cid":
+        parsedData.clientId = value;
+        break;
+      case "cu":
+        parsedData.params["currency"] = value;
+        break;
+      case "dl":
+        parsedData.documentLocation = value;
+        break;
+      case "dt":
+        parsedData.documentTitle = value;
+        break;
+      case "_et":
+        parsedData.engagementTime = Number(value);
+        break;
+      case "sid":
+        parsedData.session.id = value;
+        break;
+      case "sct":
+        parsedData.session.number = Number(value);
+        break;
+      case "seg":
+        parsedData.session.engaged = value === "1";
+        break;
     }
   }
+  return parsedData;
+}
 
-  const eventName = [...url.matchAll(GA4_EVENT_NAME_REGEX)];
-  if (eventName[0]) {
-    parsedData.event = eventName[0][1];
+/**
+ * Parses a GA4 hit into one record per event. Hits can batch several events,
+ * in which case the URL holds the parameters shared by all of them and each
+ * line of the POST body holds the parameters of one event.
+ *
+ * @param {string} url The hit URL.
+ * @param {string=} body The hit POST body, if any.
+ * @return {!Array<!ParsedEvent>}
+ */
+function parse(url, body = "") {
+  const queryStart = url.indexOf("?");
+  const shared =
+    queryStart < 0 ? [] : parseQuery(url.substring(queryStart + 1));
+  const lines = body.split(/\r?\n/).filter((line) => line.trim());
+  if (!lines.length) {
+    return [parseEvent(shared)];
   }
-  return parsedData;
+  return lines.map((line) => parseEvent(shared.concat(parseQuery(line))));
 }
 
 /**
@@ -0,0 +1,691 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Support for the GA4 Measurement Protocol, which sends events
+ * server-side as a JSON body POSTed to /mp/collect: building the body from
+ * recommended events or from UA measurement protocol hits, validating it the
+ * way the /debug/mp/collect endpoint does, and sample code to send it.
+ */
+import codeGen from "./code_gen.js";
+import customMapping from "./custom_mapping.js";
+import schemaConvert from "./schema_convert.js";
+import schemaId from "./schema_id.js";
+import schemaRecommend from "./schema_recommend.js";
+
+/** @const {string} Placeholder for the client ID of recommended events. */
+const CLIENT_ID_PLACEHOLDER = "CLIENT_ID";
+
+/** @const {string} Placeholder for the measurement ID in the samples. */
+const MEASUREMENT_ID_PLACEHOLDER = "G-XXXXXXXXXX";
+
+/** @const {string} Placeholder for the API secret in the samples. */
+const API_SECRET_PLACEHOLDER = "API_SECRET";
+
+/** @const {string} URL of the Measurement Protocol endpoint. */
+const COLLECT_URL = "https://www.google-analytics.com/mp/collect";
+
+/** @const {number} Maximum number of events in a request. */
+const MAX_EVENTS = 25;
+
+/** @const {number} Maximum number of parameters of an event. */
+const MAX_PARAMS = 25;
+
+/** @const {number} Maximum number of items of an event. */
+const MAX_ITEMS = 200;
+
+/** @const {number} Maximum length of event and parameter names. */
+const MAX_NAME_LENGTH = 40;
+
+/** @const {number} Maximum length of parameter values. */
+const MAX_VALUE_LENGTH = 100;
+
+/** @const {number} Maximum number of user properties. */
+const MAX_USER_PROPERTIES = 25;
+
+/** @const {number} Maximum length of user property names. */
+const MAX_USER_PROPERTY_NAME_LENGTH = 24;
+
+/** @const {number} Maximum length of user property values. */
+const MAX_USER_PROPERTY_VALUE_LENGTH = 36;
+
+/**
+ * @const {!Object<string, number>} Parameters allowed longer values than
+ * MAX_VALUE_LENGTH.
+ */
+const LONG_VALUE_PARAMS = {
+  page_location: 1000,
+  page_referrer: 420,
+  page_title: 300,
+};
+
+/** @const {!RegExp} Regex for a valid event, parameter or property name. */
+const NAME_REGEX = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/** @const {!RegExp} Regex for reserved name prefixes. */
+const RESERVED_PREFIX_REGEX = /^(google_|ga_|firebase_)/;
+
+/** @const {!Array<string>} Event names reserved for automatic events. */
+const RESERVED_EVENT_NAMES = [
+  "ad_activeview",
+  "ad_click",
+  "ad_exposure",
+  "ad_impression",
+  "ad_query",
+  "ad_reward",
+  "adunit_exposure",
+  "app_background",
+  "app_clear_data",
+  "app_exception",
+  "app_install",
+  "app_remove",
+  "app_store_refund",
+  "app_store_subscription_cancel",
+  "app_store_subscription_convert",
+  "app_store_subscription_renew",
+  "app_update",
+  "app_upgrade",
+  "dynamic_link_app_open",
+  "dynamic_link_app_update",
+  "dynamic_link_first_open",
+  "error",
+  "first_open",
+  "first_visit",
+  "in_app_purchase",
+  "notification_dismiss",
+  "notification_foreground",
+  "notification_open",
+  "notification_receive",
+  "notification_send",
+  "os_update",
+  "screen_view",
+  "session_start",
+  "user_engagement",
+];
+
+/** @const {!Array<string>} User property names reserved by GA4. */
+const RESERVED_USER_PROPERTY_NAMES = [
+  "first_open_after_install",
+  "first_open_time",
+  "first_visit_time",
+  "last_deep_link_referrer",
+  "user_id",
+];
+
+/** @const {!Array<string>} Fields of the request body. */
+const PAYLOAD_FIELDS = [
+  "client_id",
+  "app_instance_id",
+  "user_id",
+  "timestamp_micros",
+  "user_properties",
+  "user_data",
+  "consent",
+  "non_personalized_ads",
+  "events",
+];
+
+/**
+ * @const {!Object<string, string>} Map of UA hit parameter names, as decoded
+ * by measurementProtocol.parse, to the UA data layer action fields.
+ */
+const UA_ACTION_FIELDS = {
+  transaction_id: "id",
+  affiliation: "affiliation",
+  value: "revenue",
+  tax: "tax",
+  shipping: "shipping",
+  coupon: "coupon",
+  item_list_name: "list",
+  checkout_step: "step",
+  checkout_option: "option",
+};
+
+/**
+ * Codes of the validation messages, as returned by the debug endpoint.
+ *
+ * @enum {string}
+ */
+const ValidationCode = {
+  VALUE_INVALID: "VALUE_INVALID",
+  VALUE_REQUIRED: "VALUE_REQUIRED",
+  NAME_INVALID: "NAME_INVALID",
+  NAME_RESERVED: "NAME_RESERVED",
+  VALUE_OUT_OF_BOUNDS: "VALUE_OUT_OF_BOUNDS",
+  EXCEEDED_MAX_ENTITIES: "EXCEEDED_MAX_ENTITIES",
+};
+
+/**
+ * Languages of the sample code.
+ *
+ * @enum {string}
+ */
+const SampleLanguage = {
+  NODE: "node",
+  PYTHON: "python",
+  CURL: "curl",
+};
+
+/**
+ * @typedef {{
+ *   fieldPath: string,
+ *   description: string,
+ *   validationCode: !ValidationCode,
+ * }}
+ */
+let ValidationMessage;
+
+/**
+ * Builds a Measurement Protocol request body.
+ *
+ * @param {!Array<!Object<string, *>>} parsedEvents Events in the format of
+ *     the hits parsed by ga4.parse (event, params and products), with the
+ *     custom mapping already applied.
+ * @param {{clientId: (string|undefined), userId: (string|undefined)}=} ids
+ *     The client ID defaults to a placeholder to replace.
+ * @return {!Object<string, *>} The request body.
+ */
+function buildPayload(parsedEvents, ids = {}) {
+  const payload = { client_id: ids.clientId || CLIENT_ID_PLACEHOLDER };
+  if (ids.userId) {
+    payload["user_id"] = ids.userId;
+  }
+  payload["events"] = parsedEvents.map((parsedEvent) => {
+    const { event, params } = schemaRecommend.buildGa4Event(parsedEvent);
+    return { name: event, params };
+  });
+  return payload;
+}
+
+/**
+ * @param {!Object<string, *>} parsedHit As returned by
+ *     measurementProtocol.parse.
+ * @return {!Array<!Object<string, *>>} The UA data layer ecommerce objects
+ *     with the same data: one for the product action, one for the
+ *     impressions and one for the promotions, as GA4 sends them as separate
+ *     events.
+ */
+function uaEcommerceObjects(parsedHit) {
+  const params = parsedHit.params;
+  const objects = [];
+  const currency = params["currency"]
+    ? { currencyCode: params["currency"] }
+    : {};
+  const action = params["product_action"];
+  if (action) {
+    const actionField = {};
+    for (const param of Object.keys(UA_ACTION_FIELDS)) {
+      if (params[param] !== undefined) {
+        actionField[UA_ACTION_FIELDS[param]] = params[param];
+      }
+    }
+    objects.push(
+      Object.assign({}, currency, {
+        [action]: {
+          actionField,
+          products: parsedHit.products.filter((product) => product),
+        },
+      })
+    );
+  }
+  const impressions = [];
+  for (const list of parsedHit.impressions.filter((list) => list)) {
+    for (const impression of list.impressions.filter((item) => item)) {
+      impressions.push(
+        list.name === undefined
+          ? impression
+          : Object.assign({ item_list_name: list.name }, impression)
+      );
+    }
+  }
+  if (impressions.length) {
+    objects.push(Object.assign({}, currency, { impressions }));
+  }
+  const promotions = parsedHit.promos.filter((promo) => promo);
+  if (promotions.length) {
+    const promoAction =
+      params["promo_action"] === "click" ? "promoClick" : "promoView";
+    objects.push({ [promoAction]: { promotions } });
+  }
+  return objects;
+}
+
+/**
+ * Converts a UA measurement protocol hit, e.g. a refund sent from a server,
+ * into the GA4 Measurement Protocol request body with the same data.
+ *
+ * @param {!Object<string, *>} parsedHit As returned by
+ *     measurementProtocol.parse.
+ * @param {!Object<string, string>=} mapping Custom dimension and metric
+ *     mapping applied to the items, see customMapping.parse.
+ * @return {?Object<string, *>} The request body, or null if the hit has no
+ *     ecommerce data.
+ */
+function fromUaHit(parsedHit, mapping = {}) {
+  const mappedHit = customMapping.applyToHit(parsedHit, mapping);
+  const parsedEvents = uaEcommerceObjects(mappedHit)
+    .map((ecommerce) =>
+      schemaConvert.convertToGa4(
+        schemaId.Api.DATA_LAYER,
+        undefined,
+        { ecommerce },
+        schemaId.KnownSchema.GTM_UA
+      )
+    )
+    .filter((ga4Event) => ga4Event)
+    .map((ga4Event) => schemaConvert.toParsedHitData(ga4Event));
+  if (!parsedEvents.length) {
+    return null;
+  }
+  return buildPayload(parsedEvents, {
+    clientId: parsedHit.hit["clientId"],
+    userId: parsedHit.hit["userId"],
+  });
+}
+
+/**
+ * @param {string} kind What is named, for the description, e.g. "name".
+ * @param {string} name
+ * @param {string} where Where the name is, for the description.
+ * @param {string} fieldPath
+ * @param {number} maxLength
+ * @param {!Array<string>} reservedNames
+ * @return {?ValidationMessage} A message if the name is invalid or reserved.
+ */
+function checkName(kind, name, where, fieldPath, maxLength, reservedNames) {
+  if (!NAME_REGEX.test(name) || name.length > maxLength) {
+    return {
+      fieldPath,
+      description:
+        `${where} has invalid ${kind} [${name}]. Names must start with an ` +
+        "alphabetic character, contain only alphanumeric characters and " +
+        `underscores, and have at most ${maxLength} characters.`,
+      validationCode: ValidationCode.NAME_INVALID,
+    };
+  }
+  if (RESERVED_PREFIX_REGEX.test(name) || reservedNames.includes(name)) {
+    return {
+      fieldPath,
+      description: `${where} has ${kind} [${name}] which is reserved.`,
+      validationCode: ValidationCode.NAME_RESERVED,
+    };
+  }
+  return null;
+}
+
+/**
+ * @param {*} items
+ * @param {string} where
+ * @param {string} fieldPath
+ * @return {!Array<!ValidationMessage>}
+ */
+function validateItems(items, where, fieldPath) {
+  if (!Array.isArray(items)) {
+    return [
+      {
+        fieldPath,
+        description: `${where} has items which aren't an array.`,
+        validationCode: ValidationCode.VALUE_INVALID,
+      },
+    ];
+  }
+  const messages = [];
+  if (items.length > MAX_ITEMS) {
+    messages.push({
+      fieldPath,
+      description: `${where} has ${items.length} items, the maximum is ${MAX_ITEMS}.`,
+      validationCode: ValidationCode.EXCEEDED_MAX_ENTITIES,
+    });
+  }
+  items.forEach((item, index) => {
+    const itemWhere = `Item at index: [${index}] of ${where.toLowerCase()}`;
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      messages.push({
+        fieldPath: `${fieldPath}[${index}]`,
+        description: `${itemWhere} isn't an object.`,
+        validationCode: ValidationCode.VALUE_INVALID,
+      });
+    } else if (
+      item["item_id"] === undefined &&
+      item["item_name"] === undefined
+    ) {
+      messages.push({
+        fieldPath: `${fieldPath}[${index}]`,
+        description: `${itemWhere} must have an item_id or an item_name.`,
+        validationCode: ValidationCode.VALUE_REQUIRED,
+      });
+    }
+  });
+  return messages;
+}
+
+/**
+ * @param {*} event
+ * @param {number} index
+ * @return {!Array<!ValidationMessage>}
+ */
+function validateEvent(event, index) {
+  const where = `Event at index: [${index}]`;
+  const fieldPath = `events[${index}]`;
+  if (!event || typeof event !== "object" || Array.isArray(event)) {
+    return [
+      {
+        fieldPath,
+        description: `${where} isn't an object.`,
+        validationCode: ValidationCode.VALUE_INVALID,
+      },
+    ];
+  }
+  const messages = [];
+  const name = event["name"];
+  if (typeof name !== "string" || !name) {
+    messages.push({
+      fieldPath: `${fieldPath}.name`,
+      description: `${where} is missing a name.`,
+      validationCode: ValidationCode.VALUE_REQUIRED,
+    });
+  } else {
+    const message = checkName(
+      "name",
+      name,
+      where,
+      `${fieldPath}.name`,
+      MAX_NAME_LENGTH,
+      RESERVED_EVENT_NAMES
+    );
+    if (message) {
+      messages.push(message);
+    }
+  }
+
+  const params = event["params"] === undefined ? {} : event["params"];
+  if (!params || typeof params !== "object" || Array.isArray(params)) {
+    messages.push({
+      fieldPath: `${fieldPath}.params`,
+      description: `${where} has params which aren't an object.`,
+      validationCode: ValidationCode.VALUE_INVALID,
+    });
+    return messages;
+  }
+  const paramNames = Object.keys(params);
+  if (paramNames.length > MAX_PARAMS) {
+    messages.push({
+      fieldPath: `${fieldPath}.params`,
+      description:
+        `${where} has ${paramNames.length} parameters, the maximum is ` +
+        `${MAX_PARAMS}.`,
+      validationCode: ValidationCode.EXCEEDED_MAX_ENTITIES,
+    });
+  }
+  for (const paramName of paramNames) {
+    const paramPath = `${fieldPath}.params.${paramName}`;
+    const value = params[paramName];
+    if (paramName === "items") {
+      messages.push(...validateItems(value, where, paramPath));
+      continue;
+    }
+    const message = checkName(
+      "parameter name",
+      paramName,
+      where,
+      paramPath,
+      MAX_NAME_LENGTH,
+      []
+    );
+    if (message) {
+      messages.push(message);
+    }
+    const maxLength = LONG_VALUE_PARAMS[paramName] || MAX_VALUE_LENGTH;
+    if (value !== null && typeof value === "object") {
+      messages.push({
+        fieldPath: paramPath,
+        description:
+          `${where} has parameter [${paramName}] whose value isn't a ` +
+          "string, number or boolean.",
+        validationCode: ValidationCode.VALUE_INVALID,
+      });
+    } else if (typeof value === "string" && value.length > maxLength) {
+      messages.push({
+        fieldPath: paramPath,
+        description:
+          `${where} has parameter [${paramName}] whose value is longer ` +
+          `than ${maxLength} characters.`,
+        validationCode: ValidationCode.VALUE_OUT_OF_BOUNDS,
+      });
+    }
+  }
+  return messages;
+}
+
+/**
+ * @param {*} userProperties
+ * @return {!Array<!ValidationMessage>}
+ */
+function validateUserProperties(userProperties) {
+  if (
+    !userProperties ||
+    typeof userProperties !== "object" ||
+    Array.isArray(userProperties)
+  ) {
+    return [
+      {
+        fieldPath: "user_properties",
+        description: "user_properties must be an object.",
+        validationCode: ValidationCode.VALUE_INVALID,
+      },
+    ];
+  }
+  const messages = [];
+  const names = Object.keys(userProperties);
+  if (names.length > MAX_USER_PROPERTIES) {
+    messages.push({
+      fieldPath: "user_properties",
+      description:
+        `There are ${names.length} user properties, the maximum is ` +
+        `${MAX_USER_PROPERTIES}.`,
+      validationCode: ValidationCode.EXCEEDED_MAX_ENTITIES,
+    });
+  }
+  for (const name of names) {
+    const fieldPath = `user_properties.${name}`;
+    const message = checkName(
+      "name",
+      name,
+      "User property",
+      fieldPath,
+      MAX_USER_PROPERTY_NAME_LENGTH,
+      RESERVED_USER_PROPERTY_NAMES
+    );
+    if (message) {
+      messages.push(message);
+    }
+    const property = userProperties[name];
+    const value =
+      property && typeof property === "object" ? property["value"] : undefined;
+    if (value === undefined) {
+      messages.push({
+        fieldPath,
+        description: `User property [${name}] must be an object with a value.`,
+        validationCode: ValidationCode.VALUE_INVALID,
+      });
+    } else if (
+      typeof value === "string" &&
+      value.length > MAX_USER_PROPERTY_VALUE_LENGTH
+    ) {
+      messages.push({
+        fieldPath,
+        description:
+          `User property [${name}] has a value longer than ` +
+          `${MAX_USER_PROPERTY_VALUE_LENGTH} characters.`,
+        validationCode: ValidationCode.VALUE_OUT_OF_BOUNDS,
+      });
+    }
+  }
+  return messages;
+}
+
+/**
+ * Validates a request body locally, with the same kind of messages as the
+ * /debug/mp/collect endpoint. An empty list means the body is valid, but
+ * like the endpoint, this doesn't check that the events make sense.
+ *
+ * @param {*} payload The request body.
+ * @return {{validationMessages: !Array<!ValidationMessage>}}
+ */
+function validate(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return {
+      validationMessages: [
+        {
+          fieldPath: "",
+          description: "The request body must be a JSON object.",
+          validationCode: ValidationCode.VALUE_INVALID,
+        },
+      ],
+    };
+  }
+  const messages = [];
+  for (const field of Object.keys(payload)) {
+    if (!PAYLOAD_FIELDS.includes(field)) {
+      messages.push({
+        fieldPath: field,
+        description: `Unknown field [${field}].`,
+        validationCode: ValidationCode.NAME_INVALID,
+      });
+    }
+  }
+  const clientId = payload["client_id"];
+  if (clientId === undefined && payload["app_instance_id"] === undefined) {
+    messages.push({
+      fieldPath: "client_id",
+      description: "client_id is required.",
+      validationCode: ValidationCode.VALUE_REQUIRED,
+    });
+  } else if (
+    clientId !== undefined &&
+    (typeof clientId !== "string" || !clientId)
+  ) {
+    messages.push({
+      fieldPath: "client_id",
+      description: "client_id must be a non-empty string.",
+      validationCode: ValidationCode.VALUE_INVALID,
+    });
+  }
+  const timestamp = payload["timestamp_micros"];
+  if (timestamp !== undefined && !/^\d+$/.test(String(timestamp))) {
+    messages.push({
+      fieldPath: "timestamp_micros",
+      description:
+        "timestamp_micros must be an integer number of microseconds.",
+      validationCode: ValidationCode.VALUE_INVALID,
+    });
+  }
+  if (payload["user_properties"] !== undefined) {
+    messages.push(...validateUserProperties(payload["user_properties"]));
+  }
+
+  const events = payload["events"];
+  if (!Array.isArray(events) || !events.length) {
+    messages.push({
+      fieldPath: "events",
+      description: "events must be a non-empty array.",
+      validationCode: ValidationCode.VALUE_REQUIRED,
+    });
+    return { validationMessages: messages };
+  }
+  if (events.length > MAX_EVENTS) {
+    messages.push({
+      fieldPath: "events",
+      description: `There are ${events.length} events, the maximum is ${MAX_EVENTS}.`,
+      validationCode: ValidationCode.EXCEEDED_MAX_ENTITIES,
+    });
+  }
+  events.forEach((event, index) => {
+    messages.push(...validateEvent(event, index));
+  });
+  return { validationMessages: messages };
+}
+
+/**
+ * @param {!Object<string, *>} payload The request body.
+ * @param {!SampleLanguage} language
+ * @param {string=} measurementId
+ * @return {string} Sample code that sends the request body.
+ */
+function buildSample(
+  payload,
+  language,
+  measurementId = MEASUREMENT_ID_PLACEHOLDER
+) {
+  const json = codeGen.serialize(payload, codeGen.Format.JSON);
+  const secretComment =
+    "Admin > Data Streams > Measurement Protocol API secrets.";
+  const debugComment =
+    "Send to /debug/mp/collect instead to validate the request first.";
+  switch (language) {
+    case SampleLanguage.PYTHON:
+      return [
+        `# ${debugComment}`,
+        "import json",
+        "import urllib.request",
+        "",
+        `MEASUREMENT_ID = ${JSON.stringify(measurementId)}`,
+        `API_SECRET = "${API_SECRET_PLACEHOLDER}"  # ${secretComment}`,
+        "",
+        `payload = json.loads(${JSON.stringify(json)})`,
+        "request = urllib.request.Request(",
+        `    "${COLLECT_URL}"`,
+        '    f"?measurement_id={MEASUREMENT_ID}&api_secret={API_SECRET}",',
+        '    data=json.dumps(payload).encode("utf-8"),',
+        '    headers={"Content-Type": "application/json"},',
+        '    method="POST",',
+        ")",
+        "urllib.request.urlopen(request)",
+      ].join("\n");
+    case SampleLanguage.CURL:
+      return [
+        `# ${debugComment}`,
+        `# API_SECRET: ${secretComment}`,
+        "curl -X POST \\",
+        `  "${COLLECT_URL}?measurement_id=${measurementId}` +
+          `&api_secret=${API_SECRET_PLACEHOLDER}" \\`,
+        '  -H "Content-Type: application/json" \\',
+        "  --data-binary @- <<'EOF'",
+        json,
+        "EOF",
+      ].join("\n");
+  }
+  return [
+    `// Node.js 18 or later. ${debugComment}`,
+    `const measurementId = ${codeGen.quote(measurementId)};`,
+    `// ${secretComment}`,
+    `const apiSecret = ${codeGen.quote(API_SECRET_PLACEHOLDER)};`,
+    `const payload = ${codeGen.serialize(payload)};`,
+    "",
+    "fetch(",
+    `  \`${COLLECT_URL}?measurement_id=\${measurementId}` +
+      "&api_secret=${apiSecret}`,",
+    "  { method: 'POST', body: JSON.stringify(payload) }",
+    ");",
+  ].join("\n");
+}
+
+export default {
+  ValidationCode,
+  SampleLanguage,
+  buildPayload,
+  fromUaHit,
+  validate,
+  buildSample,
+};
@@ -0,0 +1,576 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Support for Google Tag Manager container exports: finds the
+ * Universal Analytics tags with Enhanced Ecommerce enabled, where they read
+ * the ecommerce data from, and generates GA4 event tags that send the same
+ * data on the same triggers. This is the static counterpart of the tool's own
+ * container, whose UA tags are told apart at runtime by their event label.
+ */
+import schemaValidate from "./schema_validate.js";
+
+/** @const {string} Tag type of Universal Analytics tags. */
+const UA_TAG_TYPE = "ua";
+
+/** @const {string} Tag type of GA4 event tags. */
+const GA4_EVENT_TAG_TYPE = "gaawe";
+
+/** @const {string} Variable type of Google Analytics Settings variables. */
+const GA_SETTINGS_VARIABLE_TYPE = "gas";
+
+/** @const {string} Variable type of constant variables. */
+const CONSTANT_VARIABLE_TYPE = "c";
+
+/** @const {string} ID of the built-in All Pages trigger. */
+const ALL_PAGES_TRIGGER_ID = "2147479553";
+
+/** @const {string} Name of the variable generated for the measurement ID. */
+const MEASUREMENT_ID_VARIABLE = "GA4 Measurement ID";
+
+/** @const {string} Value of the measurement ID variable if none is given. */
+const MEASUREMENT_ID_PLACEHOLDER = "G-XXXXXXXXXX";
+
+/**
+ * @const {string} Event name sent by GA4 tags whose triggers don't tell which
+ * event to send: the built-in variable with the data layer event name.
+ */
+const DATA_LAYER_EVENT_NAME = "{{Event}}";
+
+/**
+ * @const {!RegExp} Regex for a variable reference. Capturing group 1 is the
+ * variable name.
+ */
+const VARIABLE_REFERENCE_REGEX = /^\{\{(.+)\}\}$/;
+
+/**
+ * @const {!Object<string, string>} Map of the data layer event names used in
+ * the UA Enhanced Ecommerce developer guide to the GA4 events. GA4 event names
+ * map to themselves.
+ */
+const UA_EVENT_NAMES = {
+  productClick: "select_item",
+  addToCart: "add_to_cart",
+  removeFromCart: "remove_from_cart",
+  checkout: "begin_checkout",
+  promotionClick: "select_promotion",
+};
+
+/**
+ * @const {string} Data layer event of UA checkout options, which are sent in
+ * GA4 as add_shipping_info or add_payment_info depending on the checkout
+ * step, so the GA4 event can't be told from the trigger.
+ */
+const CHECKOUT_OPTION_EVENT = "checkoutOption";
+
+/**
+ * Where a tag reads the ecommerce data from.
+ *
+ * @enum {string}
+ */
+const DataSource = {
+  /** The ecommerce object of the latest data layer update. */
+  DATA_LAYER: "dataLayer",
+  /** A variable, usually a Custom JavaScript variable. */
+  VARIABLE: "variable",
+};
+
+/**
+ * A trigger of a UA tag. Unresolved is why the GA4 event can't be told from
+ * the trigger, if ga4Event is null.
+ *
+ * @typedef {{
+ *   triggerId: string,
+ *   name: string,
+ *   type: string,
+ *   event: (string|undefined),
+ *   ga4Event: ?string,
+ *   unresolved: (string|undefined),
+ * }}
+ */
+let TriggerReport;
+
+/**
+ * A UA tag with Enhanced Ecommerce enabled. Variable is the name of the
+ * variable the ecommerce data is read from, if dataSource is VARIABLE.
+ *
+ * @typedef {{
+ *   tagId: string,
+ *   name: string,
+ *   trackType: (string|undefined),
+ *   settingsVariable: (string|undefined),
+ *   dataSource: !DataSource,
+ *   variable: (string|undefined),
+ *   triggers: !Array<!TriggerReport>,
+ *   ga4Event: string,
+ *   mirroredBy: (string|undefined),
+ *   warnings: !Array<string>,
+ * }}
+ */
+let UaTagReport;
+
+/**
+ * A GA4 event tag that already sends ecommerce data.
+ *
+ * @typedef {{
+ *   tagId: string,
+ *   name: string,
+ *   eventName: (string|undefined),
+ *   dataSource: !DataSource,
+ *   variable: (string|undefined),
+ * }}
+ */
+let Ga4TagReport;
+
+/**
+ * @typedef {{
+ *   uaTags: !Array<!UaTagReport>,
+ *   ga4Tags: !Array<!Ga4TagReport>,
+ * }}
+ */
+let ContainerReport;
+
+/**
+ * @param {string} text A container export, as downloaded from Tag Manager.
+ * @return {!Object<string, *>} The container version of the export, with its
+ *     tags, triggers and variables.
+ * @throws {!Error} If the text isn't a container export.
+ */
+function parseContainer(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (ex) {
+    throw new Error(`Invalid JSON: ${ex.message}`);
+  }
+  if (
+    !parsed ||
+    typeof parsed !== "object" ||
+    !parsed["containerVersion"] ||
+    typeof parsed["containerVersion"] !== "object"
+  ) {
+    throw new Error("Not a container export: containerVersion is missing.");
+  }
+  return parsed["containerVersion"];
+}
+
+/**
+ * @param {!Object<string, *>} entity A tag, trigger or variable.
+ * @param {string} key
+ * @return {string|undefined} The value of the parameter with that key.
+ */
+function paramValue(entity, key) {
+  const param = (entity["parameter"] || []).find(
+    (parameter) => parameter["key"] === key
+  );
+  return param ? param["value"] : undefined;
+}
+
+/**
+ * @param {string|undefined} value A parameter value.
+ * @return {string|undefined} The name of the variable the value refers to,
+ *     e.g. "Ecommerce" for "{{Ecommerce}}", or undefined if it isn't a
+ *     variable reference.
+ */
+function variableName(value) {
+  const match = VARIABLE_REFERENCE_REGEX.exec(value || "");
+  return match ? match[1] : undefined;
+}
+
+/**
+ * @param {string|undefined} event A data layer event name.
+ * @return {?string} The GA4 ecommerce event sent for it, or null if unknown.
+ */
+function ga4EventOf(event) {
+  if (schemaValidate.GA4_ECOMMERCE_EVENTS.includes(event)) {
+    return event;
+  }
+  return UA_EVENT_NAMES.hasOwnProperty(event) ? UA_EVENT_NAMES[event] : null;
+}
+
+/**
+ * @param {string} triggerId
+ * @param {!Object<string, !Object<string, *>>} triggersById
+ * @return {!TriggerReport}
+ */
+function analyzeTrigger(triggerId, triggersById) {
+  const trigger = triggersById[triggerId];
+  if (!trigger) {
+    const allPages = triggerId === ALL_PAGES_TRIGGER_ID;
+    return {
+      triggerId,
+      name: allPages ? "All Pages" : `Trigger ${triggerId}`,
+      type: allPages ? "PAGEVIEW" : "UNKNOWN",
+      event: undefined,
+      ga4Event: null,
+      unresolved: allPages
+        ? "fires on page views, not on a data layer event"
+        : "isn't in the container",
+    };
+  }
+  let event;
+  const conditions = (trigger["customEventFilter"] || []).filter(
+    (condition) => paramValue(condition, "arg0") === "{{_event}}"
+  );
+  for (const condition of conditions) {
+    if (condition["type"] === "EQUALS") {
+      event = paramValue(condition, "arg1");
+    }
+  }
+  const ga4Event = ga4EventOf(event);
+  let unresolved;
+  if (event === CHECKOUT_OPTION_EVENT) {
+    unresolved =
+      `fires on ${event}, which is sent as add_shipping_info or ` +
+      "add_payment_info depending on the checkout step";
+  } else if (event !== undefined && !ga4Event) {
+    unresolved = `fires on ${event}, which isn't an ecommerce event`;
+  } else if (event === undefined && conditions.length) {
+    const types = conditions.map((condition) => condition["type"]);
+    unresolved = `matches the event name with ${types.join(", ")}, not EQUALS`;
+  } else if (event === undefined) {
+    unresolved = `is a ${trigger["type"]} trigger, not a custom event one`;
+  }
+  return {
+    triggerId,
+    name: trigger["name"],
+    type: trigger["type"],
+    event,
+    ga4Event,
+    unresolved,
+  };
+}
+
+/**
+ * @param {!Object<string, *>} tag
+ * @return {!Array<string>} The IDs of the triggers that fire the tag.
+ */
+function firingTriggerIds(tag) {
+  return (tag["firingTriggerId"] || []).map(String);
+}
+
+/**
+ * @param {!Object<string, *>} tag A UA tag.
+ * @param {!Object<string, !Object<string, *>>} variablesByName
+ * @param {!Object<string, !Object<string, *>>} triggersById
+ * @return {?UaTagReport} The report of the tag, or null if it doesn't have
+ *     Enhanced Ecommerce enabled.
+ */
+function analyzeUaTag(tag, variablesByName, triggersById) {
+  // Settings that aren't overridden in the tag come from its Google Analytics
+  // Settings variable.
+  const settingsVariable = variableName(paramValue(tag, "gaSettings"));
+  const settings = variablesByName[settingsVariable];
+  const setting = (key) => {
+    const value = paramValue(tag, key);
+    if (value !== undefined || !settings) {
+      return value;
+    }
+    return settings["type"] === GA_SETTINGS_VARIABLE_TYPE
+      ? paramValue(settings, key)
+      : undefined;
+  };
+  if (setting("enableEcommerce") !== "true") {
+    return null;
+  }
+
+  const warnings = [];
+  const dataSource =
+    setting("useEcommerceDataLayer") === "true"
+      ? DataSource.DATA_LAYER
+      : DataSource.VARIABLE;
+  const variable =
+    dataSource === DataSource.VARIABLE
+      ? variableName(setting("ecommerceMacroData"))
+      : undefined;
+  if (dataSource === DataSource.VARIABLE && !variable) {
+    warnings.push(
+      "Reads the ecommerce data from a variable, but no variable is set."
+    );
+  }
+
+  const triggers = firingTriggerIds(tag).map((triggerId) =>
+    analyzeTrigger(triggerId, triggersById)
+  );
+  const ga4Events = new Set(triggers.map((trigger) => trigger.ga4Event));
+  let ga4Event = DATA_LAYER_EVENT_NAME;
+  if (ga4Events.size === 1 && !ga4Events.has(null)) {
+    ga4Event = [...ga4Events][0];
+  } else if (ga4Events.size > 1 && !ga4Events.has(null)) {
+    warnings.push(
+      "Fires on several ecommerce events, so the GA4 tag sends the data " +
+        `layer event name (${DATA_LAYER_EVENT_NAME}): check that the events ` +
+        "are named after the GA4 events, or split the tag."
+    );
+  } else {
+    const unresolved = triggers
+      .filter((trigger) => !trigger.ga4Event)
+      .map((trigger) => `"${trigger.name}" ${trigger.unresolved}`);
+    warnings.push(
+      "The GA4 event can't be told from the triggers" +
+        (unresolved.length ? ` (${unresolved.join("; ")})` : "") +
+        ", so the GA4 tag sends the data layer event name " +
+        `(${DATA_LAYER_EVENT_NAME}): set the GA4 ecommerce event to send.`
+    );
+  }
+
+  return {
+    tagId: String(tag["tagId"]),
+    name: tag["name"],
+    trackType: paramValue(tag, "trackType"),
+    settingsVariable,
+    dataSource,
+    variable,
+    triggers,
+    ga4Event,
+    mirroredBy: undefined,
+    warnings,
+  };
+}
+
+/**
+ * @param {!Object<string, *>} tag A GA4 event tag.
+ * @return {?Ga4TagReport} The report of the tag, or null if it doesn't send
+ *     ecommerce data.
+ */
+function analyzeGa4Tag(tag) {
+  if (paramValue(tag, "sendEcommerceData") !== "true") {
+    return null;
+  }
+  const fromVariable =
+    paramValue(tag, "getEcommerceDataFrom") === "customObject";
+  return {
+    tagId: String(tag["tagId"]),
+    name: tag["name"],
+    eventName: paramValue(tag, "eventName"),
+    dataSource: fromVariable ? DataSource.VARIABLE : DataSource.DATA_LAYER,
+    variable: fromVariable
+      ? variableName(paramValue(tag, "ecommerceMacroData"))
+      : undefined,
+  };
+}
+
+/**
+ * Finds the UA tags with Enhanced Ecommerce enabled and the GA4 event tags
+ * that send ecommerce data. A UA tag is mirrored by a GA4 tag that fires on
+ * one of its triggers and reads the same ecommerce data.
+ *
+ * @param {!Object<string, *>} containerVersion As returned by parseContainer.
+ * @return {!ContainerReport}
+ */
+function analyzeContainer(containerVersion) {
+  const variablesByName = {};
+  for (const variable of containerVersion["variable"] || []) {
+    variablesByName[variable["name"]] = variable;
+  }
+  const triggersById = {};
+  for (const trigger of containerVersion["trigger"] || []) {
+    triggersById[String(trigger["triggerId"])] = trigger;
+  }
+
+  const uaTags = [];
+  const ga4Tags = [];
+  const ga4TriggerIds = {};
+  for (const tag of containerVersion["tag"] || []) {
+    if (tag["type"] === UA_TAG_TYPE) {
+      const report = analyzeUaTag(tag, variablesByName, triggersById);
+      if (report) {
+        uaTags.push(report);
+      }
+    } else if (tag["type"] === GA4_EVENT_TAG_TYPE) {
+      const report = analyzeGa4Tag(tag);
+      if (report) {
+        ga4Tags.push(report);
+        ga4TriggerIds[report.tagId] = firingTriggerIds(tag);
+      }
+    }
+  }
+
+  for (const uaTag of uaTags) {
+    const mirror = ga4Tags.find(
+      (ga4Tag) =>
+        ga4Tag.dataSource === uaTag.dataSource &&
+        ga4Tag.variable === uaTag.variable &&
+        uaTag.triggers.some((trigger) =>
+          ga4TriggerIds[ga4Tag.tagId].includes(trigger.triggerId)
+        )
+    );
+    if (mirror) {
+      uaTag.mirroredBy = mirror.name;
+    }
+  }
+  return { uaTags, ga4Tags };
+}
+
+/**
+ * @param {!Object<string, *>} containerVersion
+ * @return {number} The largest tag, trigger or variable ID in the container.
+ */
+function maxEntityId(containerVersion) {
+  let max = 0;
+  for (const [entities, idKey] of [
+    ["tag", "tagId"],
+    ["trigger", "triggerId"],
+    ["variable", "variableId"],
+  ]) {
+    for (const entity of containerVersion[entities] || []) {
+      max = Math.max(max, Number(entity[idKey]) || 0);
+    }
+  }
+  return max;
+}
+
+/**
+ * Generates the GA4 event tags that mirror the UA tags of a container, as a
+ * container export to import (merge) into the same container. Each tag sends
+ * the ecommerce data from the same source as its UA tag, on the same
+ * triggers. The triggers and ecommerce variables the tags use are included
+ * unchanged, so the export is complete, along with a constant variable for
+ * the measurement ID unless the container already has one.
+ *
+ * @param {!Object<string, *>} containerVersion As returned by parseContainer.
+ * @param {!ContainerReport} report As returned by analyzeContainer.
+ * @param {string=} measurementId The GA4 measurement ID, e.g. G-XXXXXXXXXX.
+ * @return {!Object<string, *>} The container export. UA tags that are already
+ *     mirrored by a GA4 tag are skipped.
+ */
+function buildGa4Tags(
+  containerVersion,
+  report,
+  measurementId = MEASUREMENT_ID_PLACEHOLDER
+) {
+  const ids = {};
+  for (const key of ["accountId", "containerId"]) {
+    if (containerVersion[key] !== undefined) {
+      ids[key] = containerVersion[key];
+    }
+  }
+  let nextId = maxEntityId(containerVersion) + 1;
+  const tagsById = {};
+  for (const tag of containerVersion["tag"] || []) {
+    tagsById[String(tag["tagId"])] = tag;
+  }
+  const usedNames = new Set(
+    (containerVersion["tag"] || []).map((tag) => tag["name"])
+  );
+
+  const tags = [];
+  const triggerIds = new Set();
+  const variableNames = new Set();
+  for (const uaTag of report.uaTags) {
+    if (uaTag.mirroredBy) {
+      continue;
+    }
+    const source = tagsById[uaTag.tagId];
+    let name =
+      uaTag.ga4Event === DATA_LAYER_EVENT_NAME
+        ? `GA4 Event - ${uaTag.name}`
+        : `GA4 Event - ${uaTag.ga4Event}`;
+    if (usedNames.has(name)) {
+      name += ` (${uaTag.name})`;
+    }
+    usedNames.add(name);
+
+    const parameter = [
+      { type: "TEMPLATE", key: "eventName", value: uaTag.ga4Event },
+      {
+        type: "TEMPLATE",
+        key: "measurementIdOverride",
+        value: `{{${MEASUREMENT_ID_VARIABLE}}}`,
+      },
+      { type: "BOOLEAN", key: "sendEcommerceData", value: "true" },
+    ];
+    if (uaTag.dataSource === DataSource.VARIABLE) {
+      parameter.push(
+        {
+          type: "TEMPLATE",
+          key: "getEcommerceDataFrom",
+          value: "customObject",
+        },
+        {
+          type: "TEMPLATE",
+          key: "ecommerceMacroData",
+          value: `{{${uaTag.variable}}}`,
+        }
+      );
+      variableNames.add(uaTag.variable);
+    } else {
+      parameter.push({
+        type: "TEMPLATE",
+        key: "getEcommerceDataFrom",
+        value: "dataLayer",
+      });
+    }
+    const tag = Object.assign({}, ids, {
+      tagId: String(nextId++),
+      name,
+      type: GA4_EVENT_TAG_TYPE,
+      parameter,
+      firingTriggerId: firingTriggerIds(source),
+      tagFiringOption: "ONCE_PER_EVENT",
+    });
+    if (source["blockingTriggerId"]) {
+      tag["blockingTriggerId"] = source["blockingTriggerId"].map(String);
+    }
+    for (const triggerId of [
+      ...tag["firingTriggerId"],
+      ...(tag["blockingTriggerId"] || []),
+    ]) {
+      triggerIds.add(triggerId);
+    }
+    tags.push(tag);
+  }
+
+  const triggers = (containerVersion["trigger"] || []).filter((trigger) =>
+    triggerIds.has(String(trigger["triggerId"]))
+  );
+  const variables = (containerVersion["variable"] || []).filter(
+    (variable) =>
+      variableNames.has(variable["name"]) ||
+      variable["name"] === MEASUREMENT_ID_VARIABLE
+  );
+  if (
+    tags.length &&
+    !variables.some((variable) => variable["name"] === MEASUREMENT_ID_VARIABLE)
+  ) {
+    variables.push(
+      Object.assign({}, ids, {
+        variableId: String(nextId++),
+        name: MEASUREMENT_ID_VARIABLE,
+        type: CONSTANT_VARIABLE_TYPE,
+        parameter: [{ type: "TEMPLATE", key: "value", value: measurementId }],
+      })
+    );
+  }
+
+  const version = {};
+  if (containerVersion["container"]) {
+    version["container"] = containerVersion["container"];
+  }
+  return {
+    exportFormatVersion: 2,
+    containerVersion: Object.assign(version, {
+      tag: tags,
+      trigger: triggers,
+      variable: variables,
+    }),
+  };
+}
+
+export default {
+  DataSource,
+  parseContainer,
+  analyzeContainer,
+  buildGa4Tags,
+};
@@ -0,0 +1,125 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Support for reading the Google Analytics hits recorded in a
+ * HAR (HTTP Archive) file, so they can be analyzed offline the same way as
+ * hits captured from the page.
+ *
+ * Tag Manager preview (Tag Assistant) exports aren't supported: their format
+ * isn't documented and doesn't hold the hits as sent. A HAR recorded in the
+ * browser during the same preview session has them.
+ */
+import ga4 from "./ga4.js";
+import hitCapture from "./hit_capture.js";
+
+/**
+ * @const {!RegExp} Regex for the protocol version parameter of a UA hit,
+ * which tells UA hits apart from other services' /collect endpoints.
+ */
+const UA_VERSION_REGEX = /(^|[?&\n])v=1(&|$)/m;
+
+/**
+ * @param {string} base64
+ * @return {string} The base64 encoded bytes, decoded as UTF-8 text.
+ */
+function decodeBase64(base64) {
+  // atob returns one character per byte, which mangles multi-byte characters.
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * @param {!Object<string, *>} postData The postData of a HAR request.
+ * @return {string} The request body as text.
+ */
+function readPostData(postData) {
+  if (typeof postData["text"] === "string") {
+    return postData["encoding"] === "base64"
+      ? decodeBase64(postData["text"])
+      : postData["text"];
+  }
+  if (Array.isArray(postData["params"])) {
+    // Form bodies may be recorded as name/value pairs only.
+    const params = new URLSearchParams();
+    for (const param of postData["params"]) {
+      params.append(param["name"], param["value"] || "");
+    }
+    return params.toString();
+  }
+  return "";
+}
+
+/**
+ * @param {string} url
+ * @param {string} body
+ * @return {boolean} Whether the request is a GA4 or UA hit.
+ */
+function isAnalyticsHit(url, body) {
+  if (!hitCapture.isHitUrl(url.split("#")[0])) {
+    return false;
+  }
+  return (
+    ga4.isGa4Hit(url) ||
+    UA_VERSION_REGEX.test(url.split("?")[1] || "") ||
+    UA_VERSION_REGEX.test(body)
+  );
+}
+
+/**
+ * Reads the Google Analytics hits from a HAR file, in the order they were
+ * sent. Other requests are ignored.
+ *
+ * @param {string} text The HAR file contents.
+ * @return {!Array<{url: string, body: string, transport: string, time: !Date}>}
+ *     The hits, in the format passed to hitCapture listeners.
+ * @throws {!Error} If the text isn't a HAR file.
+ */
+function extractHits(text) {
+  let har;
+  try {
+    har = JSON.parse(text);
+  } catch (ex) {
+    throw new Error(`Invalid HAR file: ${ex.message}`);
+  }
+  const entries = har && har["log"] && har["log"]["entries"];
+  if (!Array.isArray(entries)) {
+    throw new Error(
+      "Invalid HAR file: log.entries is missing. Tag Manager preview " +
+        "exports aren't supported, record a HAR in the browser instead."
+    );
+  }
+  const hits = [];
+  for (const entry of entries) {
+    const request = entry && entry["request"];
+    if (!request || typeof request["url"] !== "string") {
+      continue;
+    }
+    const body = request["postData"] ? readPostData(request["postData"]) : "";
+    if (!isAnalyticsHit(request["url"], body)) {
+      continue;
+    }
+    const time = new Date(entry["startedDateTime"]);
+    hits.push({
+      url: request["url"],
+      body,
+      transport: hitCapture.Transport.HAR,
+      time: isNaN(time) ? new Date(0) : time,
+    });
+  }
+  // Entries are usually in order already, but HAR doesn't require it.
+  return hits.sort((a, b) => a.time - b.time);
+}
+
+export default { extractHits };
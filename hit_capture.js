@@ -0,0 +1,195 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Captures Google Analytics hits sent by the page, including
+ * their POST bodies, by wrapping every transport the tags use to send them:
+ * navigator.sendBeacon, fetch, XMLHttpRequest and image pixels.
+ */
+
+/**
+ * @const {!RegExp} Regex for identifying a Google Analytics hit URL. Matches
+ * both GA4 (/g/collect) and UA (/collect, /j/collect, /r/collect, /batch)
+ * endpoints.
+ */
+const COLLECT_URL_REGEX = /\/(g\/|j\/|r\/)?(collect|batch)(\?|$)/;
+
+/** @enum {string} */
+const Transport = {
+  BEACON: "beacon",
+  FETCH: "fetch",
+  XHR: "xhr",
+  IMAGE: "image",
+  HAR: "har",
+};
+
+/**
+ * @typedef {{
+ *   url: string,
+ *   body: string,
+ *   transport: !Transport,
+ *   time: !Date,
+ * }}
+ */
+let CapturedHit;
+
+/** @type {!Array<function(!CapturedHit)>} */
+const listeners = [];
+
+let installed = false;
+
+/**
+ * @param {*} data A request body in any of the formats accepted by fetch and
+ *     sendBeacon.
+ * @return {!Promise<string>} The body as text. Bodies that can't be read as
+ *     text (e.g. FormData) are returned as an empty string.
+ */
+function readBody(data) {
+  if (data === undefined || data === null) {
+    return Promise.resolve("");
+  }
+  if (typeof data === "string") {
+    return Promise.resolve(data);
+  }
+  if (data instanceof URLSearchParams) {
+    return Promise.resolve(data.toString());
+  }
+  if (typeof Blob !== "undefined" && data instanceof Blob) {
+    return data.text();
+  }
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    return Promise.resolve(new TextDecoder().decode(data));
+  }
+  return Promise.resolve("");
+}
+
+/**
+ * @param {string} url
+ * @return {boolean} Whether the URL is a Google Analytics hit endpoint.
+ */
+function isHitUrl(url) {
+  return COLLECT_URL_REGEX.test(url);
+}
+
+/**
+ * Notifies the listeners of a hit, if the URL is a Google Analytics hit.
+ *
+ * @param {*} url
+ * @param {*} data The request body.
+ * @param {!Transport} transport
+ */
+function capture(url, data, transport) {
+  const urlString = String(url && url.url ? url.url : url);
+  if (!isHitUrl(urlString)) {
+    return;
+  }
+  const time = new Date();
+  readBody(data).then((body) => {
+    for (const listener of listeners) {
+      listener({ url: urlString, body, transport, time });
+    }
+  });
+}
+
+/**
+ * @param {!Window} win
+ */
+function wrapSendBeacon(win) {
+  const nav = win.navigator;
+  if (!nav.sendBeacon) {
+    return;
+  }
+  const originalSendBeacon = nav.sendBeacon;
+  nav.sendBeacon = function (url, data) {
+    capture(url, data, Transport.BEACON);
+    return originalSendBeacon.apply(this, arguments);
+  };
+}
+
+/**
+ * @param {!Window} win
+ */
+function wrapFetch(win) {
+  if (!win.fetch) {
+    return;
+  }
+  const originalFetch = win.fetch;
+  win.fetch = function (input, init) {
+    capture(input, init ? init.body : undefined, Transport.FETCH);
+    return originalFetch.apply(this, arguments);
+  };
+}
+
+/**
+ * @param {!Window} win
+ */
+function wrapXhr(win) {
+  const proto = win.XMLHttpRequest.prototype;
+  const originalOpen = proto.open;
+  const originalSend = proto.send;
+  proto.open = function (method, url) {
+    this.capturedUrl = url;
+    return originalOpen.apply(this, arguments);
+  };
+  proto.send = function (body) {
+    capture(this.capturedUrl, body, Transport.XHR);
+    return originalSend.apply(this, arguments);
+  };
+}
+
+/**
+ * @param {!Window} win
+ */
+function wrapImage(win) {
+  const proto = win.HTMLImageElement.prototype;
+  const descriptor = Object.getOwnPropertyDescriptor(proto, "src");
+  if (!descriptor || !descriptor.set) {
+    return;
+  }
+  Object.defineProperty(
+    proto,
+    "src",
+    Object.assign({}, descriptor, {
+      set(value) {
+        capture(value, undefined, Transport.IMAGE);
+        descriptor.set.call(this, value);
+      },
+    })
+  );
+}
+
+/**
+ * Starts capturing hits sent by the page. Safe to call more than once.
+ *
+ * @param {!Window=} win The window to capture hits from.
+ */
+function install(win = window) {
+  if (installed) {
+    return;
+  }
+  installed = true;
+  wrapSendBeacon(win);
+  wrapFetch(win);
+  wrapXhr(win);
+  wrapImage(win);
+}
+
+/**
+ * @param {function(!CapturedHit)} listener Called for every captured hit.
+ */
+function addListener(listener) {
+  listeners.push(listener);
+}
+
+export default { install, addListener, isHitUrl, Transport };
@@ -0,0 +1,232 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Compares the ecommerce data received by the GA4, UA with GA4
+ * support and UA legacy tags, field by field.
+ */
+
+/** @enum {string} */
+const Status = {
+  MATCH: "match",
+  MISSING: "missing",
+  DROPPED: "dropped",
+  MISMATCH: "mismatch",
+  TRUNCATED: "truncated",
+  DEFAULTED: "defaulted",
+};
+
+/**
+ * @const {!Array<string>} Parameters that only exist in UA hits, and so are
+ * never expected to match.
+ */
+const UA_ONLY_PARAMS = ["product_action", "promo_action"];
+
+/**
+ * @typedef {{
+ *   products: !Array<!Object<string, *>>,
+ *   params: ?Object<string, *>,
+ *   impressions: (!Array<{name: string, impressions: !Array}>|undefined),
+ *   promos: (!Array<!Object<string, *>>|undefined),
+ * }}
+ */
+let ParsedHit;
+
+/**
+ * @typedef {{
+ *   field: string,
+ *   values: !Array<*>,
+ *   status: !Status,
+ * }}
+ */
+let FieldComparison;
+
+/**
+ * @typedef {{
+ *   key: string,
+ *   fields: !Array<!FieldComparison>,
+ * }}
+ */
+let ItemComparison;
+
+/**
+ * @param {?ParsedHit} hit
+ * @return {!Array<!Object<string, *>>} All products, impressions and promos of
+ *     the hit as GA4-style items, in order.
+ */
+function collectItems(hit) {
+  const items = [];
+  hit.products.forEach((product) => items.push(product));
+  (hit.impressions || []).forEach((list) => {
+    list.impressions.forEach((impression) => {
+      const item = Object.assign({}, impression);
+      if (list.name && item["item_list_name"] === undefined) {
+        item["item_list_name"] = list.name;
+      }
+      items.push(item);
+    });
+  });
+  (hit.promos || []).forEach((promo) => items.push(promo));
+  return items;
+}
+
+/**
+ * @param {*} value
+ * @return {*} The value in a form that can be compared across hits: numeric
+ *     strings become numbers, since hits encode all values as text.
+ */
+function normalizeValue(value) {
+  if (typeof value === "string" && value.trim() && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * @param {string} field
+ * @param {!Array<*>} values The field value in each received hit.
+ * @return {!Status}
+ */
+function compareValues(field, values) {
+  const present = values.filter((value) => value !== undefined);
+  if (present.length < values.length) {
+    if (field === "quantity" && present.every((value) => value == 1)) {
+      // The tags default quantity to 1, so it being missing from some hits
+      // usually just means it wasn't set in the input.
+      return Status.DEFAULTED;
+    }
+    return Status.MISSING;
+  }
+  const normalized = present.map(normalizeValue);
+  if (normalized.every((value) => value === normalized[0])) {
+    return Status.MATCH;
+  }
+  // Only text is truncated by the tags: a number that is a prefix of another,
+  // or an empty value, is a different value.
+  if (!normalized.every((value) => typeof value === "string" && value)) {
+    return Status.MISMATCH;
+  }
+  const strings = normalized.slice().sort((a, b) => a.length - b.length);
+  const longest = strings[strings.length - 1];
+  if (strings.every((value) => longest.startsWith(value))) {
+    return Status.TRUNCATED;
+  }
+  return Status.MISMATCH;
+}
+
+/**
+ * @param {!Array<?Object<string, *>>} objects The same object in each hit, or
+ *     null for hits that don't have it.
+ * @param {!Array<string>=} ignoredFields
+ * @return {!Array<!FieldComparison>}
+ */
+function compareObjects(objects, ignoredFields = []) {
+  const fields = [];
+  for (const object of objects) {
+    for (const field of Object.keys(object || {})) {
+      if (!fields.includes(field) && !ignoredFields.includes(field)) {
+        fields.push(field);
+      }
+    }
+  }
+  return fields.map((field) => {
+    const values = objects.map((object) => (object || {})[field]);
+    return { field, values, status: compareValues(field, values) };
+  });
+}
+
+/**
+ * @param {!Array<!Array<!Object<string, *>>>} itemLists The items of each hit.
+ * @return {!Array<string>} Keys to align the items by: the item ID when all
+ *     items have one, else the item position.
+ */
+function alignmentKeys(itemLists) {
+  const all = [].concat(...itemLists);
+  const byId = all.every((item) => item["item_id"] !== undefined);
+  const keys = [];
+  for (const items of itemLists) {
+    items.forEach((item, index) => {
+      const key = byId
+        ? `item_id ${item["item_id"]}`
+        : `position ${index + 1}`;
+      if (!keys.includes(key)) {
+        keys.push(key);
+      }
+    });
+  }
+  return keys;
+}
+
+/**
+ * Compares the ecommerce data of hits sent by different tags for the same
+ * event. Hits that weren't received (null) are left out of the comparison.
+ *
+ * @param {!Array<?ParsedHit>} hits One parsed hit per tag, as returned by
+ *     ga4.parse or measurementProtocol.parse.
+ * @return {{
+ *   received: !Array<boolean>,
+ *   params: !Array<!FieldComparison>,
+ *   items: !Array<!ItemComparison>,
+ * }} The comparison. Values are listed in the same order as the hits, with
+ *     only the received hits taken into account for the status.
+ */
+function compare(hits) {
+  const received = hits.map((hit) => !!hit);
+  const receivedHits = hits.filter((hit) => hit);
+  const params = compareObjects(
+    receivedHits.map((hit) => hit.params || {}),
+    UA_ONLY_PARAMS
+  );
+
+  const itemLists = receivedHits.map(collectItems);
+  const keys = alignmentKeys(itemLists);
+  const items = keys.map((key, position) => {
+    const matching = itemLists.map(
+      (items) =>
+        items.find((item, index) =>
+          key.startsWith("item_id ")
+            ? `item_id ${item["item_id"]}` === key
+            : index === position
+        ) || null
+    );
+    const fields = compareObjects(matching);
+    if (matching.includes(null)) {
+      // The whole item is missing from some hits.
+      for (const field of fields) {
+        field.status = Status.DROPPED;
+      }
+    }
+    return { key, fields };
+  });
+
+  // Spread the values back to one per hit, including the missing hits.
+  const expand = (comparison) => {
+    const values = [];
+    let receivedIndex = 0;
+    for (const isReceived of received) {
+      values.push(isReceived ? comparison.values[receivedIndex++] : undefined);
+    }
+    return Object.assign({}, comparison, { values });
+  };
+  return {
+    received,
+    params: params.map(expand),
+    items: items.map((item) => ({
+      key: item.key,
+      fields: item.fields.map(expand),
+    })),
+  };
+}
+
+export default { compare, Status };
@@ -16,22 +16,89 @@
  * @fileoverview The UI code for the schema test page.
  */
 
+import analyticsEc from "./analytics_ec.js";
+import autofix from "./autofix.js";
+import codeGen from "./code_gen.js";
+import customMapping from "./custom_mapping.js";
+import eventLog from "./event_log.js";
+import funnel from "./funnel.js";
 import ga4 from "./ga4.js";
+import ga4MeasurementProtocol from "./ga4_measurement_protocol.js";
+import harImport from "./har_import.js";
+import hitCapture from "./hit_capture.js";
+import hitCompare from "./hit_compare.js";
 import measurementProtocol from "./measurement_protocol.js";
+import objectLiteral from "./object_literal.js";
+import propertyId from "./property_id.js";
+import schemaConvert from "./schema_convert.js";
 import schemaId from "./schema_id.js";
 import schemaRecommend from "./schema_recommend.js";
+import schemaRecommendUa from "./schema_recommend_ua.js";
+import schemaValidate from "./schema_validate.js";
+import session from "./session.js";
 
+const RecorderBookmarklet = document.getElementById("recorder-bookmarklet");
+const EventLogFile = document.getElementById("event-log-file");
+const EventLogError = document.getElementById("event-log-error");
+const EventLogList = document.getElementById("event-log");
+const EventLogFunnelButton = document.getElementById("event-log-funnel");
 const GtagDiv = document.getElementById("gtag");
 const DataLayerDiv = document.getElementById("dataLayer");
 const ApiSelector = document.getElementById("api");
+const ModeSelector = document.getElementById("mode");
+const FunnelDiv = document.getElementById("funnel");
+const FunnelStepsTextBox = document.getElementById("funnel-steps");
+const FunnelStepsError = document.getElementById("funnel-steps-error");
 const GtagEventTextbox = document.getElementById("gtag-event");
 const GtagParamsTextBox = document.getElementById("gtag-params");
 const DataLayerParamsTextBox = document.getElementById("dl-params");
+const GtagParamsError = document.getElementById("gtag-params-error");
+const DataLayerParamsError = document.getElementById("dl-params-error");
+const AnalyticsDiv = document.getElementById("analytics");
+const AnalyticsCommandsTextBox = document.getElementById("analytics-commands");
+const AnalyticsError = document.getElementById("analytics-error");
+const Ga4PropertyTextBox = document.getElementById("ga4-property");
+const UaPropertyTextBox = document.getElementById("ua-property");
+const Ga4PropertyError = document.getElementById("ga4-property-error");
+const UaPropertyError = document.getElementById("ua-property-error");
+const CustomMappingTextBox = document.getElementById("custom-mapping");
+const CustomMappingFile = document.getElementById("custom-mapping-file");
+const CustomMappingError = document.getElementById("custom-mapping-error");
 const SubmitButton = document.getElementById("submit");
 const Ga4Result = document.getElementById("ga4-result");
 const UaGa4Result = document.getElementById("ua-ga4-result");
 const UaLegacyResult = document.getElementById("ua-legacy-result");
 const Ga4GtagCommand = document.getElementById("ga4-gtag-command");
+const RecommendationFormatSelector = document.getElementById(
+  "recommendation-format"
+);
+const RecommendationLanguageSelector = document.getElementById(
+  "recommendation-language"
+);
+const UaCommand = document.getElementById("ua-command");
+const GtmSetupDiv = document.getElementById("gtm-setup");
+const GtmSetupList = document.getElementById("gtm-setup-list");
+const MpDetailsDiv = document.getElementById("mp-details");
+const MpValidationList = document.getElementById("mp-validation");
+const MpSampleLanguageSelector = document.getElementById("mp-sample-language");
+const MpSample = document.getElementById("mp-sample");
+const HitTimeline = document.getElementById("hit-timeline");
+const HarFile = document.getElementById("har-file");
+const HarError = document.getElementById("har-error");
+const SchemaDiagnostics = document.getElementById("schema-diagnostics");
+const AutofixDiv = document.getElementById("autofix");
+const ItemSchemas = document.getElementById("item-schemas");
+const AutofixList = document.getElementById("autofix-list");
+const ApplyAutofixButton = document.getElementById("apply-autofix");
+const ComparisonBody = document.getElementById("comparison-body");
+const FunnelResultsDiv = document.getElementById("funnel-results");
+const FunnelBody = document.getElementById("funnel-body");
+const FunnelChecks = document.getElementById("funnel-checks");
+const ShareSessionButton = document.getElementById("share-session");
+const ExportSessionButton = document.getElementById("export-session");
+const ImportSessionFile = document.getElementById("import-session");
+const SessionLink = document.getElementById("session-link");
+const SessionError = document.getElementById("session-error");
 const SchemaIdOptions = [
   document.getElementById("schema-not-submitted"),
   document.getElementById("schema-unknown"),
@@ -39,6 +106,7 @@ const SchemaIdOptions = [
   document.getElementById("schema-ga4-gtag"),
   document.getElementById("schema-ga4-gtm"),
   document.getElementById("schema-ua-gtag"),
+  document.getElementById("schema-ua-analytics"),
   document.getElementById("schema-ua-gtm"),
   document.getElementById("schema-gtag-unknown"),
 ];
@@ -46,8 +114,82 @@ const SchemaIdOptions = [
 const SHOW_CLASS = "";
 const HIDE_CLASS = "hidden";
 
-let lastParamString = '';
-let paramsPromise;
+/** @const {!Object<string, string>} Labels of the schemas of items. */
+const ITEM_SCHEMA_LABELS = {
+  [schemaId.KnownSchema.UNIFIED]: "GA4",
+  [schemaId.KnownSchema.GTAG_UA]: "UA",
+  [schemaId.KnownSchema.UNKNOWN_GTAG]: "no ID or name",
+};
+
+/**
+ * @const {string} The recommendation format for server-side events, besides
+ * the formats named after a schemaId.Api.
+ */
+const MEASUREMENT_PROTOCOL_FORMAT = "mp";
+
+/** @enum {string} */
+const Mode = {
+  SINGLE: "single",
+  FUNNEL: "funnel",
+};
+
+/**
+ * The latest parsed hit from each tag, in the order of the comparison table
+ * columns: GA4, UA with GA4 support and UA legacy.
+ * @type {!Array<?Object<string, *>>}
+ */
+const receivedHits = [null, null, null];
+const GA4_HIT = 0;
+const UA_GA4_HIT = 1;
+const UA_LEGACY_HIT = 2;
+
+/**
+ * The events parsed from the latest GA4 hit, which the recommendation is
+ * built from.
+ * @type {!Array<!Object<string, *>>}
+ */
+let recommendedEvents = [];
+
+/**
+ * The steps of the funnel submitted last, with the hits received for each of
+ * them. Empty when a single event was submitted.
+ * @type {!Array<!Object<string, *>>}
+ */
+let funnelSteps = [];
+
+/**
+ * The records of the event log loaded last, all of the same API when they can
+ * be loaded as a funnel.
+ * @type {!Array<!Object<string, *>>}
+ */
+let loadedRecords = [];
+
+/**
+ * The custom dimension and metric mapping entered at the latest submission,
+ * applied to the results, the comparison and the recommendation.
+ * @type {!Object<string, string>}
+ */
+let currentMapping = {};
+
+/**
+ * The GA4 and UA property IDs already configured with gtag.js.
+ * @type {!Set<string>}
+ */
+const configuredPropertyIds = new Set();
+
+/**
+ * The property IDs of a restored session. Their hits are shown the same as
+ * hits to configured properties, without configuring gtag.js for them.
+ * @type {!Set<string>}
+ */
+const sessionPropertyIds = new Set();
+
+/**
+ * The hits captured since the latest submission, which are saved with the
+ * session.
+ * @type {!Array<{url: string, body: string, transport: string, time: !Date}>}
+ */
+const capturedHits = [];
 
 /**
  * gtag declaration (since the snippet is GTM).
@@ -64,83 +206,340 @@ function getApi() {
 }
 
 /**
- * @return {!Promise<!Object<string, *>>}
+ * @return {?{textBox: !Element, errorBox: !Element}} The params input and
+ *     the element for its parse errors, for the selected API.
  */
-function getParams() {
-  let paramsString = "";
-
-  switch(getApi()) {
+function getParamsInput() {
+  switch (getApi()) {
     case schemaId.Api.GTAG:
-      paramsString = GtagParamsTextBox.value;
-      break;
+      return { textBox: GtagParamsTextBox, errorBox: GtagParamsError };
     case schemaId.Api.DATA_LAYER:
-      paramsString = DataLayerParamsTextBox.value;
-      break;
+      return {
+        textBox: DataLayerParamsTextBox,
+        errorBox: DataLayerParamsError,
+      };
+    case schemaId.Api.ANALYTICS:
+      return { textBox: AnalyticsCommandsTextBox, errorBox: AnalyticsError };
   }
-  if (paramsString !== lastParamString) {
-    lastParamString = paramsString;
-    paramsPromise = new Promise(function(resolve, reject) {
-      // Some effort to prevent weird inputs.
-      if (paramsString.indexOf('</script>') >= 0) {
-        reject('Invalid input.');
-      }
-      try {
-        window['resolveParams'] = resolve;
-        const scriptElem = document.createElement('script');
-        window.onerror = (message, source, line) => {
-          reject(`Error parsing parameters on line ${line}: ${message}`);
-          return false;
-        };
-        scriptElem.text = `window['resolveParams'](${paramsString});`;
-        const firstScript = document.getElementsByTagName('script')[0];
-        firstScript.parentNode.insertBefore(scriptElem, firstScript);
-      } catch (ex) {
-        reject(`Error parsing parameters: ${ex.message}`);
-      }
-    });
+  return null;
+}
+
+/**
+ * Parses the params entered for the selected API. Parse errors are shown next
+ * to the input, with the cursor moved to the error position.
+ *
+ * @return {?Object<string, *>} The params, or null if they couldn't be parsed.
+ */
+function getParams() {
+  const input = getParamsInput();
+  if (!input) {
+    return null;
+  }
+  input.errorBox.textContent = "";
+  input.errorBox.className = HIDE_CLASS;
+  try {
+    if (getApi() === schemaId.Api.ANALYTICS) {
+      return analyticsEc.parseCommands(input.textBox.value);
+    }
+    const params = objectLiteral.parse(input.textBox.value);
+    if (!params || typeof params !== "object" || Array.isArray(params)) {
+      throw new Error("Parameters must be an object, e.g. { ... }");
+    }
+    return params;
+  } catch (ex) {
+    input.errorBox.textContent = `Error parsing parameters: ${ex.message}`;
+    input.errorBox.className = SHOW_CLASS;
+    if (ex instanceof objectLiteral.ParseError) {
+      input.textBox.focus();
+      input.textBox.setSelectionRange(ex.offset, ex.offset + 1);
+    }
+    return null;
+  }
+}
+
+/**
+ * @return {boolean} Whether the funnel mode is selected.
+ */
+function isFunnelMode() {
+  return ModeSelector.value === Mode.FUNNEL;
+}
+
+/**
+ * Parses the funnel steps entered for the selected API. Errors are shown next
+ * to the input.
+ *
+ * @return {?Array<{event: (string|undefined), params: !Object<string, *>}>}
+ *     The steps, or null if they couldn't be parsed.
+ */
+function getFunnelSteps() {
+  FunnelStepsError.textContent = "";
+  FunnelStepsError.className = HIDE_CLASS;
+  try {
+    return funnel.parseSteps(
+      getApi(),
+      objectLiteral.parse(FunnelStepsTextBox.value)
+    );
+  } catch (ex) {
+    FunnelStepsError.textContent = `Error parsing funnel: ${ex.message}`;
+    FunnelStepsError.className = SHOW_CLASS;
+    if (ex instanceof objectLiteral.ParseError) {
+      FunnelStepsTextBox.focus();
+      FunnelStepsTextBox.setSelectionRange(ex.offset, ex.offset + 1);
+    }
+    return null;
+  }
+}
+
+/**
+ * @param {!Element} textBox
+ * @param {!Element} errorBox
+ * @param {function(string): ?string} validate
+ * @return {{id: ?string, error: ?string}} The ID entered in the text box, or
+ *     null if it's empty or invalid, and the validation error, which is shown
+ *     in the error box.
+ */
+function getPropertyId(textBox, errorBox, validate) {
+  const error = validate(textBox.value);
+  errorBox.textContent = error || "";
+  errorBox.className = error ? SHOW_CLASS : HIDE_CLASS;
+  return { id: error ? null : textBox.value.trim() || null, error };
+}
+
+/**
+ * Parses the custom dimension and metric mapping. Errors are shown next to
+ * the input.
+ *
+ * @return {?Object<string, string>} The mapping, or null if it's invalid.
+ */
+function getCustomMapping() {
+  try {
+    const mapping = customMapping.parse(CustomMappingTextBox.value);
+    CustomMappingError.textContent = "";
+    CustomMappingError.className = HIDE_CLASS;
+    return mapping;
+  } catch (ex) {
+    CustomMappingError.textContent = `Error in mapping: ${ex.message}`;
+    CustomMappingError.className = SHOW_CLASS;
+    return null;
+  }
+}
+
+/**
+ * Loads an uploaded mapping file into the mapping input.
+ *
+ * @param {?Event} event
+ */
+function onCustomMappingFileChange(event) {
+  const file = CustomMappingFile.files[0];
+  if (!file) {
+    return;
+  }
+  file.text().then((text) => {
+    CustomMappingTextBox.value = text;
+    getCustomMapping();
+  });
+}
+
+/**
+ * Configures gtag.js for the property IDs entered by the user, loading
+ * gtag.js the first time an ID is configured.
+ *
+ * @return {boolean} False if any of the IDs is invalid.
+ */
+function configureProperties() {
+  const ga4 = getPropertyId(
+    Ga4PropertyTextBox,
+    Ga4PropertyError,
+    propertyId.validateGa4Id
+  );
+  const ua = getPropertyId(
+    UaPropertyTextBox,
+    UaPropertyError,
+    propertyId.validateUaId
+  );
+  if (ga4.error || ua.error) {
+    return false;
+  }
+  for (const id of [ga4.id, ua.id]) {
+    if (!id || configuredPropertyIds.has(id)) {
+      continue;
+    }
+    if (!configuredPropertyIds.size) {
+      const script = document.createElement("script");
+      script.async = true;
+      script.src = `https://www.googletagmanager.com/gtag/js?id=${id}`;
+      document.head.appendChild(script);
+      gtag("js", new Date());
+    }
+    configuredPropertyIds.add(id);
+    gtag("config", id, { send_page_view: false });
+  }
+  return true;
+}
+
+/**
+ * Sends a data layer update to the property IDs configured with gtag.js too,
+ * since only the tags of the tool's own container read the data layer. The
+ * update is sent as the equivalent GA4 event, which gtag.js reads for both GA4
+ * and UA properties.
+ *
+ * @param {!Object<string, *>} update The data layer update.
+ */
+function sendToProperties(update) {
+  if (!configuredPropertyIds.size) {
+    return;
+  }
+  const api = schemaId.Api.DATA_LAYER;
+  const ga4Event = customMapping.applyToEvent(
+    schemaConvert.convertToGa4(
+      api,
+      "",
+      update,
+      schemaId.identifySchema(api, update)
+    ),
+    currentMapping
+  );
+  if (!ga4Event || !ga4Event.event) {
+    return;
   }
-  // Re-evaluating the same parameters, so reuse the same promise.
-  // (It may already have been resolved).
-  return paramsPromise;
+  gtag(
+    "event",
+    ga4Event.event,
+    Object.assign({}, ga4Event.params, {
+      send_to: Array.from(configuredPropertyIds),
+    })
+  );
 }
 
 /**
  * @param {?Event} event
  */
 function onApiChange(event) {
+  // Recommend the same API as the input by default, and gtag.js for
+  // analytics.js, which it replaces.
+  RecommendationFormatSelector.value =
+    getApi() === schemaId.Api.ANALYTICS ? schemaId.Api.GTAG : getApi();
+  showRecommendation();
+  GtagDiv.className = HIDE_CLASS;
+  DataLayerDiv.className = HIDE_CLASS;
+  AnalyticsDiv.className = HIDE_CLASS;
+  // In funnel mode the steps replace the single event inputs.
+  FunnelDiv.className = isFunnelMode() ? SHOW_CLASS : HIDE_CLASS;
+  if (isFunnelMode()) {
+    return;
+  }
   switch (getApi()) {
     case schemaId.Api.GTAG:
       GtagDiv.className = SHOW_CLASS;
-      DataLayerDiv.className = HIDE_CLASS;
       break;
     case schemaId.Api.DATA_LAYER:
-      GtagDiv.className = HIDE_CLASS;
       DataLayerDiv.className = SHOW_CLASS;
       break;
-    default:
-      GtagDiv.className = HIDE_CLASS;
-      DataLayerDiv.className = HIDE_CLASS;
+    case schemaId.Api.ANALYTICS:
+      AnalyticsDiv.className = SHOW_CLASS;
+      break;
   }
 }
 
 /**
  * Updates the Schema ID portion of the UI with the current schema.
+ *
+ * @param {!Object<string, *>} params
  */
-function updateSchemaId() {
-  getParams().then((params) => {
-    const schema = schemaId.identifySchema(getApi(), params);
-    for (let i = 0; i < SchemaIdOptions.length; i++) {
-      SchemaIdOptions[i].className = HIDE_CLASS;
-    }
+function updateSchemaId(params) {
+  const schema = schemaId.identifySchema(getApi(), params);
+  for (let i = 0; i < SchemaIdOptions.length; i++) {
+    SchemaIdOptions[i].className = HIDE_CLASS;
+  }
+  if (schema !== schemaId.KnownSchema.UNKNOWN) {
     document.getElementById("schema-known").className = SHOW_CLASS;
-    document.getElementById(`schema-${schema}`).className = SHOW_CLASS;
-  });
+  }
+  document.getElementById(`schema-${schema}`).className = SHOW_CLASS;
+  showDiagnostics(
+    schemaValidate.validate(getApi(), GtagEventTextbox.value, params, schema)
+  );
+  showFixes(params, schema);
 }
 
 /**
- * @param {?Event} event
+ * Shows the schema of each item and the fixes that turn them into GA4 items,
+ * for GA4 and mixed events. UA events are left to the recommendation.
+ *
+ * @param {!Object<string, *>} params
+ * @param {!schemaId.KnownSchema} schema
  */
-function onSubmit(event) {
+function showFixes(params, schema) {
+  AutofixList.textContent = "";
+  const fixes =
+    schema === schemaId.KnownSchema.GTAG_UA ||
+    schema === schemaId.KnownSchema.GTM_UA
+      ? []
+      : autofix.suggestFixes(getApi(), params);
+  AutofixDiv.className = fixes.length ? SHOW_CLASS : HIDE_CLASS;
+  if (!fixes.length) {
+    return;
+  }
+  const items =
+    getApi() === schemaId.Api.DATA_LAYER
+      ? (params["ecommerce"] || {})["items"]
+      : params["items"];
+  ItemSchemas.textContent = schemaId
+    .classifyItems(items)
+    .map(
+      (itemSchema, index) =>
+        `item ${index + 1}: ${ITEM_SCHEMA_LABELS[itemSchema]}`
+    )
+    .join(", ");
+  for (const fix of fixes) {
+    const item = document.createElement("li");
+    const path = document.createElement("code");
+    path.textContent = fix.path;
+    item.append(path, ` ${fix.description}`);
+    AutofixList.appendChild(item);
+  }
+}
+
+/**
+ * Rewrites the parameters input with the suggested fixes applied.
+ */
+function onApplyFixes() {
+  const params = getParams();
+  if (!params) {
+    return;
+  }
+  const fixed = autofix.applyFixes(getApi(), params);
+  getParamsInput().textBox.value = codeGen.serialize(fixed);
+  updateSchemaId(fixed);
+}
+
+/**
+ * Lists the validation errors and warnings for the current input.
+ *
+ * @param {!Array<{severity: string, path: string, message: string}>}
+ *     diagnostics
+ */
+function showDiagnostics(diagnostics) {
+  SchemaDiagnostics.textContent = "";
+  if (!diagnostics.length) {
+    const item = document.createElement("li");
+    item.textContent = "No problems found.";
+    SchemaDiagnostics.appendChild(item);
+    return;
+  }
+  for (const diagnostic of diagnostics) {
+    const item = document.createElement("li");
+    item.className = `diagnostic-${diagnostic.severity}`;
+    const path = document.createElement("code");
+    path.textContent = diagnostic.path;
+    item.append(`${diagnostic.severity}: `, path, ` ${diagnostic.message}`);
+    SchemaDiagnostics.appendChild(item);
+  }
+}
+
+/**
+ * Clears the results of the previous submission.
+ */
+function resetResults() {
   function clear(element) {
     element.value = "Waiting for data...";
     element.rows = 1;
@@ -149,28 +548,116 @@ function onSubmit(event) {
   clear(UaGa4Result);
   clear(UaLegacyResult);
   clear(Ga4GtagCommand);
-  updateSchemaId();
+  clear(UaCommand);
+  recommendedEvents = [];
+  GtmSetupDiv.className = HIDE_CLASS;
+  MpDetailsDiv.className = HIDE_CLASS;
+  receivedHits.fill(null);
+  capturedHits.length = 0;
+  funnelSteps = [];
+  FunnelResultsDiv.className = HIDE_CLASS;
+  showComparison();
+}
+
+/**
+ * Hides the identification of a single event, which the funnel results show
+ * for each step instead.
+ */
+function hideSchemaId() {
+  for (const option of SchemaIdOptions) {
+    option.className = HIDE_CLASS;
+  }
+  SchemaDiagnostics.textContent = "";
+  AutofixDiv.className = HIDE_CLASS;
+}
+
+/**
+ * Sends the steps of the funnel in order, clearing the ecommerce object
+ * before each one.
+ */
+function submitFunnel() {
+  const steps = getFunnelSteps();
+  const mapping = getCustomMapping();
+  if (!steps || !mapping || !configureProperties()) {
+    return;
+  }
+  currentMapping = mapping;
+  sessionPropertyIds.clear();
+  resetResults();
+  hideSchemaId();
+  funnelSteps = funnel.analyzeSteps(getApi(), steps);
+  showFunnel();
+  const unnamed = funnelSteps.findIndex((step) => !step.event);
+  if (getApi() === schemaId.Api.DATA_LAYER && unnamed >= 0) {
+    alert(
+      `Data layer update of step ${unnamed + 1} does not have an event ` +
+        "name. No tags will fire for it."
+    );
+  }
+  for (const step of funnelSteps) {
+    dataLayer.push({ ecommerce: null });
+    if (getApi() === schemaId.Api.GTAG) {
+      gtag("event", step.event, step.params);
+    } else {
+      dataLayer.push(step.params);
+      sendToProperties(step.params);
+    }
+  }
+}
+
+/**
+ * @param {?Event} event
+ */
+function onSubmit(event) {
+  if (isFunnelMode()) {
+    submitFunnel();
+    return;
+  }
+  const params = getParams();
+  const mapping = getCustomMapping();
+  if (!params || !mapping || !configureProperties()) {
+    return;
+  }
+  currentMapping = mapping;
+  sessionPropertyIds.clear();
+  resetResults();
+  updateSchemaId(params);
   // Clear the previous ecommerce object from the data layer if present.
   // Prevents a previous schema test from affecting the current one.
   dataLayer.push({ ecommerce: null });
-  getParams().then((params) => {
-    switch (getApi()) {
-      case "gtag":
-        gtag("event", GtagEventTextbox.value, params);
-        break;
-      case "dataLayer":
-        if (!params["event"]) {
-          alert(
-            "Data layer update does not have an event name." +
-              " No tags will fire."
-          );
-        }
-        dataLayer.push(params);
-        break;
-    }
-  }).catch((message) => {
-    alert(message);
-  });
+  switch (getApi()) {
+    case "gtag":
+      gtag("event", GtagEventTextbox.value, params);
+      break;
+    case "dataLayer":
+      if (!params["event"]) {
+        alert(
+          "Data layer update does not have an event name." +
+            " No tags will fire."
+        );
+      }
+      dataLayer.push(params);
+      sendToProperties(params);
+      break;
+    case schemaId.Api.ANALYTICS:
+      recommendOffline(params);
+      break;
+  }
+}
+
+/**
+ * Shows the recommendation for an input that isn't sent, by converting it to
+ * GA4 instead of waiting for the GA4 hit.
+ *
+ * @param {!Object<string, *>} params
+ */
+function recommendOffline(params) {
+  const schema = schemaId.identifySchema(getApi(), params);
+  const ga4Event = schemaConvert.convertToGa4(getApi(), "", params, schema);
+  if (ga4Event) {
+    recommendedEvents = [schemaConvert.toParsedHitData(ga4Event)];
+    showRecommendation();
+  }
 }
 
 /**
@@ -178,9 +665,10 @@ function onSubmit(event) {
  *   products: !Array<!Object<string, *>>,
  *   params: ?Object<string, *>
  * }} data
- * @param {!Element} element
+ * @return {!Array<string>} Lines describing the ecommerce data.
  */
-function show(data, element) {
+function formatData(data) {
+  data = customMapping.applyToHit(data, currentMapping);
   let valueParts = [];
   data.products.forEach((value, index) => {
     valueParts.push(`Product ${index}`);
@@ -216,7 +704,39 @@ function show(data, element) {
       valueParts.push(`  ${field}: ${data.params[field]}`);
     }
   }
+  if (data.hit && Object.keys(data.hit).length) {
+    valueParts.push("Hit Parameters:");
+    for (const field of Object.keys(data.hit)) {
+      valueParts.push(`  ${field}: ${data.hit[field]}`);
+    }
+  }
+  if (data.unrecognized && Object.keys(data.unrecognized).length) {
+    valueParts.push("Unrecognized Parameters:");
+    for (const code of Object.keys(data.unrecognized)) {
+      valueParts.push(`  ${code}: ${data.unrecognized[code]}`);
+    }
+  }
+  if (data.warnings && data.warnings.length) {
+    valueParts.push("Warnings:");
+    for (const warning of data.warnings) {
+      valueParts.push(`  ${warning}`);
+    }
+  }
+  const numericChecks = schemaValidate.validateHit(data);
+  if (numericChecks.length) {
+    valueParts.push("Numeric Checks:");
+    for (const check of numericChecks) {
+      valueParts.push(`  ${check.severity}: ${check.path}: ${check.message}`);
+    }
+  }
+  return valueParts;
+}
 
+/**
+ * @param {!Element} element
+ * @param {!Array<string>} valueParts Lines to show in the element.
+ */
+function showLines(element, valueParts) {
   if (valueParts.length === 0) {
     element.value = "No ecommerce data found";
     element.rows = "1";
@@ -227,32 +747,732 @@ function show(data, element) {
 }
 
 /**
- * Main init method for the script.
+ * @param {{
+ *   products: !Array<!Object<string, *>>,
+ *   params: ?Object<string, *>
+ * }} data
+ * @param {!Element} element
  */
-function main() {
-  ApiSelector.addEventListener("change", onApiChange);
+function show(data, element) {
+  const valueParts = formatData(data);
+  const destination = data.measurementId || data.trackingId;
+  if (destination) {
+    if (!valueParts.length) {
+      valueParts.push("No ecommerce data found");
+    }
+    valueParts.unshift(`Sent to: ${destination}`);
+  }
+  showLines(element, valueParts);
+}
+
+/**
+ * @param {!Array<!Object<string, *>>} events Events returned by ga4.parse.
+ * @return {!Array<string>} The lines showing all the events, with a header
+ *     for each event.
+ */
+function formatEvents(events) {
+  const valueParts = [];
+  events.forEach((data, index) => {
+    valueParts.push(
+      `Event ${index + 1}: ${data.event}` +
+        (data.measurementId ? ` (sent to ${data.measurementId})` : "")
+    );
+    const eventParts = formatData(data);
+    if (!eventParts.length) {
+      eventParts.push("No ecommerce data found");
+    }
+    for (const part of eventParts) {
+      valueParts.push(`  ${part}`);
+    }
+  });
+  return valueParts;
+}
+
+/**
+ * Shows all the events of a (possibly batched) GA4 hit.
+ *
+ * @param {!Array<!Object<string, *>>} events Events returned by ga4.parse.
+ * @param {!Element} element
+ */
+function showEvents(events, element) {
+  if (events.length === 1) {
+    show(events[0], element);
+    return;
+  }
+  showLines(element, formatEvents(events));
+}
+
+/**
+ * @param {!Object<string, *>} event An event returned by ga4.parse.
+ * @return {boolean}
+ */
+function isEcommerceEvent(event) {
+  return Boolean(event.products.length || event.params["transaction_id"]);
+}
+
+/**
+ * @param {!Array<!Object<string, *>>} events Events returned by ga4.parse.
+ * @return {!Object<string, *>} The event with the ecommerce data, since a
+ *     batch may also contain events such as page_view.
+ */
+function findEcommerceEvent(events) {
+  const ecommerceEvents = events.filter(isEcommerceEvent);
+  return ecommerceEvents.length
+    ? ecommerceEvents[ecommerceEvents.length - 1]
+    : events[events.length - 1];
+}
+
+/**
+ * @param {!Element} row
+ * @param {string} tagName
+ * @param {string} text
+ * @return {!Element} The new cell.
+ */
+function addCell(row, tagName, text) {
+  const cell = document.createElement(tagName);
+  cell.textContent = text;
+  row.appendChild(cell);
+  return cell;
+}
+
+/**
+ * Renders the comparison of the hits received from each tag.
+ */
+function showComparison() {
+  ComparisonBody.textContent = "";
+  if (!receivedHits.some((hit) => hit)) {
+    const row = document.createElement("tr");
+    addCell(row, "td", "Waiting for data...").colSpan = 5;
+    ComparisonBody.appendChild(row);
+    return;
+  }
+  const comparison = hitCompare.compare(
+    receivedHits.map(
+      (hit) => hit && customMapping.applyToHit(hit, currentMapping)
+    )
+  );
+  /**
+   * @param {string} title
+   * @param {!Array<{field: string, values: !Array<*>, status: string}>} fields
+   */
+  const addSection = (title, fields) => {
+    const header = document.createElement("tr");
+    addCell(header, "th", title).colSpan = 5;
+    ComparisonBody.appendChild(header);
+    for (const field of fields) {
+      const row = document.createElement("tr");
+      row.className = `status-${field.status}`;
+      addCell(row, "td", field.field);
+      field.values.forEach((value, index) => {
+        let text = value === undefined ? "" : String(value);
+        if (!comparison.received[index]) {
+          text = "(no hit)";
+        }
+        addCell(row, "td", text);
+      });
+      addCell(row, "td", field.status);
+      ComparisonBody.appendChild(row);
+    }
+  };
+  addSection("Event parameters", comparison.params);
+  comparison.items.forEach((item, index) => {
+    addSection(`Item ${index + 1} (${item.key})`, item.fields);
+  });
+}
+
+/**
+ * Shows the recommended GA4 code for the latest GA4 ecommerce hit, or for the
+ * first GA4 hit if none had ecommerce data, and the equivalent UA code for
+ * dual tagging, in the selected format.
+ */
+function showRecommendation() {
+  if (!recommendedEvents.length) {
+    return;
+  }
+  const dataLayerFormat =
+    RecommendationFormatSelector.value === schemaId.Api.DATA_LAYER;
+  const mpFormat =
+    RecommendationFormatSelector.value === MEASUREMENT_PROTOCOL_FORMAT;
+  const language = RecommendationLanguageSelector.value || codeGen.Format.JS;
+  const mappedEvents = recommendedEvents.map((parsedEvent) =>
+    customMapping.applyToHit(parsedEvent, currentMapping)
+  );
+  const command = mpFormat
+    ? showMeasurementProtocol(mappedEvents)
+    : mappedEvents
+        .map((parsedEvent) =>
+          dataLayerFormat
+            ? schemaRecommend.buildGa4DataLayerPush(parsedEvent, language)
+            : schemaRecommend.buildGa4GtagCommand(parsedEvent, language)
+        )
+        .join("\n\n");
+  MpDetailsDiv.className = mpFormat ? SHOW_CLASS : HIDE_CLASS;
+  Ga4GtagCommand.value = command;
+  Ga4GtagCommand.rows = command.split("\n").length + 1;
+
+  const uaCommand = mappedEvents
+    .map(
+      (parsedEvent) =>
+        (dataLayerFormat
+          ? schemaRecommendUa.buildUaDataLayerPush(
+              parsedEvent,
+              language,
+              currentMapping
+            )
+          : schemaRecommendUa.buildUaGtagCommand(
+              parsedEvent,
+              language,
+              currentMapping
+            )) ||
+        `// ${parsedEvent.event} has no Universal Analytics equivalent.`
+    )
+    .join("\n\n");
+  UaCommand.value = uaCommand;
+  UaCommand.rows = uaCommand.split("\n").length + 1;
+
+  GtmSetupList.textContent = "";
+  GtmSetupDiv.className = dataLayerFormat ? SHOW_CLASS : HIDE_CLASS;
+  if (!dataLayerFormat) {
+    return;
+  }
+  const seen = new Set();
+  for (const parsedEvent of mappedEvents) {
+    for (const entry of schemaRecommend.buildGtmSetup(parsedEvent)) {
+      if (seen.has(entry.name)) {
+        continue;
+      }
+      seen.add(entry.name);
+      const item = document.createElement("li");
+      const title = document.createElement("b");
+      title.textContent = `${entry.kind}: ${entry.name}`;
+      const settings = document.createElement("ul");
+      for (const setting of entry.settings) {
+        const settingItem = document.createElement("li");
+        settingItem.textContent = setting;
+        settings.appendChild(settingItem);
+      }
+      item.append(title, settings);
+      GtmSetupList.appendChild(item);
+    }
+  }
+}
+
+/**
+ * Shows the validation messages and the sample code of the Measurement
+ * Protocol request that sends the recommended events.
+ *
+ * @param {!Array<!Object<string, *>>} mappedEvents The recommended events,
+ *     with the custom mapping applied.
+ * @return {string} The request body, as JSON.
+ */
+function showMeasurementProtocol(mappedEvents) {
+  const payload = ga4MeasurementProtocol.buildPayload(mappedEvents);
+  const messages = ga4MeasurementProtocol.validate(payload).validationMessages;
+  MpValidationList.textContent = "";
+  for (const message of messages) {
+    const item = document.createElement("li");
+    item.textContent =
+      `${message.validationCode} at ${message.fieldPath}: ` +
+      message.description;
+    MpValidationList.appendChild(item);
+  }
+  if (!messages.length) {
+    const item = document.createElement("li");
+    item.textContent = "No validation messages.";
+    MpValidationList.appendChild(item);
+  }
+
+  // Use the GA4 property entered above, if it's valid.
+  const measurementId = Ga4PropertyTextBox.value.trim();
+  const sample = ga4MeasurementProtocol.buildSample(
+    payload,
+    MpSampleLanguageSelector.value,
+    measurementId && !propertyId.validateGa4Id(measurementId)
+      ? measurementId
+      : undefined
+  );
+  MpSample.value = sample;
+  MpSample.rows = sample.split("\n").length + 1;
+  return codeGen.serialize(payload, codeGen.Format.JSON);
+}
+
+/**
+ * Adds a captured hit to the hit timeline.
+ *
+ * @param {!Object<string, *>} hit The captured hit.
+ * @param {string} kind Which tag sent the hit.
+ * @param {string} summary Short description of the hit contents.
+ * @param {!Array<string>=} decoded Lines showing the decoded hit.
+ */
+function addToTimeline(hit, kind, summary, decoded = []) {
+  const item = document.createElement("li");
+  const details = document.createElement("details");
+  const title = document.createElement("summary");
+  title.textContent =
+    `${hit.time.toLocaleTimeString()} [${hit.transport}] ${kind}` +
+    (summary ? `: ${summary}` : "");
+  const content = document.createElement("pre");
+  content.textContent = hit.body
+    ? `${hit.url}\n\nPOST body:\n${hit.body}`
+    : hit.url;
+  if (decoded.length) {
+    content.textContent += `\n\nDecoded:\n${decoded.join("\n")}`;
+  }
+  details.appendChild(title);
+  details.appendChild(content);
+  item.appendChild(details);
+  HitTimeline.appendChild(item);
+}
+
+/**
+ * Shows the schema of each funnel step, the data each tag received for it,
+ * and the problems found in and across the steps.
+ */
+function showFunnel() {
+  FunnelResultsDiv.className = SHOW_CLASS;
+  FunnelBody.textContent = "";
+  funnelSteps.forEach((step, index) => {
+    const row = document.createElement("tr");
+    const ga4Name = step.ga4Event ? step.ga4Event.event : undefined;
+    addCell(
+      row,
+      "td",
+      `${index + 1}. ${step.event || "(no event name)"}` +
+        (ga4Name && ga4Name !== step.event ? ` (GA4: ${ga4Name})` : "")
+    );
+    addCell(row, "td", step.schema);
+    for (const hit of step.hits) {
+      const lines = hit ? formatData(hit) : ["Waiting for data..."];
+      const content = document.createElement("pre");
+      content.textContent = lines.length
+        ? lines.join("\n")
+        : "No ecommerce data found";
+      addCell(row, "td", "").appendChild(content);
+    }
+    FunnelBody.appendChild(row);
+  });
+
+  FunnelChecks.textContent = "";
+  const checks = [];
+  funnelSteps.forEach((step, index) => {
+    for (const diagnostic of step.diagnostics) {
+      checks.push({
+        severity: diagnostic.severity,
+        step: index + 1,
+        message: `${diagnostic.path}: ${diagnostic.message}`,
+      });
+    }
+  });
+  checks.push(...funnel.checkConsistency(funnelSteps));
+  if (!checks.length) {
+    const item = document.createElement("li");
+    item.textContent = "No problems found.";
+    FunnelChecks.appendChild(item);
+  }
+  for (const check of checks) {
+    const item = document.createElement("li");
+    item.className = `diagnostic-${check.severity}`;
+    item.textContent = `Step ${check.step}: ${check.severity}: ${check.message}`;
+    FunnelChecks.appendChild(item);
+  }
+}
+
+/**
+ * Records a parsed hit for the funnel step it belongs to, if a funnel was
+ * submitted.
+ *
+ * @param {number} tagIndex The comparison table column of the tag.
+ * @param {!Object<string, *>} parsedHit
+ * @param {string=} ga4EventName The event of a GA4 hit.
+ */
+function addFunnelHit(tagIndex, parsedHit, ga4EventName = undefined) {
+  if (!funnelSteps.length) {
+    return;
+  }
+  if (funnel.addHit(funnelSteps, tagIndex, parsedHit, ga4EventName) >= 0) {
+    showFunnel();
+  }
+}
+
+/**
+ * Parses a captured hit and shows it in the results for the tag that sent it.
+ *
+ * @param {!Object<string, *>} hit The captured hit.
+ */
+function onHit(hit) {
+  capturedHits.push(hit);
+  if (ga4.isGa4Hit(hit.url)) {
+    const parsedEvents = ga4.parse(hit.url, hit.body);
+    const recommendation = parsedEvents
+      .filter((parsedEvent) => parsedEvent.products.length)
+      .map((parsedEvent) =>
+        schemaRecommend.buildGa4GtagCommand(
+          customMapping.applyToHit(parsedEvent, currentMapping)
+        )
+      );
+    addToTimeline(
+      hit,
+      `GA4 (${parsedEvents[0].measurementId || "unknown property"})`,
+      parsedEvents.map((parsedEvent) => parsedEvent.event).join(", "),
+      formatEvents(parsedEvents).concat(
+        recommendation.length
+          ? ["", "Recommended GA4 command:", ...recommendation]
+          : []
+      )
+    );
+    showEvents(parsedEvents, Ga4Result);
+    receivedHits[GA4_HIT] = findEcommerceEvent(parsedEvents);
+    showComparison();
+    for (const parsedEvent of parsedEvents) {
+      addFunnelHit(GA4_HIT, parsedEvent, parsedEvent.event);
+    }
+    // Keep recommending the last ecommerce events, so that hits such as
+    // page_view that follow them in an import don't replace them.
+    const ecommerceEvents = parsedEvents.filter(isEcommerceEvent);
+    if (ecommerceEvents.length || !recommendedEvents.length) {
+      recommendedEvents = ecommerceEvents.length
+        ? ecommerceEvents
+        : parsedEvents;
+      showRecommendation();
+    }
+    return;
+  }
+  for (const uaHit of measurementProtocol.splitBatch(hit.url, hit.body)) {
+    const parsedHit = measurementProtocol.parse(uaHit.url, uaHit.body);
+    const summary = parsedHit.params["product_action"] || "";
+    const timelineHit = Object.assign({}, hit, uaHit);
+    const property = parsedHit.trackingId || "unknown property";
+    const decoded = formatData(parsedHit);
+    if (measurementProtocol.isUaLegacyHit(uaHit.url, uaHit.body)) {
+      addToTimeline(
+        timelineHit,
+        `Universal Analytics (${property})`,
+        summary,
+        decoded
+      );
+      show(parsedHit, UaLegacyResult);
+      receivedHits[UA_LEGACY_HIT] = parsedHit;
+      showComparison();
+      addFunnelHit(UA_LEGACY_HIT, parsedHit);
+    } else if (
+      measurementProtocol.isUaGa4Hit(uaHit.url, uaHit.body) ||
+      configuredPropertyIds.has(parsedHit.trackingId) ||
+      sessionPropertyIds.has(parsedHit.trackingId)
+    ) {
+      // gtag.js configured with a UA property reads GA4 events and
+      // parameters, the same as the UA tag with GA4 support enabled.
+      addToTimeline(
+        timelineHit,
+        `Universal Analytics (GA4 support enabled) (${property})`,
+        summary,
+        decoded
+      );
+      show(parsedHit, UaGa4Result);
+      receivedHits[UA_GA4_HIT] = parsedHit;
+      showComparison();
+      addFunnelHit(UA_GA4_HIT, parsedHit);
+    } else {
+      addToTimeline(
+        timelineHit,
+        `Other Universal Analytics hit (${property})`,
+        summary,
+        decoded
+      );
+    }
+  }
+}
+
+/**
+ * @return {!Object<string, *>} The current inputs and captured hits, see
+ *     session.validate.
+ */
+function getSession() {
+  const input = getParamsInput();
+  return {
+    version: session.VERSION,
+    api: getApi(),
+    mode: ModeSelector.value,
+    event: GtagEventTextbox.value,
+    params: input ? input.textBox.value : "",
+    ga4Property: Ga4PropertyTextBox.value,
+    uaProperty: UaPropertyTextBox.value,
+    mapping: CustomMappingTextBox.value,
+    funnel: isFunnelMode() ? FunnelStepsTextBox.value : "",
+    hits: capturedHits.map((hit) =>
+      Object.assign({}, hit, { time: hit.time.toISOString() })
+    ),
+  };
+}
+
+/**
+ * Restores the inputs of a session and replays its hits, without sending the
+ * event again.
+ *
+ * @param {!Object<string, *>} savedSession A validated session.
+ */
+function restoreSession(savedSession) {
+  ApiSelector.value = savedSession.api;
+  ModeSelector.value = savedSession.mode || Mode.SINGLE;
   onApiChange(null);
-  SubmitButton.addEventListener("click", onSubmit);
+  if (savedSession.funnel) {
+    FunnelStepsTextBox.value = savedSession.funnel;
+  }
+  GtagEventTextbox.value = savedSession.event;
+  const input = getParamsInput();
+  if (input) {
+    input.textBox.value = savedSession.params;
+  }
+  Ga4PropertyTextBox.value = savedSession.ga4Property;
+  UaPropertyTextBox.value = savedSession.uaProperty;
+  CustomMappingTextBox.value = savedSession.mapping;
 
-  const observer = new PerformanceObserver((list) => {
-    list.getEntries().forEach((entry) => {
-      const url = entry.name;
-      if (ga4.isGa4Hit(url)) {
-        const parsedResult = ga4.parse(url);
-        show(parsedResult, Ga4Result);
-        const gtagCommand = schemaRecommend.buildGa4GtagCommand(parsedResult);
-        Ga4GtagCommand.value = gtagCommand;
-        Ga4GtagCommand.rows = gtagCommand.split("\n").length + 1;
+  currentMapping = getCustomMapping() || {};
+  sessionPropertyIds.clear();
+  for (const id of [savedSession.ga4Property, savedSession.uaProperty]) {
+    if (id.trim()) {
+      sessionPropertyIds.add(id.trim());
+    }
+  }
+  resetResults();
+  HitTimeline.textContent = "";
+  if (isFunnelMode()) {
+    hideSchemaId();
+    const steps = getFunnelSteps();
+    if (steps) {
+      funnelSteps = funnel.analyzeSteps(getApi(), steps);
+      showFunnel();
+    }
+  } else {
+    const params = input ? getParams() : null;
+    if (params) {
+      updateSchemaId(params);
+      if (getApi() === schemaId.Api.ANALYTICS) {
+        recommendOffline(params);
       }
-      if (measurementProtocol.isUaLegacyHit(url)) {
-        show(measurementProtocol.parse(url), UaLegacyResult);
+    }
+  }
+  for (const hit of savedSession.hits) {
+    const time = new Date(hit.time);
+    onHit(Object.assign({}, hit, { time: isNaN(time) ? new Date() : time }));
+  }
+}
+
+/**
+ * @param {?Error} error The error to show, or null to hide the last one.
+ */
+function showSessionError(error) {
+  SessionError.textContent = error ? error.message : "";
+  SessionError.className = error ? SHOW_CLASS : HIDE_CLASS;
+}
+
+/**
+ * Saves the session in the page URL, so that the link can be shared.
+ *
+ * @param {?Event} event
+ */
+function onShareSession(event) {
+  session.toFragment(getSession()).then((fragment) => {
+    history.replaceState(null, "", fragment);
+    SessionLink.value = location.href;
+    SessionLink.className = SHOW_CLASS;
+    SessionLink.select();
+    if (navigator.clipboard) {
+      // The link is selected, so it can still be copied by hand if this fails.
+      navigator.clipboard.writeText(location.href).catch(() => {});
+    }
+    showSessionError(null);
+  }, showSessionError);
+}
+
+/**
+ * Downloads the session as a JSON file.
+ *
+ * @param {?Event} event
+ */
+function onExportSession(event) {
+  const blob = new Blob([session.toJson(getSession())], {
+    type: "application/json",
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "ecommerce-schema-session.json";
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Restores a session from an uploaded JSON file.
+ *
+ * @param {?Event} event
+ */
+function onImportSession(event) {
+  const file = ImportSessionFile.files[0];
+  if (!file) {
+    return;
+  }
+  file
+    .text()
+    .then((text) => {
+      restoreSession(session.fromJson(text));
+      showSessionError(null);
+    })
+    .catch(showSessionError);
+}
+
+/**
+ * Decodes the hits recorded in an uploaded HAR file, without sending anything.
+ *
+ * @param {?Event} event
+ */
+function onHarFileChange(event) {
+  const file = HarFile.files[0];
+  if (!file) {
+    return;
+  }
+  file
+    .text()
+    .then((text) => {
+      const hits = harImport.extractHits(text);
+      HarError.textContent = hits.length
+        ? ""
+        : "No Google Analytics hits found in the HAR file.";
+      HarError.className = hits.length ? HIDE_CLASS : SHOW_CLASS;
+      if (!hits.length) {
+        return;
       }
-      if (measurementProtocol.isUaGa4Hit(url)) {
-        show(measurementProtocol.parse(url), UaGa4Result);
+      currentMapping = getCustomMapping() || {};
+      sessionPropertyIds.clear();
+      resetResults();
+      HitTimeline.textContent = "";
+      hits.forEach(onHit);
+    })
+    .catch((ex) => {
+      HarError.textContent = `Error importing HAR file: ${ex.message}`;
+      HarError.className = SHOW_CLASS;
+    });
+}
+
+/**
+ * Fills in the inputs with a recorded event, ready to be analyzed.
+ *
+ * @param {!Object<string, *>} record An event log record.
+ */
+function loadRecord(record) {
+  ApiSelector.value = record.api;
+  ModeSelector.value = Mode.SINGLE;
+  onApiChange(null);
+  if (record.api === schemaId.Api.GTAG) {
+    GtagEventTextbox.value = record.event || "";
+  }
+  getParamsInput().textBox.value =
+    record.api === schemaId.Api.ANALYTICS
+      ? analyticsEc.formatCommands(record.params || [])
+      : codeGen.serialize(record.params || {});
+  document.getElementById("analyzed-event").scrollIntoView();
+}
+
+/**
+ * Fills in the funnel steps with all the loaded events, in order.
+ *
+ * @param {?Event} event
+ */
+function onLoadRecordsAsFunnel(event) {
+  const records = loadedRecords;
+  ApiSelector.value = records[0].api;
+  ModeSelector.value = Mode.FUNNEL;
+  onApiChange(null);
+  const steps = records.map((record) =>
+    record.api === schemaId.Api.GTAG
+      ? { event: record.event, params: record.params || {} }
+      : record.params
+  );
+  FunnelStepsTextBox.value = codeGen.serialize(steps);
+  document.getElementById("analyzed-event").scrollIntoView();
+}
+
+/**
+ * Lists the events of an uploaded event log, e.g. one downloaded from the
+ * recorder, so they can be loaded into the inputs.
+ *
+ * @param {?Event} event
+ */
+function onEventLogFileChange(event) {
+  const file = EventLogFile.files[0];
+  if (!file) {
+    return;
+  }
+  file
+    .text()
+    .then((text) => {
+      const apis = Object.values(schemaId.Api);
+      const records = eventLog.parseRecords(text);
+      records.forEach((record, index) => {
+        if (!record || !apis.includes(record.api)) {
+          throw new Error(
+            `Record ${index + 1} must have an api of ${apis.join(" or ")}.`
+          );
+        }
+      });
+      EventLogError.className = HIDE_CLASS;
+      EventLogList.textContent = "";
+      for (const record of records) {
+        const analysis = eventLog.analyzeRecord(record);
+        const item = document.createElement("li");
+        const button = document.createElement("button");
+        button.textContent = "Load";
+        button.addEventListener("click", () => loadRecord(record));
+        item.append(
+          `${analysis.event || "(no event name)"} - ${record.api}, ` +
+            `${analysis.schema} schema` +
+            (record.page ? ` on ${record.page} ` : " "),
+          button
+        );
+        EventLogList.appendChild(item);
       }
+      const sameApi = records.every((record) => record.api === records[0].api);
+      EventLogFunnelButton.className =
+        records.length > 1 && sameApi ? SHOW_CLASS : HIDE_CLASS;
+      loadedRecords = records;
+    })
+    .catch((ex) => {
+      EventLogError.textContent = `Error loading event log: ${ex.message}`;
+      EventLogError.className = SHOW_CLASS;
     });
-  });
-  observer.observe({ entryTypes: ["resource"] });
+}
+
+/**
+ * Main init method for the script.
+ */
+function main() {
+  ApiSelector.addEventListener("change", onApiChange);
+  ModeSelector.addEventListener("change", onApiChange);
+  RecommendationFormatSelector.addEventListener("change", showRecommendation);
+  ApplyAutofixButton.addEventListener("click", onApplyFixes);
+  RecommendationLanguageSelector.addEventListener("change", showRecommendation);
+  MpSampleLanguageSelector.addEventListener("change", showRecommendation);
+  onApiChange(null);
+  CustomMappingFile.addEventListener("change", onCustomMappingFileChange);
+  SubmitButton.addEventListener("click", onSubmit);
+  ShareSessionButton.addEventListener("click", onShareSession);
+  ExportSessionButton.addEventListener("click", onExportSession);
+  ImportSessionFile.addEventListener("change", onImportSession);
+  EventLogFile.addEventListener("change", onEventLogFileChange);
+  HarFile.addEventListener("change", onHarFileChange);
+  EventLogFunnelButton.addEventListener("click", onLoadRecordsAsFunnel);
+  const recorderUrl = new URL("recorder.js", location.href).href;
+  RecorderBookmarklet.href =
+    `javascript:import(${codeGen.quote(recorderUrl)})` +
+    ".then((m) => m.default.install());";
+
+  hitCapture.addListener(onHit);
+  hitCapture.install();
+
+  if (session.isSessionFragment(location.hash)) {
+    session
+      .fromFragment(location.hash)
+      .then(restoreSession)
+      .catch(showSessionError);
+  }
 }
 
 main();
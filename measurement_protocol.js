@@ -16,53 +16,68 @@
  * @fileoverview Support for identifying and parsing ecommerce data from
  * universal analytics / measurement protocol hits.
  */
+import categoryPath from "./category_path.js";
 
 /**
  * @const {!RegExp} Regex for identifying a UA hit from the UA-GTM schema only
  * tag, which has event label "GTM".
  */
-const UA_LEGACY_REGEX = /\/collect\?.*&el=GTM/;
+const UA_LEGACY_REGEX = /\/collect\?(.*&)?el=GTM(&|$)/;
 
 /**
  * @const {!RegExp} Regex for identifying a UA hit from the UA-GA4 schema enabled
  * tag, which has event label "GA4".
  */
-const UA_GA4_REGEX = /\/collect\?.*&el=GA4/;
+const UA_GA4_REGEX = /\/collect\?(.*&)?el=GA4(&|$)/;
+
+/**
+ * @const {!RegExp} Regex for identifying a UA batch hit, which sends several
+ * hits as newline-separated lines of the POST body.
+ */
+const UA_BATCH_REGEX = /\/batch(\?|$)/;
 
 /**
  * @const {!RegExp} Regex for identifying a product field parameter. Capturing
- * group 1 is the product index, capturing group 2 is the two-character field
- * identifier, and capturing group 3 is the field value.
+ * group 1 is the product index, and either capturing groups 2 and 3 are the
+ * custom definition type (cd or cm) and index, or capturing group 4 is the
+ * two-character field identifier.
  */
-const UA_PRODUCT_REGEX = /&pr(\d+)(\w\w)=?([^&]*)/g;
+const UA_PRODUCT_REGEX = /^pr(\d+)(?:(cd|cm)(\d+)|(\w\w))$/;
 
 /**
  * @const {!RegExp} Regex for identifying a list name parameter. Capturing
- * group 1 is the list index and capturing group 2 is the list name.
+ * group 1 is the list index.
  */
-const UA_LIST_NAME_REGEX = /&il(\d+)nm=([^&]*)/g;
+const UA_LIST_NAME_REGEX = /^il(\d+)nm$/;
 
 /**
  * @const {!RegExp} Regex for identifying an impression field. Capturing
  * group 1 is the list index, capturing group 2 is the impression index within
- * the list, capturing group 3 is the two-character field identifier, and
- * capturing group 4 is the field value.
+ * the list, and either capturing groups 3 and 4 are the custom definition type
+ * (cd or cm) and index, or capturing group 5 is the two-character field
+ * identifier.
  */
-const UA_IMPRESSION_REGEX = /&il(\d+)pi(\d+)(\w\w)=([^&]*)/g;
+const UA_IMPRESSION_REGEX = /^il(\d+)pi(\d+)(?:(cd|cm)(\d+)|(\w\w))$/;
 
 /**
  * @const {!RegExp} Regex for identifying a promo field parameter. Capturing
- * group 1 is the product index, capturing group 2 is the two-character field
- * identifier, and capturing group 3 is the field value.
+ * group 1 is the promo index and capturing group 2 is the two-character field
+ * identifier.
  */
-const UA_PROMO_REGEX = /&promo(\d+)(\w\w)=([^&]*)/g;
+const UA_PROMO_REGEX = /^promo(\d+)(\w\w)$/;
 
 /**
- * @const {!RegExp} Regex for identifying product action parameters. Capturing
- * group 1 is the measurement protocol paramater, and capturing group 2 is the
- * parameter vaule.
+ * @const {!RegExp} Regex for identifying a hit level custom dimension or
+ * metric. Capturing group 1 is the type (cd or cm) and capturing group 2 is
+ * the index.
  */
-const UA_PARAMS_REGEX = /&(pa|ti|ta|tr|tt|ts|tcc|pal|cos|col|promoa|cu)=([^&]*)/g;
+const UA_CUSTOM_REGEX = /^(cd|cm)(\d+)$/;
+
+/**
+ * @const {!RegExp} Regex for identifying content group parameters, which are
+ * known but not related to ecommerce.
+ */
+const UA_CONTENT_GROUP_REGEX = /^cg\d+$/;
 
 /**
  * @const {!Object<string, string>} Map of product 2-character identifiers to
@@ -96,13 +111,13 @@ const UA_IMPRESSION_FIELDS = {
 
 /**
  * @const {!Object<string, string>} Map of promotion 2-character identifiers to
- * GA4 product fields.
+ * GA4 promotion fields.
  */
 const UA_PROMOTION_FIELDS = {
-  id: "item_id",
-  nm: "item_name",
+  id: "promotion_id",
+  nm: "promotion_name",
   cr: "creative_name",
-  ps: "index",
+  ps: "creative_slot",
 };
 
 /**
@@ -124,99 +139,247 @@ const UA_PARAMS = {
   cu: "currency",
 };
 
-function parse(url) {
-  const parsedData = {
-    products: [],
-  };
+/**
+ * @const {!Object<string, string>} Map of hit level parameters to their
+ * analytics.js field names.
+ */
+const UA_HIT_FIELDS = {
+  t: "hitType",
+  tid: "trackingId",
+  cid: "clientId",
+  uid: "userId",
+  ec: "eventCategory",
+  ea: "eventAction",
+  el: "eventLabel",
+  ev: "eventValue",
+  ni: "nonInteraction",
+  dl: "location",
+  dh: "hostname",
+  dp: "page",
+  dt: "title",
+  dr: "referrer",
+};
 
-  const productFields = url.matchAll(UA_PRODUCT_REGEX);
-  if (productFields) {
-    for (const p of productFields) {
-      const productIndex = p[1];
-      const product = parsedData.products[productIndex] || {};
-      const productField = p[2];
-      const productValue = p[3];
-      product[UA_PRODUCT_FIELDS[productField]] = productValue;
-      parsedData.products[productIndex] = product;
-    }
+/**
+ * @const {!Array<string>} Parameters that are known but not related to
+ * ecommerce, such as browser and library details, which are left out of the
+ * parsed data.
+ */
+const UA_IGNORED_PARAMS = [
+  "v",
+  "_v",
+  "a",
+  "z",
+  "_s",
+  "_u",
+  "_r",
+  "_gid",
+  "gjid",
+  "jid",
+  "gtm",
+  "sd",
+  "sr",
+  "vp",
+  "ul",
+  "de",
+  "je",
+  "fl",
+  "ds",
+  "qt",
+  "sf",
+  "_utma",
+  "_utmz",
+  "_utmht",
+  "_hc",
+];
+
+/**
+ * @param {string} url The hit URL.
+ * @param {string=} body The hit POST body, if any.
+ * @return {string} The URL with the body parameters appended to its query, so
+ *     that hits sent by GET and POST can be handled the same way.
+ */
+function withBody(url, body = "") {
+  if (!body) {
+    return url;
   }
+  return `${url}${url.indexOf("?") < 0 ? "?" : "&"}${body}`;
+}
 
-  const impressionLists = url.matchAll(UA_LIST_NAME_REGEX);
-  if (impressionLists) {
-    parsedData.impressions = [];
-    for (const list of impressionLists) {
-      const impressionListIndex = list[1];
-      const impressionList = parsedData.impressions[impressionListIndex] || {
-        impressions: [],
-      };
+/**
+ * @param {string} url The hit URL.
+ * @param {string=} body The hit POST body, if any.
+ * @return {!Array<{url: string, body: string}>} Each hit of a batch hit, as if
+ *     it had been sent to /collect on its own, or just the hit itself for
+ *     other hits.
+ */
+function splitBatch(url, body = "") {
+  if (!UA_BATCH_REGEX.test(url)) {
+    return [{ url, body }];
+  }
+  const collectUrl = url.replace(UA_BATCH_REGEX, "/collect$1");
+  return body
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => ({ url: collectUrl, body: line }));
+}
 
-      const listName = list[2];
+/**
+ * @param {!Object<string, string>} fields
+ * @param {string} code
+ * @return {boolean} Whether the map has the code as its own key.
+ */
+function hasOwn(fields, code) {
+  return Object.prototype.hasOwnProperty.call(fields, code);
+}
 
-      parsedData.impressions[impressionListIndex] = impressionList;
-      impressionList.name = listName;
-    }
-  }
+/**
+ * @param {string} type The custom definition type, cd or cm.
+ * @param {string} index The custom definition index.
+ * @return {string} The field name of the custom definition, e.g. dimension5
+ *     for cd5, as used by the UA ecommerce data layer.
+ */
+function customFieldName(type, index) {
+  return `${type === "cd" ? "dimension" : "metric"}${index}`;
+}
+
+/**
+ * @typedef {{
+ *   products: !Array<!Object<string, string>>,
+ *   impressions: !Array<{name: string, impressions: !Array}>,
+ *   promos: !Array<!Object<string, string>>,
+ *   params: !Object<string, string>,
+ *   hit: !Object<string, string>,
+ *   unrecognized: !Object<string, string>,
+ *   warnings: !Array<string>,
+ *   trackingId: (string|undefined),
+ * }}
+ */
+let ParsedHit;
+
+/**
+ * Decodes the ecommerce data of a hit, following the Enhanced Ecommerce
+ * section of the measurement protocol parameter reference. Products,
+ * impressions and promotions use GA4 field names, with categories split into
+ * the GA4 category levels; custom dimensions and metrics use the UA data layer
+ * names (dimensionN and metricN).
+ *
+ * @param {string} hitUrl The hit URL.
+ * @param {string=} body The hit POST body, if any.
+ * @return {!ParsedHit} The parsed data. Parameters that aren't part of the
+ *     reference are listed in unrecognized rather than dropped, and data that
+ *     doesn't fit GA4 (e.g. categories deeper than five levels) is described
+ *     in warnings.
+ */
+function parse(hitUrl, body = "") {
+  const url = withBody(hitUrl, body);
+  const parsedData = {
+    products: [],
+    impressions: [],
+    promos: [],
+    params: {},
+    hit: {},
+    unrecognized: {},
+    warnings: [],
+  };
+  const queryIndex = url.indexOf("?");
+  const query = queryIndex < 0 ? "" : url.substring(queryIndex + 1);
 
-  const impressionFields = url.matchAll(UA_IMPRESSION_REGEX);
-  if (impressionFields) {
-    parsedData.impressions = parsedData.impressions || [];
-    for (const imp of impressionFields) {
-      const impressionListIndex = imp[1];
-      const impressionList = parsedData.impressions[impressionListIndex] || {
-        impressions: [],
-      };
-
-      const impressionIndex = imp[2];
-      const impression = impressionList.impressions[impressionIndex] || {};
-      const impressionField = imp[3];
-      const impressionValue = imp[4];
-      impression[UA_IMPRESSION_FIELDS[impressionField]] = impressionValue;
-      parsedData.impressions[impressionListIndex] = impressionList;
-      impressionList.impressions[impressionIndex] = impression;
+  const impressionList = (listIndex) => {
+    parsedData.impressions[listIndex] = parsedData.impressions[listIndex] || {
+      impressions: [],
+    };
+    return parsedData.impressions[listIndex];
+  };
+  const setItemField = (item, field, value, code) => {
+    if (field !== "item_category") {
+      item[field] = value;
+      return;
     }
-  }
+    const { fields, depth } = categoryPath.split(value);
+    Object.assign(item, fields);
+    const warning = categoryPath.depthWarning(value, depth);
+    if (warning) {
+      parsedData.warnings.push(`${code}: ${warning}`);
+    }
+  };
 
-  const promoFields = url.matchAll(UA_PROMO_REGEX);
-  if (promoFields) {
-    parsedData.promos = [];
-    for (const p of promoFields) {
-      const promoIndex = p[1];
-      const promo = parsedData.promos[promoIndex] || {};
-      const promoField = p[2];
-      const promoValue = p[3];
-      promo[UA_PROMOTION_FIELDS[promoField]] = promoValue;
-      parsedData.promos[promoIndex] = promo;
+  for (const [code, value] of new URLSearchParams(query)) {
+    let match;
+    if ((match = UA_PRODUCT_REGEX.exec(code))) {
+      const field = match[2]
+        ? customFieldName(match[2], match[3])
+        : UA_PRODUCT_FIELDS[match[4]];
+      if (field) {
+        const product = parsedData.products[match[1]] || {};
+        setItemField(product, field, value, code);
+        parsedData.products[match[1]] = product;
+        continue;
+      }
+    } else if ((match = UA_LIST_NAME_REGEX.exec(code))) {
+      impressionList(match[1]).name = value;
+      continue;
+    } else if ((match = UA_IMPRESSION_REGEX.exec(code))) {
+      const field = match[3]
+        ? customFieldName(match[3], match[4])
+        : UA_IMPRESSION_FIELDS[match[5]];
+      if (field) {
+        const impressions = impressionList(match[1]).impressions;
+        const impression = impressions[match[2]] || {};
+        setItemField(impression, field, value, code);
+        impressions[match[2]] = impression;
+        continue;
+      }
+    } else if ((match = UA_PROMO_REGEX.exec(code))) {
+      const field = UA_PROMOTION_FIELDS[match[2]];
+      if (field) {
+        const promo = parsedData.promos[match[1]] || {};
+        promo[field] = value;
+        parsedData.promos[match[1]] = promo;
+        continue;
+      }
+    } else if ((match = UA_CUSTOM_REGEX.exec(code))) {
+      parsedData.hit[customFieldName(match[1], match[2])] = value;
+      continue;
+    } else if (hasOwn(UA_PARAMS, code)) {
+      parsedData.params[UA_PARAMS[code]] = value;
+      continue;
+    } else if (hasOwn(UA_HIT_FIELDS, code)) {
+      parsedData.hit[UA_HIT_FIELDS[code]] = value;
+      continue;
+    } else if (
+      UA_IGNORED_PARAMS.includes(code) ||
+      UA_CONTENT_GROUP_REGEX.test(code)
+    ) {
+      continue;
     }
+    parsedData.unrecognized[code] = value;
   }
 
-  const additionalFields = url.matchAll(UA_PARAMS_REGEX);
-  if (additionalFields) {
-    parsedData.params = {};
-    for (const field of additionalFields) {
-      const fieldCode = field[1];
-      const fieldValue = field[2];
-      parsedData.params[UA_PARAMS[fieldCode]] = fieldValue;
-    }
+  if (parsedData.hit["trackingId"]) {
+    parsedData.trackingId = parsedData.hit["trackingId"];
   }
   return parsedData;
 }
 
 /**
  * @param {string} url The URL to check.
+ * @param {string=} body The hit POST body, if any.
  * @return {boolean} Returns true iff the URL is a hit sent by the UA legacy
  *     schema only tag.
  */
-function isUaLegacyHit(url) {
-  return UA_LEGACY_REGEX.test(url);
+function isUaLegacyHit(url, body = "") {
+  return UA_LEGACY_REGEX.test(withBody(url, body));
 }
 
 /**
  * @param {string} url The URL to check.
+ * @param {string=} body The hit POST body, if any.
  * @return {boolean} Returns true iff the URL is a hit sent by the UA tag with
  *     GA4 schema support enabled.
  */
-function isUaGa4Hit(url) {
-  return UA_GA4_REGEX.test(url);
+function isUaGa4Hit(url, body = "") {
+  return UA_GA4_REGEX.test(withBody(url, body));
 }
 
-export default { parse, isUaLegacyHit, isUaGa4Hit };
+export default { parse, splitBatch, isUaLegacyHit, isUaGa4Hit };
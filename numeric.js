@@ -0,0 +1,182 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Support for the numeric and currency fields of ecommerce data:
+ * parsing prices, quantities and revenue written in other locales (e.g.
+ * "12,50" or "1.234,56"), checking ISO 4217 currency codes and adding up item
+ * totals. Hits carry all values as strings, which Analytics reads as plain
+ * numbers with a dot as decimal separator.
+ */
+
+/**
+ * How a number was written.
+ *
+ * @enum {string}
+ */
+const NumberFormat = {
+  /** A number, or a string with a dot as decimal separator, e.g. "1234.5". */
+  PLAIN: "plain",
+  /** Commas as thousands separators, e.g. "1,234.5". */
+  THOUSANDS_COMMA: "thousands comma",
+  /** A comma as decimal separator, e.g. "1234,5" or "1.234,5". */
+  DECIMAL_COMMA: "decimal comma",
+};
+
+/** @const {!RegExp} Regex for a plain number. */
+const PLAIN_REGEX = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/** @const {!RegExp} Regex for a number with commas as thousands separators. */
+const THOUSANDS_COMMA_REGEX = /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+/**
+ * @const {!RegExp} Regex for a number with a comma as decimal separator and
+ * optionally dots as thousands separators.
+ */
+const DECIMAL_COMMA_REGEX = /^[+-]?(\d+|\d{1,3}(\.\d{3})+),\d+$/;
+
+/**
+ * @const {number} Difference allowed between a value and a total computed
+ * from the items, for rounding.
+ */
+const TOTAL_TOLERANCE = 0.01;
+
+/**
+ * @const {!Set<string>} Active ISO 4217 currency codes, including funds and
+ * precious metals codes.
+ */
+const CURRENCY_CODES = new Set(
+  (
+    "AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND " +
+    "BOB BOV BRL BSD BTN BWP BYN BZD CAD CDF CHE CHF CHW CLF CLP CNY COP COU " +
+    "CRC CUC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS " +
+    "GIP GMD GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY " +
+    "KES KGS KHR KMF KPW KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA " +
+    "MKD MMK MNT MOP MRU MUR MVR MWK MXN MXV MYR MZN NAD NGN NIO NOK NPR NZD " +
+    "OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK " +
+    "SGD SHP SLE SLL SOS SRD SSP STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD " +
+    "TWD TZS UAH UGX USD USN UYI UYU UYW UZS VED VES VND VUV WST XAF XAG XAU " +
+    "XBA XBB XBC XBD XCD XCG XDR XOF XPD XPF XPT XSU XUA YER ZAR ZMW ZWG ZWL"
+  ).split(" ")
+);
+
+/**
+ * Parses a number written as a plain number or in a common locale format.
+ *
+ * @param {*} value
+ * @return {?{number: number, format: !NumberFormat}} The number and how it
+ *     was written, or null if the value isn't a finite number.
+ */
+function parseNumber(value) {
+  if (typeof value === "number") {
+    return isFinite(value)
+      ? { number: value, format: NumberFormat.PLAIN }
+      : null;
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+  const text = value.trim();
+  let number = NaN;
+  let format = NumberFormat.PLAIN;
+  if (PLAIN_REGEX.test(text)) {
+    number = Number(text);
+  } else if (THOUSANDS_COMMA_REGEX.test(text)) {
+    number = Number(text.replace(/,/g, ""));
+    format = NumberFormat.THOUSANDS_COMMA;
+  } else if (DECIMAL_COMMA_REGEX.test(text)) {
+    number = Number(text.replace(/\./g, "").replace(",", "."));
+    format = NumberFormat.DECIMAL_COMMA;
+  }
+  return isFinite(number) ? { number, format } : null;
+}
+
+/**
+ * @param {*} value
+ * @return {number} The value as a number, NaN if it isn't numeric. Locale
+ *     formats are accepted, see parseNumber.
+ */
+function toNumber(value) {
+  const parsed = parseNumber(value);
+  return parsed ? parsed.number : NaN;
+}
+
+/**
+ * @param {*} code
+ * @return {boolean} Whether the code is an active ISO 4217 currency code.
+ *     Codes are case sensitive, as Analytics expects them in uppercase.
+ */
+function isCurrencyCode(code) {
+  return typeof code === "string" && CURRENCY_CODES.has(code);
+}
+
+/**
+ * @param {!Array<?Object<string, *>>} items GA4 items or parsed hit products,
+ *     possibly sparse.
+ * @return {{total: number, discount: number}} The sum of the prices times
+ *     quantities (a missing quantity counting as 1), and the sum of the
+ *     discounts times quantities. NaN if a price, quantity or discount isn't
+ *     numeric.
+ */
+function itemsTotal(items) {
+  let total = 0;
+  let discount = 0;
+  for (const item of items) {
+    if (!item) {
+      continue;
+    }
+    const quantity =
+      item["quantity"] === undefined ? 1 : toNumber(item["quantity"]);
+    total += toNumber(item["price"]) * quantity;
+    if (item["discount"] !== undefined) {
+      discount += toNumber(item["discount"]) * quantity;
+    }
+  }
+  return { total, discount };
+}
+
+/**
+ * @param {number} value
+ * @param {number} total
+ * @return {boolean} Whether the value matches the total, allowing for
+ *     rounding.
+ */
+function matchesTotal(value, total) {
+  return Math.abs(total - value) <= TOTAL_TOLERANCE;
+}
+
+/**
+ * @param {number} value The value of an event or hit.
+ * @param {{total: number, discount: number}} totals As returned by itemsTotal.
+ * @param {number} extras The tax and shipping of the event or hit.
+ * @return {boolean} Whether the value matches the items total, with or
+ *     without the tax and shipping or the discounts, allowing for rounding.
+ */
+function matchesItemsTotal(value, totals, extras) {
+  return [
+    totals.total,
+    totals.total + extras,
+    totals.total - totals.discount,
+  ].some((expected) => matchesTotal(value, expected));
+}
+
+export default {
+  NumberFormat,
+  parseNumber,
+  toNumber,
+  isCurrencyCode,
+  itemsTotal,
+  matchesTotal,
+  matchesItemsTotal,
+};
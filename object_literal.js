@@ -0,0 +1,573 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Parser for JavaScript object literals, as they appear in
+ * dataLayer.push() and gtag() calls. Nothing is ever evaluated: only literal
+ * values are accepted, plus template placeholders such as {{Order ID}} or
+ * <?= $total ?>, which are kept as strings. In tolerant mode, used to scan
+ * source code, any other expression is kept verbatim as an Expression.
+ */
+
+/**
+ * @const {!Array<!Array<string>>} Opening and closing delimiters of the
+ * template placeholders that are accepted in place of a value.
+ */
+const PLACEHOLDER_DELIMITERS = [
+  ["{{", "}}"],
+  ["<?", "?>"],
+  ["<%", "%>"],
+  ["${", "}"],
+];
+
+/**
+ * @const {!Object<string, *>} Identifiers that are accepted as values.
+ */
+const LITERAL_IDENTIFIERS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: undefined,
+  NaN: NaN,
+  Infinity: Infinity,
+};
+
+/** @const {!Object<string, string>} Single character escape sequences. */
+const ESCAPES = {
+  b: "\b",
+  f: "\f",
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  v: "\v",
+  0: "\0",
+};
+
+/** @const {!RegExp} Matches a character that can start an identifier. */
+const IDENTIFIER_START_REGEX = /[A-Za-z_$]/;
+
+/** @const {!RegExp} Matches a character that can continue an identifier. */
+const IDENTIFIER_PART_REGEX = /[A-Za-z0-9_$]/;
+
+/** @const {!RegExp} Matches a number at the start of the string. */
+const NUMBER_REGEX = /^[+-]?(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/;
+
+/** @const {!RegExp} Matches a character that can follow a complete value. */
+const VALUE_END_REGEX = /[,;)\]}]/;
+
+/**
+ * A value that isn't a literal, e.g. a variable or a function call, kept as
+ * the source code of the expression.
+ */
+class Expression {
+  /**
+   * @param {string} text
+   */
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+/**
+ * Error thrown for input that isn't a valid object literal. The line and
+ * column are 1-based; offset is the 0-based index in the input.
+ */
+class ParseError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} offset
+   * @param {number} line
+   * @param {number} column
+   */
+  constructor(message, offset, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = "ParseError";
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Sets a property the way JSON.parse does, so that a "__proto__" key is an own
+ * property rather than the prototype of the object.
+ *
+ * @param {!Object<string, *>} object
+ * @param {string} key
+ * @param {*} value
+ */
+function defineProperty(object, key, value) {
+  Object.defineProperty(object, key, {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * Recursive descent parser over a single input string.
+ */
+class Parser {
+  /**
+   * @param {string} text
+   * @param {boolean=} tolerant Whether to accept any expression as a value,
+   *     see Expression.
+   */
+  constructor(text, tolerant = false) {
+    this.text = text;
+    this.pos = 0;
+    this.tolerant = tolerant;
+  }
+
+  /**
+   * @param {string} message
+   * @param {number=} offset Defaults to the current position.
+   * @return {!ParseError}
+   */
+  error(message, offset = this.pos) {
+    const before = this.text.substring(0, offset).split("\n");
+    return new ParseError(
+      message,
+      offset,
+      before.length,
+      before[before.length - 1].length + 1
+    );
+  }
+
+  /**
+   * @return {string} A description of the next character, for errors.
+   */
+  describeNext() {
+    if (this.pos >= this.text.length) {
+      return "end of input";
+    }
+    return `"${this.text[this.pos]}"`;
+  }
+
+  /**
+   * Skips whitespace and comments.
+   */
+  skipSpace() {
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (/\s/.test(char)) {
+        this.pos++;
+      } else if (this.text.startsWith("//", this.pos)) {
+        const end = this.text.indexOf("\n", this.pos);
+        this.pos = end < 0 ? this.text.length : end + 1;
+      } else if (this.text.startsWith("/*", this.pos)) {
+        const end = this.text.indexOf("*/", this.pos + 2);
+        if (end < 0) {
+          throw this.error("Unterminated comment");
+        }
+        this.pos = end + 2;
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * @return {string} The next character after whitespace and comments, or ""
+   *     at the end of the input.
+   */
+  peek() {
+    this.skipSpace();
+    return this.text[this.pos] || "";
+  }
+
+  /**
+   * @param {string} char
+   * @return {boolean} Whether the next character is char. If it is, it's
+   *     consumed.
+   */
+  consume(char) {
+    this.skipSpace();
+    if (this.text[this.pos] === char) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} char
+   */
+  expect(char) {
+    if (!this.consume(char)) {
+      throw this.error(`Expected "${char}" but found ${this.describeNext()}`);
+    }
+  }
+
+  /**
+   * @return {*} The whole input as a single value.
+   */
+  parseDocument() {
+    const value = this.parseValue();
+    this.skipSpace();
+    // Allow a trailing semicolon, as the input is often copied from code.
+    this.consume(";");
+    this.skipSpace();
+    if (this.pos < this.text.length) {
+      throw this.error(`Unexpected ${this.describeNext()} after value`);
+    }
+    return value;
+  }
+
+  /**
+   * @param {string} name The function name, e.g. "ga".
+   * @return {!Array<!Array<*>>} The arguments of each call of the function,
+   *     for input made only of calls such as name(...); name(...);
+   */
+  parseCalls(name) {
+    const calls = [];
+    this.skipSpace();
+    while (this.pos < this.text.length) {
+      const start = this.pos;
+      const identifier =
+        IDENTIFIER_START_REGEX.test(this.text[this.pos]) &&
+        this.parseIdentifier();
+      if (identifier !== name) {
+        throw this.error(`Expected a ${name}(...) call`, start);
+      }
+      this.expect("(");
+      calls.push(this.parseArguments());
+      this.consume(";");
+      this.skipSpace();
+    }
+    return calls;
+  }
+
+  /**
+   * Parses the arguments of a call, after its opening parenthesis.
+   *
+   * @return {!Array<*>}
+   */
+  parseArguments() {
+    const args = [];
+    while (!this.consume(")")) {
+      args.push(this.parseValue());
+      if (!this.consume(",")) {
+        this.skipSpace();
+        if (this.text[this.pos] !== ")") {
+          throw this.error(
+            `Expected "," or ")" but found ${this.describeNext()}`
+          );
+        }
+      }
+    }
+    return args;
+  }
+
+  /**
+   * @return {*}
+   */
+  parseValue() {
+    this.skipSpace();
+    if (!this.tolerant) {
+      return this.parseLiteral();
+    }
+    const start = this.pos;
+    if (!this.text.startsWith("...", start)) {
+      try {
+        const value = this.parseLiteral();
+        this.skipSpace();
+        if (
+          this.pos >= this.text.length ||
+          VALUE_END_REGEX.test(this.text[this.pos])
+        ) {
+          return value;
+        }
+        // A literal that is part of a larger expression, e.g. 'SKU-' + id.
+      } catch (ex) {
+        if (!(ex instanceof ParseError)) {
+          throw ex;
+        }
+      }
+    }
+    return this.parseExpression(start);
+  }
+
+  /**
+   * Skips an expression, up to the comma or closing bracket that ends it.
+   *
+   * @param {number} start The start of the expression.
+   * @return {!Expression}
+   */
+  parseExpression(start) {
+    this.pos = start;
+    let depth = 0;
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (char === '"' || char === "'" || char === "`") {
+        this.parseString();
+      } else if (
+        this.text.startsWith("//", this.pos) ||
+        this.text.startsWith("/*", this.pos)
+      ) {
+        this.skipSpace();
+      } else if (depth === 0 && VALUE_END_REGEX.test(char)) {
+        break;
+      } else {
+        if ("([{".includes(char)) {
+          depth++;
+        } else if (")]}".includes(char)) {
+          depth--;
+        }
+        this.pos++;
+      }
+    }
+    const text = this.text.substring(start, this.pos).trim();
+    if (depth > 0) {
+      throw this.error("Unterminated expression", start);
+    }
+    if (!text) {
+      throw this.error(`Unexpected ${this.describeNext()}, expected a value`);
+    }
+    return new Expression(text);
+  }
+
+  /**
+   * @return {*}
+   */
+  parseLiteral() {
+    const placeholder = this.parsePlaceholder();
+    if (placeholder !== null) {
+      // In source code, the placeholder is replaced by code rather than a
+      // string, e.g. <?= json_encode($items) ?>.
+      return this.tolerant ? new Expression(placeholder) : placeholder;
+    }
+    const char = this.text[this.pos];
+    if (char === "{") {
+      return this.parseObject();
+    }
+    if (char === "[") {
+      return this.parseArray();
+    }
+    if (char === '"' || char === "'" || char === "`") {
+      return this.parseString();
+    }
+    if (char && IDENTIFIER_START_REGEX.test(char)) {
+      const start = this.pos;
+      const identifier = this.parseIdentifier();
+      if (LITERAL_IDENTIFIERS.hasOwnProperty(identifier)) {
+        return LITERAL_IDENTIFIERS[identifier];
+      }
+      throw this.error(
+        `Unexpected identifier "${identifier}": only literal values are ` +
+          `supported, replace it with a value or a placeholder like ` +
+          `{{${identifier}}}`,
+        start
+      );
+    }
+    const number = NUMBER_REGEX.exec(this.text.substring(this.pos));
+    if (number) {
+      this.pos += number[0].length;
+      // Number() doesn't accept a sign before hexadecimal numbers.
+      const magnitude = Number(number[0].replace(/^[+-]/, ""));
+      return number[0].startsWith("-") ? -magnitude : magnitude;
+    }
+    throw this.error(`Unexpected ${this.describeNext()}, expected a value`);
+  }
+
+  /**
+   * @return {?string} The placeholder at the current position, verbatim, or
+   *     null if there is none.
+   */
+  parsePlaceholder() {
+    for (const [open, close] of PLACEHOLDER_DELIMITERS) {
+      if (this.text.startsWith(open, this.pos)) {
+        const end = this.text.indexOf(close, this.pos + open.length);
+        if (end < 0) {
+          throw this.error(`Unterminated placeholder, expected "${close}"`);
+        }
+        const placeholder = this.text.substring(this.pos, end + close.length);
+        this.pos = end + close.length;
+        return placeholder;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @return {string}
+   */
+  parseIdentifier() {
+    const start = this.pos;
+    while (
+      this.pos < this.text.length &&
+      IDENTIFIER_PART_REGEX.test(this.text[this.pos])
+    ) {
+      this.pos++;
+    }
+    return this.text.substring(start, this.pos);
+  }
+
+  /**
+   * @return {string}
+   */
+  parseString() {
+    const quote = this.text[this.pos];
+    const start = this.pos;
+    this.pos++;
+    let value = "";
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos++];
+      if (char === quote) {
+        return value;
+      }
+      if (char === "\n" && quote !== "`") {
+        break;
+      }
+      if (char !== "\\") {
+        value += char;
+        continue;
+      }
+      const escaped = this.text[this.pos++];
+      if (escaped === "u" || escaped === "x") {
+        const length = escaped === "u" ? 4 : 2;
+        const hex = this.text.substr(this.pos, length);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) {
+          throw this.error("Invalid escape sequence", this.pos - 2);
+        }
+        value += String.fromCharCode(parseInt(hex, 16));
+        this.pos += length;
+      } else if (escaped === "\n") {
+        // Line continuation.
+      } else {
+        value += ESCAPES[escaped] || escaped;
+      }
+    }
+    throw this.error("Unterminated string", start);
+  }
+
+  /**
+   * @return {!Object<string, *>}
+   */
+  parseObject() {
+    const object = {};
+    this.expect("{");
+    while (!this.consume("}")) {
+      this.skipSpace();
+      if (this.tolerant && this.text.startsWith("...", this.pos)) {
+        // Spread properties are kept under their source code as key.
+        const spread = this.parseValue();
+        defineProperty(object, spread.text, spread);
+      } else {
+        const key = this.parseKey();
+        if (this.tolerant && /^[,}]$/.test(this.peek())) {
+          // Shorthand property, e.g. { items }.
+          defineProperty(object, key, new Expression(key));
+        } else {
+          this.expect(":");
+          defineProperty(object, key, this.parseValue());
+        }
+      }
+      if (!this.consume(",")) {
+        this.skipSpace();
+        if (this.text[this.pos] !== "}") {
+          throw this.error(
+            `Expected "," or "}" but found ${this.describeNext()}`
+          );
+        }
+      }
+    }
+    return object;
+  }
+
+  /**
+   * @return {string}
+   */
+  parseKey() {
+    const char = this.text[this.pos];
+    if (char === '"' || char === "'") {
+      return this.parseString();
+    }
+    if (char && IDENTIFIER_START_REGEX.test(char)) {
+      return this.parseIdentifier();
+    }
+    const number = /^\d+/.exec(this.text.substring(this.pos));
+    if (number) {
+      this.pos += number[0].length;
+      return number[0];
+    }
+    throw this.error(`Unexpected ${this.describeNext()}, expected a key`);
+  }
+
+  /**
+   * @return {!Array<*>}
+   */
+  parseArray() {
+    const array = [];
+    this.expect("[");
+    while (!this.consume("]")) {
+      array.push(this.parseValue());
+      if (!this.consume(",")) {
+        this.skipSpace();
+        if (this.text[this.pos] !== "]") {
+          throw this.error(
+            `Expected "," or "]" but found ${this.describeNext()}`
+          );
+        }
+      }
+    }
+    return array;
+  }
+}
+
+/**
+ * Parses a JavaScript object literal (or any other literal value) without
+ * evaluating it.
+ *
+ * @param {string} text
+ * @return {*} The parsed value.
+ * @throws {!ParseError} If the text isn't a literal value.
+ */
+function parse(text) {
+  return new Parser(text).parseDocument();
+}
+
+/**
+ * Parses a sequence of calls of a function with literal arguments, such as
+ * analytics.js ga() commands, without evaluating them.
+ *
+ * @param {string} text
+ * @param {string} name The function name.
+ * @return {!Array<!Array<*>>} The arguments of each call, in order.
+ * @throws {!ParseError} If the text isn't a sequence of calls of the function
+ *     with literal arguments.
+ */
+function parseCalls(text, name) {
+  return new Parser(text).parseCalls(name);
+}
+
+/**
+ * Parses the arguments of a call found in source code. Values that aren't
+ * literals are returned as Expressions instead of failing.
+ *
+ * @param {string} text
+ * @param {number} offset The index just after the opening parenthesis.
+ * @return {{args: !Array<*>, end: number}} The arguments, and the index just
+ *     after the closing parenthesis.
+ * @throws {!ParseError} If the arguments aren't well formed.
+ */
+function parseArguments(text, offset) {
+  const parser = new Parser(text, true);
+  parser.pos = offset;
+  const args = parser.parseArguments();
+  return { args, end: parser.pos };
+}
+
+export default { parse, parseCalls, parseArguments, Expression, ParseError };
@@ -0,0 +1,75 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Support for validating GA4 measurement IDs and UA property IDs.
+ */
+
+/**
+ * @const {!RegExp} Regex for a GA4 measurement ID, e.g. G-ABC123DEF4.
+ */
+const GA4_ID_REGEX = /^G-[A-Z0-9]+$/;
+
+/**
+ * @const {!RegExp} Regex for a UA property ID, e.g. UA-12345-6.
+ */
+const UA_ID_REGEX = /^UA-\d+-\d+$/;
+
+/**
+ * @param {string} id The ID entered by the user. Leading and trailing
+ *     whitespace is ignored.
+ * @return {?string} An error message if the ID isn't a valid GA4 measurement
+ *     ID, or null if it's valid or empty.
+ */
+function validateGa4Id(id) {
+  const trimmed = id.trim();
+  if (!trimmed || GA4_ID_REGEX.test(trimmed)) {
+    return null;
+  }
+  if (UA_ID_REGEX.test(trimmed)) {
+    return (
+      `${trimmed} is a Universal Analytics property ID, not a GA4 ` +
+      "measurement ID."
+    );
+  }
+  return (
+    `${trimmed} is not a valid GA4 measurement ID. Measurement IDs look ` +
+    "like G-XXXXXXXXXX."
+  );
+}
+
+/**
+ * @param {string} id The ID entered by the user. Leading and trailing
+ *     whitespace is ignored.
+ * @return {?string} An error message if the ID isn't a valid UA property ID,
+ *     or null if it's valid or empty.
+ */
+function validateUaId(id) {
+  const trimmed = id.trim();
+  if (!trimmed || UA_ID_REGEX.test(trimmed)) {
+    return null;
+  }
+  if (GA4_ID_REGEX.test(trimmed)) {
+    return (
+      `${trimmed} is a GA4 measurement ID, not a Universal Analytics ` +
+      "property ID."
+    );
+  }
+  return (
+    `${trimmed} is not a valid Universal Analytics property ID. ` +
+    "Property IDs look like UA-XXXXX-Y."
+  );
+}
+
+export default { validateGa4Id, validateUaId };
@@ -0,0 +1,292 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Records the ecommerce events of a live site. Loaded into any
+ * page with a bookmarklet, it hooks dataLayer.push and gtag, identifies the
+ * schema of each ecommerce call, and exports the calls as an event log that
+ * the schema test page and bin/analyze_events.js can load.
+ *
+ * Bookmarklet:
+ * javascript:import('https://<host>/recorder.js').then((m) => m.default.install())
+ */
+import schemaId from "./schema_id.js";
+
+/**
+ * A recorded call, in the event log format of event_log.js with the schema,
+ * page and time of the call added.
+ *
+ * @typedef {{
+ *   api: !schemaId.Api,
+ *   event: (string|undefined),
+ *   params: !Object<string, *>,
+ *   schema: !schemaId.KnownSchema,
+ *   page: string,
+ *   time: string,
+ * }}
+ */
+let RecordedEvent;
+
+/** @const {number} Maximum depth of the values copied into the log. */
+const MAX_DEPTH = 20;
+
+/** @const {string} ID of the recorder panel added to the page. */
+const PANEL_ID = "ecommerce-schema-recorder";
+
+/**
+ * @type {?{
+ *   records: !Array<!RecordedEvent>,
+ *   dataLayer: !Array,
+ *   push: !Function,
+ *   gtag: ?Function,
+ *   pushHook: ?Function,
+ *   gtagHook: ?Function,
+ *   panel: !Element,
+ * }}
+ */
+let recording = null;
+
+/**
+ * Whether a gtag call is being recorded, so the data layer push it makes
+ * isn't recorded a second time.
+ */
+let inGtag = false;
+
+/**
+ * Copies a value so it can be saved as JSON. Functions (e.g. eventCallback),
+ * DOM elements and other non-plain objects are left out.
+ *
+ * @param {*} value
+ * @param {number=} depth
+ * @return {*}
+ */
+function toPlain(value, depth = 0) {
+  if (value === null || typeof value !== "object") {
+    return typeof value === "function" ? undefined : value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return undefined;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map((element) => {
+      const plain = toPlain(element, depth + 1);
+      return plain === undefined ? null : plain;
+    });
+  }
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return undefined;
+  }
+  const plain = {};
+  for (const key of Object.keys(value)) {
+    const field = toPlain(value[key], depth + 1);
+    if (field !== undefined) {
+      plain[key] = field;
+    }
+  }
+  return plain;
+}
+
+/**
+ * @param {*} entry A value pushed to the data layer.
+ * @return {boolean} Whether the entry is the arguments of a gtag call, which
+ *     gtag.js pushes to the data layer.
+ */
+function isGtagCall(entry) {
+  return (
+    !!entry &&
+    typeof entry === "object" &&
+    !Array.isArray(entry) &&
+    Object.prototype.toString.call(entry) === "[object Arguments]"
+  );
+}
+
+/**
+ * Records a call if it has ecommerce data.
+ *
+ * @param {!schemaId.Api} api
+ * @param {string|undefined} event
+ * @param {*} params
+ */
+function record(api, event, params) {
+  const plainParams = toPlain(params);
+  if (!plainParams || typeof plainParams !== "object") {
+    return;
+  }
+  if (api === schemaId.Api.DATA_LAYER && !plainParams["ecommerce"]) {
+    // Not ecommerce, or the update that clears the previous ecommerce object.
+    return;
+  }
+  const schema = schemaId.identifySchema(api, plainParams);
+  if (api === schemaId.Api.GTAG && schema === schemaId.KnownSchema.UNKNOWN) {
+    return;
+  }
+  recording.records.push({
+    api,
+    event,
+    params: plainParams,
+    schema,
+    page: location.href,
+    time: new Date().toISOString(),
+  });
+  updatePanel();
+}
+
+/**
+ * @param {*} entry A value pushed to the data layer.
+ */
+function recordDataLayerEntry(entry) {
+  if (isGtagCall(entry)) {
+    if (entry[0] === "event") {
+      record(schemaId.Api.GTAG, entry[1], entry[2] || {});
+    }
+  } else if (entry && typeof entry === "object") {
+    record(schemaId.Api.DATA_LAYER, entry["event"], entry);
+  }
+}
+
+/**
+ * @return {string} The recorded events as an event log, one JSON record per
+ *     line.
+ */
+function getLog() {
+  return recording
+    ? recording.records.map((event) => JSON.stringify(event) + "\n").join("")
+    : "";
+}
+
+/**
+ * Downloads the recorded events as an NDJSON event log.
+ */
+function download() {
+  const blob = new Blob([getLog()], { type: "application/x-ndjson" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `ecommerce-events-${location.hostname}.jsonl`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Updates the number of recorded events shown in the panel.
+ */
+function updatePanel() {
+  const status = recording.panel.querySelector("span");
+  const count = recording.records.length;
+  status.textContent = `Recording ecommerce events: ${count} recorded. `;
+}
+
+/**
+ * @return {!Element} A panel with the number of recorded events and buttons
+ *     to download the log and stop recording.
+ */
+function createPanel() {
+  const panel = document.createElement("div");
+  panel.id = PANEL_ID;
+  panel.style.cssText =
+    "position:fixed;bottom:8px;right:8px;z-index:2147483647;padding:8px;" +
+    "background:#fff;color:#202124;border:1px solid #dadce0;" +
+    "font:14px sans-serif;box-shadow:0 1px 3px rgba(0,0,0,.3)";
+  const status = document.createElement("span");
+  const downloadButton = document.createElement("button");
+  downloadButton.textContent = "Download log";
+  downloadButton.addEventListener("click", download);
+  const stopButton = document.createElement("button");
+  stopButton.textContent = "Stop";
+  stopButton.addEventListener("click", () => {
+    if (recording.records.length) {
+      download();
+    }
+    uninstall();
+  });
+  panel.append(status, downloadButton, " ", stopButton);
+  document.body.appendChild(panel);
+  return panel;
+}
+
+/**
+ * Starts recording: records the ecommerce updates already in the data layer,
+ * then hooks dataLayer.push and gtag to record new calls. Installing twice
+ * keeps the first recording.
+ *
+ * @param {string=} dataLayerName The name of the data layer variable.
+ */
+function install(dataLayerName = "dataLayer") {
+  if (recording) {
+    return;
+  }
+  const dataLayer = (window[dataLayerName] = window[dataLayerName] || []);
+  recording = {
+    records: [],
+    dataLayer,
+    push: dataLayer.push,
+    gtag: typeof window.gtag === "function" ? window.gtag : null,
+    pushHook: null,
+    gtagHook: null,
+    panel: createPanel(),
+  };
+  updatePanel();
+  dataLayer.forEach(recordDataLayerEntry);
+
+  const originalPush = recording.push;
+  recording.pushHook = dataLayer.push = function (...entries) {
+    if (!inGtag) {
+      entries.forEach(recordDataLayerEntry);
+    }
+    return originalPush.apply(this, entries);
+  };
+  if (recording.gtag) {
+    const originalGtag = recording.gtag;
+    recording.gtagHook = window.gtag = function () {
+      if (arguments[0] === "event") {
+        record(schemaId.Api.GTAG, arguments[1], arguments[2] || {});
+      }
+      inGtag = true;
+      try {
+        return originalGtag.apply(this, arguments);
+      } finally {
+        inGtag = false;
+      }
+    };
+  }
+}
+
+/**
+ * Stops recording, restoring dataLayer.push and gtag unless the page has
+ * replaced them since (e.g. Tag Manager wrapping dataLayer.push).
+ *
+ * @return {!Array<!RecordedEvent>} The recorded events.
+ */
+function uninstall() {
+  if (!recording) {
+    return [];
+  }
+  if (recording.dataLayer.push === recording.pushHook) {
+    recording.dataLayer.push = recording.push;
+  }
+  if (recording.gtagHook && window.gtag === recording.gtagHook) {
+    window.gtag = recording.gtag;
+  }
+  recording.panel.remove();
+  const records = recording.records;
+  recording = null;
+  return records;
+}
+
+export default { install, uninstall, getLog, download };
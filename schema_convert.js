@@ -0,0 +1,353 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Converts ecommerce input in any of the known schemas to the
+ * equivalent GA4 event, without sending any hits.
+ */
+import analyticsEc from "./analytics_ec.js";
+import categoryPath from "./category_path.js";
+import schemaId from "./schema_id.js";
+
+/**
+ * @const {!Object<string, string>} Map of UA product fields (both the GTM and
+ * the gtag.js variants) to GA4 item fields.
+ */
+const UA_PRODUCT_FIELDS = {
+  id: "item_id",
+  name: "item_name",
+  brand: "item_brand",
+  variant: "item_variant",
+  price: "price",
+  quantity: "quantity",
+  coupon: "coupon",
+  position: "index",
+  list: "item_list_name",
+  list_name: "item_list_name",
+  list_position: "index",
+  location_id: "location_id",
+};
+
+/**
+ * @const {!Object<string, string>} Map of UA promotion fields (both the GTM and
+ * the gtag.js variants) to GA4 item fields.
+ */
+const UA_PROMOTION_FIELDS = {
+  id: "promotion_id",
+  name: "promotion_name",
+  creative: "creative_name",
+  creative_name: "creative_name",
+  position: "creative_slot",
+  creative_slot: "creative_slot",
+};
+
+/**
+ * @const {!Object<string, string>} Map of UA actionField properties to GA4
+ * event parameters.
+ */
+const UA_ACTION_FIELDS = {
+  id: "transaction_id",
+  affiliation: "affiliation",
+  revenue: "value",
+  tax: "tax",
+  shipping: "shipping",
+  coupon: "coupon",
+  list: "item_list_name",
+};
+
+/**
+ * @const {!Object<string, string>} Map of UA GTM ecommerce actions to the GA4
+ * event with the same meaning. Checkout actions are handled separately since
+ * the GA4 event depends on the checkout step, see CHECKOUT_ACTIONS.
+ */
+const UA_ACTION_EVENTS = {
+  click: "select_item",
+  detail: "view_item",
+  add: "add_to_cart",
+  remove: "remove_from_cart",
+  purchase: "purchase",
+  refund: "refund",
+  promoView: "view_promotion",
+  promoClick: "select_promotion",
+};
+
+/**
+ * @const {!Array<string>} UA GTM checkout actions. checkoutStep isn't in the
+ * UA documentation, but is common enough that schemaId identifies it as UA.
+ */
+const CHECKOUT_ACTIONS = ["checkout", "checkoutStep", "checkout_option"];
+
+/**
+ * @const {!Object<string, string>} Map of UA gtag.js event names that were
+ * renamed in GA4. Events that are not listed have the same name in both.
+ */
+const UA_GTAG_EVENTS = {
+  checkout_progress: "add_shipping_info",
+  set_checkout_option: "add_payment_info",
+};
+
+/**
+ * @typedef {{
+ *   event: string,
+ *   params: !Object<string, *>,
+ * }}
+ */
+let Ga4Event;
+
+/**
+ * @param {*} value
+ * @return {boolean} Whether the value is a (non-array) object.
+ */
+function isObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @param {*} value A list of products, impressions or promotions.
+ * @return {!Array<!Object<string, *>>} The objects in the list, skipping
+ *     anything else (e.g. null). Empty if value isn't an array.
+ */
+function objectsIn(value) {
+  return Array.isArray(value) ? value.filter(isObject) : [];
+}
+
+/**
+ * @param {!Object<string, *>} source
+ * @param {!Object<string, string>} fieldMap
+ * @return {!Object<string, *>} A copy of source with its fields renamed per
+ *     fieldMap. Fields that aren't in the map are copied as-is.
+ */
+function renameFields(source, fieldMap) {
+  const result = {};
+  for (const field of Object.keys(source)) {
+    result[fieldMap[field] || field] = source[field];
+  }
+  return result;
+}
+
+/**
+ * @param {!Object<string, *>} product A UA product, impression or gtag item.
+ * @return {!Object<string, *>} The GA4 item, with the category split into the
+ *     GA4 category levels.
+ */
+function convertProduct(product) {
+  const item = {};
+  for (const field of Object.keys(product)) {
+    if (field === "category" && typeof product[field] === "string") {
+      Object.assign(item, categoryPath.split(product[field]).fields);
+    } else {
+      item[UA_PRODUCT_FIELDS[field] || field] = product[field];
+    }
+  }
+  return item;
+}
+
+/**
+ * @param {number|string|undefined} step The UA checkout step.
+ * @return {string} The GA4 event that best matches the checkout step.
+ */
+function checkoutEvent(step) {
+  const stepNumber = Number(step) || 1;
+  if (stepNumber <= 1) {
+    return "begin_checkout";
+  }
+  return stepNumber === 2 ? "add_shipping_info" : "add_payment_info";
+}
+
+/**
+ * @param {string} event The GA4 event name.
+ * @param {*} option The UA checkout option.
+ * @param {!Object<string, *>} params GA4 params to add the option to.
+ */
+function addCheckoutOption(event, option, params) {
+  if (option === undefined) {
+    return;
+  }
+  if (event === "add_shipping_info") {
+    params["shipping_tier"] = option;
+  } else if (event === "add_payment_info") {
+    params["payment_type"] = option;
+  }
+}
+
+/**
+ * @param {!Object<string, *>} ecommerceObject The UA GTM `ecommerce` object.
+ * @return {?Ga4Event}
+ */
+function convertUaDataLayer(ecommerceObject) {
+  const params = {};
+  let items = [];
+  let event;
+  let actionObject;
+
+  const checkoutAction = CHECKOUT_ACTIONS.find(
+    (action) => ecommerceObject[action]
+  );
+  if (checkoutAction) {
+    actionObject = ecommerceObject[checkoutAction];
+    const actionField = actionObject["actionField"] || {};
+    event = checkoutEvent(actionField["step"]);
+    addCheckoutOption(event, actionField["option"], params);
+  } else {
+    for (const action of Object.keys(UA_ACTION_EVENTS)) {
+      if (ecommerceObject[action]) {
+        actionObject = ecommerceObject[action];
+        event = UA_ACTION_EVENTS[action];
+        break;
+      }
+    }
+  }
+
+  if (actionObject) {
+    const actionField = actionObject["actionField"] || {};
+    for (const field of Object.keys(actionField)) {
+      if (UA_ACTION_FIELDS[field]) {
+        params[UA_ACTION_FIELDS[field]] = actionField[field];
+      }
+    }
+    for (const product of objectsIn(actionObject["products"])) {
+      items.push(convertProduct(product));
+    }
+    for (const promotion of objectsIn(actionObject["promotions"])) {
+      items.push(renameFields(promotion, UA_PROMOTION_FIELDS));
+    }
+  } else if (ecommerceObject["impressions"]) {
+    event = "view_item_list";
+    items = objectsIn(ecommerceObject["impressions"]).map(convertProduct);
+  } else {
+    return null;
+  }
+
+  if (ecommerceObject["currencyCode"]) {
+    params["currency"] = ecommerceObject["currencyCode"];
+  }
+  if (items.length) {
+    params["items"] = items;
+  }
+  return { event, params };
+}
+
+/**
+ * @param {string} eventName The gtag.js event name.
+ * @param {!Object<string, *>} paramsObject The UA gtag.js event parameters.
+ * @return {!Ga4Event}
+ */
+function convertUaGtag(eventName, paramsObject) {
+  const params = {};
+  let event = UA_GTAG_EVENTS[eventName] || eventName;
+  for (const field of Object.keys(paramsObject)) {
+    if (field === "items" || field === "promotions") {
+      continue;
+    }
+    if (field === "checkout_step") {
+      if (
+        eventName === "checkout_progress" ||
+        eventName === "begin_checkout"
+      ) {
+        event = checkoutEvent(paramsObject[field]);
+      }
+      continue;
+    }
+    if (field !== "checkout_option") {
+      params[field] = paramsObject[field];
+    }
+  }
+  addCheckoutOption(event, paramsObject["checkout_option"], params);
+
+  const items = objectsIn(paramsObject["items"]).map(convertProduct);
+  const promotions = objectsIn(paramsObject["promotions"]).map((promotion) =>
+    renameFields(promotion, UA_PROMOTION_FIELDS)
+  );
+  if (event === "select_content") {
+    // UA gtag.js uses select_content for both product and promotion clicks.
+    event = promotions.length ? "select_promotion" : "select_item";
+  }
+  if (items.length || promotions.length) {
+    params["items"] = items.concat(promotions);
+  }
+  return { event, params };
+}
+
+/**
+ * @param {!Object<string, *>} paramsObject The data layer update.
+ * @return {!Ga4Event}
+ */
+function convertGa4DataLayer(paramsObject) {
+  const ecommerceObject = paramsObject["ecommerce"];
+  let params = Object.assign({}, ecommerceObject);
+  for (const field of Object.keys(ecommerceObject)) {
+    const value = ecommerceObject[field];
+    if (value && value["items"] && !Array.isArray(value)) {
+      // GA4 items nested in a UA-style action object. Hoist them to the
+      // ecommerce object, which is where the GA4 tag reads them from.
+      delete params[field];
+      params = Object.assign(params, value);
+    }
+  }
+  return { event: paramsObject["event"], params };
+}
+
+/**
+ * Converts an ecommerce input to the equivalent GA4 event.
+ *
+ * @param {!schemaId.Api} api The API the input was written for.
+ * @param {string} eventName The event name. Only used for the gtag API, since
+ *     data layer updates carry their own event name.
+ * @param {!Object<string, *>} paramsObject The gtag parameters, the data
+ *     layer update or the analytics.js commands.
+ * @param {!schemaId.KnownSchema} schema The schema returned by
+ *     schemaId.identifySchema for this input.
+ * @return {?Ga4Event} The GA4 event, or null if the schema isn't one that can
+ *     be converted.
+ */
+function convertToGa4(api, eventName, paramsObject, schema) {
+  switch (schema) {
+    case schemaId.KnownSchema.GTM_UA:
+      return convertUaDataLayer(paramsObject["ecommerce"]);
+    case schemaId.KnownSchema.ANALYTICS_UA:
+      return convertUaDataLayer(analyticsEc.toEcommerce(paramsObject));
+    case schemaId.KnownSchema.GTM_LEGACY_GA4:
+      return convertGa4DataLayer(paramsObject);
+    case schemaId.KnownSchema.GTAG_UA:
+      return convertUaGtag(eventName, paramsObject);
+    case schemaId.KnownSchema.UNIFIED:
+      return { event: eventName, params: Object.assign({}, paramsObject) };
+  }
+  return null;
+}
+
+/**
+ * @param {!Ga4Event} ga4Event
+ * @return {{
+ *   event: string,
+ *   params: !Object<string, *>,
+ *   products: !Array<!Object<string, *>>,
+ * }} The event in the same format as the hits parsed by ga4.parse, so that it
+ *     can be passed to schemaRecommend. As in parsed hits, products is indexed
+ *     from 1 (item N of the event is products[N], and products[0] is a hole):
+ *     consumers of hit data number products the way the hit does, and skip
+ *     the holes when iterating.
+ */
+function toParsedHitData(ga4Event) {
+  const params = Object.assign({}, ga4Event.params);
+  const products = [];
+  (params["items"] || []).forEach((item, index) => {
+    // Product indexes in hits start at 1.
+    products[index + 1] = item;
+  });
+  delete params["items"];
+  return { event: ga4Event.event, params, products };
+}
+
+export default { convertToGa4, toParsedHitData };
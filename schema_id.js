@@ -15,6 +15,7 @@
 /**
  * @fileoverview Support for identifying different ecommerce input schemas.
  */
+import analyticsEc from "./analytics_ec.js";
 
 /** @enum {string} */
 const KnownSchema = {
@@ -24,22 +25,69 @@ const KnownSchema = {
   GTM_LEGACY_GA4: "ga4-gtm",
   GTAG_UA: "ua-gtag",
   UNIFIED: "ga4-gtag",
+  ANALYTICS_UA: "ua-analytics",
 };
 
 /** @enum {string} */
 const Api = {
   DATA_LAYER: "dataLayer",
   GTAG: "gtag",
+  ANALYTICS: "analytics.js",
 };
 
+/**
+ * @param {?Object<string, *>} item A gtag item.
+ * @return {!KnownSchema} UNIFIED for items with GA4 fields, GTAG_UA for items
+ *     with UA fields (which win if both are present), or UNKNOWN_GTAG for items
+ *     with neither.
+ */
+function identifyItemSchema(item) {
+  item = item || {};
+  if (item["id"] || item["name"]) {
+    return KnownSchema.GTAG_UA;
+  }
+  if (
+    item["item_id"] ||
+    item["item_name"] ||
+    item["promotion_id"] ||
+    item["promotion_name"] ||
+    item["creative_name"]
+  ) {
+    return KnownSchema.UNIFIED;
+  }
+  return KnownSchema.UNKNOWN_GTAG;
+}
+
+/**
+ * Classifies each item of a gtag event, so mixed items can be pointed out.
+ *
+ * @param {*} items The items parameter of a gtag event.
+ * @return {!Array<!KnownSchema>} The schema of each item, see
+ *     identifyItemSchema. Empty if items isn't an array.
+ */
+function classifyItems(items) {
+  return Array.isArray(items) ? Array.from(items, identifyItemSchema) : [];
+}
+
 /**
  * @param {!Api} api
- * @param {!Object<string, *>} paramsObject
+ * @param {!Object<string, *>} paramsObject The gtag parameters, the data layer
+ *     update, or for analytics.js the arguments of each ga() command.
  * @return {!KnownSchema} The schema that this combination of API and parameters
- *     most likely belongts to.
+ *     most likely belongs to.
  */
 function identifySchema(api, paramsObject) {
   switch (api) {
+    case Api.ANALYTICS:
+      // Any ec plugin command marks UA Enhanced Ecommerce.
+      return Array.isArray(paramsObject) &&
+        paramsObject.some(
+          (command) =>
+            Array.isArray(command) && analyticsEc.isEcCommand(command)
+        )
+        ? KnownSchema.ANALYTICS_UA
+        : KnownSchema.UNKNOWN;
+
     case Api.GTAG:
       if (
         !(
@@ -53,27 +101,16 @@ function identifySchema(api, paramsObject) {
         return KnownSchema.UNKNOWN;
       }
       const items = paramsObject["items"];
-      if (!items.length || !items.push) {
-        // No items in array, or it isn't an array-like. Can't differentiate UA
-        // and GA4.
+      if (!Array.isArray(items) || !items.length) {
+        // No items (e.g. only a value and currency), or items isn't an
+        // array. Can't differentiate UA and GA4.
         return KnownSchema.UNKNOWN_GTAG;
       }
 
       let currentSchema = undefined;
-      for (let i = 0; i < items.length; i++) {
-        let thisItemSchema = undefined;
-        if (
-          items[i]["item_id"] ||
-          items[i]["item_name"] ||
-          items[i]["promotion_id"] ||
-          items[i]["promotion_name"] ||
-          items[i]["creative_name"]
-        ) {
-          thisItemSchema = KnownSchema.UNIFIED;
-        }
-        if (items[i]["id"] || items[i]["name"]) {
-          thisItemSchema = KnownSchema.GTAG_UA;
-        }
+      for (const itemSchema of classifyItems(items)) {
+        const thisItemSchema =
+          itemSchema === KnownSchema.UNKNOWN_GTAG ? undefined : itemSchema;
         if (!currentSchema || currentSchema === thisItemSchema) {
           currentSchema = thisItemSchema;
         } else {
@@ -81,7 +118,8 @@ function identifySchema(api, paramsObject) {
           currentSchema = KnownSchema.UNKNOWN_GTAG;
         }
       }
-      return currentSchema;
+      // Items without any ID or name don't tell the schemas apart either.
+      return currentSchema || KnownSchema.UNKNOWN_GTAG;
 
     case Api.DATA_LAYER:
       if (!paramsObject["ecommerce"]) {
@@ -115,8 +153,8 @@ function identifySchema(api, paramsObject) {
           actionObject["products"] ||
           actionObject["promotions"]
         ) {
-          // Contains a named action and either action fields or prodcuts/promos.
-          // These are markers foor the UA schema.
+          // Contains a named action and either action fields or products/promos.
+          // These are markers for the UA schema.
           return KnownSchema.GTM_UA;
         } else if (actionObject["items"]) {
           // Action object contains GA4 style items list and no UA markers -
@@ -135,4 +173,4 @@ function identifySchema(api, paramsObject) {
   return KnownSchema.UNKNOWN;
 }
 
-export default { identifySchema, KnownSchema, Api };
+export default { identifySchema, classifyItems, KnownSchema, Api };
@@ -13,43 +13,181 @@
 // limitations under the License.
 
 /**
- * @fileoverview Recommends a GA4-gtag command to send certain data..
+ * @fileoverview Recommends a GA4-gtag command or a GA4 data layer update to send
+ * certain data..
  */
+import codeGen from "./code_gen.js";
 import schemaId from "./schema_id.js";
 
+/** @const {!Array<string>} GA4 event parameters that are numbers. */
+const NUMERIC_PARAMS = ["value", "tax", "shipping"];
+
+/** @const {!Array<string>} GA4 item parameters that are numbers. */
+const NUMERIC_ITEM_PARAMS = ["price", "quantity", "discount", "index"];
+
+/** @const {string} TypeScript type of GA4 event parameters, from gtag.js. */
+const TS_PARAMS_TYPE = "Gtag.EventParams";
+
+/** @const {string} Placeholder for the name of events that have none. */
+const EVENT_NAME_PLACEHOLDER = "EVENT_NAME";
+
+/**
+ * @param {*} value
+ * @return {*} The value as a number if it's a numeric string (hits encode all
+ *     values as strings), else the value unchanged.
+ */
+function toNumber(value) {
+  if (typeof value === "string" && value.trim() && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * @param {!Object<string, *>} source
+ * @param {!Array<string>} numericFields
+ * @return {!Object<string, *>} A copy of source with numericFields converted
+ *     to numbers.
+ */
+function withNumbers(source, numericFields) {
+  const result = {};
+  for (const field of Object.keys(source)) {
+    result[field] = numericFields.includes(field)
+      ? toNumber(source[field])
+      : source[field];
+  }
+  return result;
+}
+
+/**
+ * @param {!Object<string, *>} parsedHitData Hit data in two buckets: params and
+ *     products.
+ * @return {{event: string, params: !Object<string, *>}} The GA4 event, with
+ *     the products as items and numeric fields as numbers. Events without a
+ *     name get a placeholder to replace.
+ */
+function buildGa4Event(parsedHitData) {
+  const params = withNumbers(parsedHitData.params || {}, NUMERIC_PARAMS);
+  // Products may be a sparse array, as product indexes in hits start at 1.
+  const items = (parsedHitData.products || [])
+    .filter((product) => product)
+    .map((product) => withNumbers(product, NUMERIC_ITEM_PARAMS));
+  if (items.length) {
+    params["items"] = items;
+  }
+  return { event: parsedHitData.event || EVENT_NAME_PLACEHOLDER, params };
+}
+
 /**
  * @param {!Object<string, *>} parsedHitData Hit data in two buckets: params and
  *     products.
- * @return {string} A GA4 gtag command to send this data.
+ * @param {!codeGen.Format=} format
+ * @return {string} A GA4 gtag command to send this data. In JSON format, the
+ *     event name and parameters as a JSON object.
  */
-function buildGa4GtagCommand(parsedHitData) {
-  let eventParamsString = "";
-  if (parsedHitData.params) {
-    for (let paramName in parsedHitData.params) {
-      if (parsedHitData.params.hasOwnProperty(paramName)) {
-        eventParamsString += `\n  '${paramName}': '${parsedHitData.params[paramName]}',`;
-      }
-    }
+function buildGa4GtagCommand(parsedHitData, format = codeGen.Format.JS) {
+  const { event, params } = buildGa4Event(parsedHitData);
+  switch (format) {
+    case codeGen.Format.JSON:
+      return codeGen.serialize({ event, params }, format);
+    case codeGen.Format.TYPESCRIPT:
+      return (
+        `const eventParams: ${TS_PARAMS_TYPE} = ` +
+        `${codeGen.serialize(params, format)};\n` +
+        `gtag('event', ${codeGen.quote(event)}, eventParams);`
+      );
   }
-  let itemsString = "";
-  if (parsedHitData.products) {
-    for (let i = 1; i < parsedHitData.products.length; i++) {
-      let product = parsedHitData.products[i];
-      itemsString += "    {\n";
-      for (let productField in product) {
-        if (product.hasOwnProperty(productField)) {
-          itemsString += `      '${productField}: '${product[productField]}',\n`;
-        }
-      }
-      itemsString += "    },\n";
-    }
+  return `gtag('event', ${codeGen.quote(event)}, ${codeGen.serialize(
+    params
+  )});`;
+}
+
+/**
+ * @param {!Object<string, *>} parsedHitData Hit data in two buckets: params and
+ *     products.
+ * @param {!codeGen.Format=} format
+ * @return {string} The GA4 format data layer update (for Google Tag Manager)
+ *     to send this data, preceded by the update that clears the previous
+ *     ecommerce object. In JSON format, just the data layer update.
+ */
+function buildGa4DataLayerPush(parsedHitData, format = codeGen.Format.JS) {
+  const { event, params } = buildGa4Event(parsedHitData);
+  const clear =
+    "// Clear the previous ecommerce object.\n" +
+    "dataLayer.push({ ecommerce: null });\n";
+  switch (format) {
+    case codeGen.Format.JSON:
+      return codeGen.serialize({ event, ecommerce: params }, format);
+    case codeGen.Format.TYPESCRIPT:
+      return (
+        `const ecommerce: ${TS_PARAMS_TYPE} = ` +
+        `${codeGen.serialize(params, format)};\n` +
+        clear +
+        `dataLayer.push({ event: ${codeGen.quote(event)}, ecommerce });`
+      );
+  }
+  return (
+    clear +
+    `dataLayer.push(${codeGen.serialize({ event, ecommerce: params })});`
+  );
+}
+
+/**
+ * @param {!Object<string, *>} parsedHitData Hit data in two buckets: params and
+ *     products.
+ * @return {!Array<{kind: string, name: string, settings: !Array<string>}>} The
+ *     Google Tag Manager triggers, tags and variables needed to send the data
+ *     layer update from buildGa4DataLayerPush to GA4.
+ */
+function buildGtmSetup(parsedHitData) {
+  const event = parsedHitData.event || EVENT_NAME_PLACEHOLDER;
+  const triggerName = `Custom Event - ${event}`;
+  const setup = [
+    {
+      kind: "Trigger",
+      name: triggerName,
+      settings: [
+        "Trigger type: Custom Event",
+        `Event name: ${event}`,
+        "This trigger fires on: All Custom Events",
+      ],
+    },
+    {
+      kind: "Tag",
+      name: `GA4 Event - ${event}`,
+      settings: [
+        "Tag type: Google Analytics: GA4 Event",
+        "Configuration tag: your GA4 Configuration tag",
+        `Event name: ${event}`,
+        "More Settings > Ecommerce > Send Ecommerce data: enabled",
+        "More Settings > Ecommerce > Data source: Data Layer",
+        `Triggering: ${triggerName}`,
+      ],
+    },
+  ];
+  const paramNames = Object.keys(parsedHitData.params || {});
+  if ((parsedHitData.products || []).some((product) => product)) {
+    paramNames.push("items");
   }
-  if (itemsString) {
-    itemsString = `\n  'items': [\n${itemsString}  ],\n`;
-  } else {
-    itemsString = "\n";
+  for (const paramName of paramNames) {
+    setup.push({
+      kind: "Variable",
+      name: `DLV - ecommerce.${paramName}`,
+      settings: [
+        "Variable type: Data Layer Variable",
+        `Data Layer Variable Name: ecommerce.${paramName}`,
+        "Data Layer Version: Version 2",
+        "Only needed to read this value outside of the ecommerce data, e.g. " +
+          "as an event parameter or in a trigger condition.",
+      ],
+    });
   }
-  return `gtag('event', '${parsedHitData.event}', {${eventParamsString}${itemsString}});`;
+  return setup;
 }
 
-export default { buildGa4GtagCommand };
+export default {
+  buildGa4Event,
+  buildGa4GtagCommand,
+  buildGa4DataLayerPush,
+  buildGtmSetup,
+};
@@ -0,0 +1,433 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Recommends the Universal Analytics Enhanced Ecommerce data
+ * layer update or UA gtag command equivalent to a GA4 event, for running UA
+ * and GA4 side by side while writing GA4 format code. Fields are mapped the
+ * same way the UA tag with GA4 support reads GA4 data.
+ */
+import categoryPath from "./category_path.js";
+import codeGen from "./code_gen.js";
+import schemaRecommend from "./schema_recommend.js";
+
+/**
+ * @const {!Object<string, string>} Map of GA4 item parameters to UA data
+ * layer product fields.
+ */
+const UA_PRODUCT_FIELDS = {
+  item_id: "id",
+  item_name: "name",
+  item_brand: "brand",
+  item_variant: "variant",
+  price: "price",
+  quantity: "quantity",
+  coupon: "coupon",
+  index: "position",
+};
+
+/**
+ * @const {!Object<string, string>} Map of GA4 item parameters to UA gtag item
+ * fields.
+ */
+const UA_GTAG_ITEM_FIELDS = {
+  item_id: "id",
+  item_name: "name",
+  item_brand: "brand",
+  item_variant: "variant",
+  item_list_name: "list_name",
+  index: "list_position",
+  price: "price",
+  quantity: "quantity",
+  coupon: "coupon",
+};
+
+/**
+ * @const {!Object<string, string>} Map of GA4 promotion parameters to UA data
+ * layer promotion fields.
+ */
+const UA_PROMOTION_FIELDS = {
+  promotion_id: "id",
+  promotion_name: "name",
+  creative_name: "creative",
+  creative_slot: "position",
+};
+
+/**
+ * @const {!Object<string, string>} Map of GA4 promotion parameters to UA gtag
+ * promotion fields.
+ */
+const UA_GTAG_PROMOTION_FIELDS = {
+  promotion_id: "id",
+  promotion_name: "name",
+  creative_name: "creative_name",
+  creative_slot: "creative_slot",
+};
+
+/**
+ * @const {!Object<string, string>} Map of GA4 purchase and refund parameters
+ * to UA data layer action fields.
+ */
+const UA_ACTION_FIELDS = {
+  transaction_id: "id",
+  affiliation: "affiliation",
+  value: "revenue",
+  tax: "tax",
+  shipping: "shipping",
+  coupon: "coupon",
+};
+
+/**
+ * @const {!Array<string>} GA4 event parameters that UA gtag events take as
+ * they are.
+ */
+const UA_GTAG_PARAMS = [
+  "transaction_id",
+  "affiliation",
+  "value",
+  "currency",
+  "tax",
+  "shipping",
+  "coupon",
+];
+
+/**
+ * @const {!Object<string, string>} Map of GA4 events to UA data layer actions.
+ * view_item_list uses impressions instead of an action.
+ */
+const UA_ACTIONS = {
+  select_item: "click",
+  view_item: "detail",
+  add_to_cart: "add",
+  remove_from_cart: "remove",
+  begin_checkout: "checkout",
+  add_shipping_info: "checkout",
+  add_payment_info: "checkout",
+  purchase: "purchase",
+  refund: "refund",
+  view_promotion: "promoView",
+  select_promotion: "promoClick",
+};
+
+/**
+ * @const {!Object<string, string>} Map of GA4 events to UA gtag events, the
+ * reverse of the mapping in schemaConvert.
+ */
+const UA_GTAG_EVENTS = {
+  view_item_list: "view_item_list",
+  select_item: "select_content",
+  view_item: "view_item",
+  add_to_cart: "add_to_cart",
+  remove_from_cart: "remove_from_cart",
+  add_to_wishlist: "add_to_wishlist",
+  begin_checkout: "begin_checkout",
+  add_shipping_info: "checkout_progress",
+  add_payment_info: "set_checkout_option",
+  purchase: "purchase",
+  refund: "refund",
+  view_promotion: "view_promotion",
+  select_promotion: "select_content",
+};
+
+/**
+ * @const {!Object<string, {step: number, option: string}>} Checkout step and
+ * the GA4 parameter holding the checkout option, for GA4 checkout events.
+ */
+const CHECKOUT_STEPS = {
+  begin_checkout: { step: 1, option: "" },
+  add_shipping_info: { step: 2, option: "shipping_tier" },
+  add_payment_info: { step: 3, option: "payment_type" },
+};
+
+/** @const {string} TypeScript type of UA data layer ecommerce objects. */
+const TS_ECOMMERCE_TYPE = "Record<string, unknown>";
+
+/** @const {string} TypeScript type of UA gtag event parameters. */
+const TS_PARAMS_TYPE = "Gtag.EventParams";
+
+/**
+ * @param {!Object<string, *>} source
+ * @param {!Object<string, string>} fields Map of source fields to result
+ *     fields.
+ * @return {!Object<string, *>} The mapped fields of source that are set.
+ */
+function mapFields(source, fields) {
+  const result = {};
+  for (const field of Object.keys(fields)) {
+    if (source[field] !== undefined) {
+      result[fields[field]] = source[field];
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {!Object<string, string>} mapping A custom dimension and metric
+ *     mapping, see customMapping.parse.
+ * @return {!Object<string, string>} The reverse mapping, from GA4 item
+ *     parameters to UA custom dimensions and metrics.
+ */
+function reverseMapping(mapping) {
+  const reversed = {};
+  for (const customDefinition of Object.keys(mapping)) {
+    reversed[mapping[customDefinition]] = customDefinition;
+  }
+  return reversed;
+}
+
+/**
+ * @param {!Object<string, *>} item A GA4 item.
+ * @param {!Object<string, string>} customFields GA4 item parameters to copy as
+ *     UA custom dimensions and metrics.
+ * @return {!Object<string, *>} The UA data layer product.
+ */
+function toUaProduct(item, customFields) {
+  const product = mapFields(item, UA_PRODUCT_FIELDS);
+  const category = categoryPath.join(item);
+  if (category !== undefined) {
+    product["category"] = category;
+  }
+  Object.assign(product, mapFields(item, customFields));
+  return product;
+}
+
+/**
+ * @param {!Object<string, *>} item A GA4 item.
+ * @param {!Object<string, string>} customFields GA4 item parameters to copy as
+ *     UA custom dimensions and metrics.
+ * @return {!Object<string, *>} The UA gtag item.
+ */
+function toUaGtagItem(item, customFields) {
+  const uaItem = mapFields(item, UA_GTAG_ITEM_FIELDS);
+  const category = categoryPath.join(item);
+  if (category !== undefined) {
+    uaItem["category"] = category;
+  }
+  Object.assign(uaItem, mapFields(item, customFields));
+  return uaItem;
+}
+
+/**
+ * @param {!Object<string, *>} params GA4 event parameters.
+ * @return {!Array<!Object<string, *>>} The promotions of a GA4 promotion
+ *     event: the items with promotion fields, or the event level promotion.
+ */
+function ga4Promotions(params) {
+  const items = (params["items"] || []).filter(
+    (item) =>
+      item["promotion_id"] !== undefined || item["promotion_name"] !== undefined
+  );
+  if (items.length) {
+    return items;
+  }
+  return params["promotion_id"] !== undefined ||
+    params["promotion_name"] !== undefined
+    ? [params]
+    : [];
+}
+
+/**
+ * @param {!Object<string, *>} parsedHitData Hit data in two buckets: params and
+ *     products, as taken by schemaRecommend.
+ * @param {!Object<string, string>=} mapping Custom dimension and metric
+ *     mapping whose GA4 item parameters become UA custom definitions again.
+ * @return {?Object<string, *>} The UA Enhanced Ecommerce data layer update,
+ *     or null if the GA4 event has no UA equivalent (e.g. view_cart).
+ */
+function buildUaDataLayerUpdate(parsedHitData, mapping = {}) {
+  const { event, params } = schemaRecommend.buildGa4Event(parsedHitData);
+  const items = params["items"] || [];
+  const customFields = reverseMapping(mapping);
+  const products = items.map((item) => toUaProduct(item, customFields));
+  const ecommerce = {};
+  if (params["currency"] !== undefined) {
+    ecommerce["currencyCode"] = params["currency"];
+  }
+
+  if (event === "view_item_list") {
+    ecommerce["impressions"] = items.map((item, index) => {
+      const impression = products[index];
+      const list = item["item_list_name"] || params["item_list_name"];
+      if (list !== undefined) {
+        impression["list"] = list;
+      }
+      return impression;
+    });
+    return { event, ecommerce };
+  }
+  const action = UA_ACTIONS[event];
+  if (!action) {
+    return null;
+  }
+
+  const actionObject = {};
+  const actionField = {};
+  if (event === "select_item" || event === "view_item") {
+    const list = params["item_list_name"] || (items[0] || {})["item_list_name"];
+    if (list !== undefined) {
+      actionField["list"] = list;
+    }
+  } else if (CHECKOUT_STEPS[event]) {
+    const checkout = CHECKOUT_STEPS[event];
+    actionField["step"] = checkout.step;
+    if (checkout.option && params[checkout.option] !== undefined) {
+      actionField["option"] = params[checkout.option];
+    }
+  } else if (event === "purchase" || event === "refund") {
+    Object.assign(actionField, mapFields(params, UA_ACTION_FIELDS));
+  }
+  if (Object.keys(actionField).length) {
+    actionObject["actionField"] = actionField;
+  }
+
+  if (action === "promoView" || action === "promoClick") {
+    actionObject["promotions"] = ga4Promotions(params).map((promotion) =>
+      mapFields(promotion, UA_PROMOTION_FIELDS)
+    );
+  } else if (products.length) {
+    actionObject["products"] = products;
+  }
+  ecommerce[action] = actionObject;
+  return { event, ecommerce };
+}
+
+/**
+ * @param {!Object<string, *>} parsedHitData Hit data in two buckets: params and
+ *     products, as taken by schemaRecommend.
+ * @param {!Object<string, string>=} mapping See buildUaDataLayerUpdate.
+ * @return {?{event: string, params: !Object<string, *>}} The UA gtag event,
+ *     or null if the GA4 event has no UA equivalent (e.g. view_cart).
+ */
+function buildUaGtagEvent(parsedHitData, mapping = {}) {
+  const { event, params } = schemaRecommend.buildGa4Event(parsedHitData);
+  const uaEvent = UA_GTAG_EVENTS[event];
+  if (!uaEvent) {
+    return null;
+  }
+  const uaParams = {};
+  for (const param of UA_GTAG_PARAMS) {
+    if (params[param] !== undefined) {
+      uaParams[param] = params[param];
+    }
+  }
+  if (CHECKOUT_STEPS[event] && event !== "begin_checkout") {
+    const checkout = CHECKOUT_STEPS[event];
+    uaParams["checkout_step"] = checkout.step;
+    if (params[checkout.option] !== undefined) {
+      uaParams["checkout_option"] = params[checkout.option];
+    }
+  }
+  if (event === "view_promotion" || event === "select_promotion") {
+    if (event === "select_promotion") {
+      uaParams["content_type"] = "promotion";
+    }
+    uaParams["promotions"] = ga4Promotions(params).map((promotion) =>
+      mapFields(promotion, UA_GTAG_PROMOTION_FIELDS)
+    );
+    return { event: uaEvent, params: uaParams };
+  }
+  if (event === "select_item") {
+    uaParams["content_type"] = "product";
+  }
+  const items = params["items"] || [];
+  const customFields = reverseMapping(mapping);
+  if (items.length) {
+    uaParams["items"] = items.map((item) => {
+      const uaItem = toUaGtagItem(item, customFields);
+      if (
+        uaItem["list_name"] === undefined &&
+        params["item_list_name"] !== undefined
+      ) {
+        uaItem["list_name"] = params["item_list_name"];
+      }
+      return uaItem;
+    });
+  }
+  return { event: uaEvent, params: uaParams };
+}
+
+/**
+ * @param {!Object<string, *>} parsedHitData
+ * @param {!codeGen.Format=} format
+ * @param {!Object<string, string>=} mapping See buildUaDataLayerUpdate.
+ * @return {?string} The UA Enhanced Ecommerce data layer update (for Google
+ *     Tag Manager), preceded by the update that clears the previous ecommerce
+ *     object, or null if the event has no UA equivalent. In JSON format, just
+ *     the data layer update.
+ */
+function buildUaDataLayerPush(
+  parsedHitData,
+  format = codeGen.Format.JS,
+  mapping = {}
+) {
+  const update = buildUaDataLayerUpdate(parsedHitData, mapping);
+  if (!update) {
+    return null;
+  }
+  const clear =
+    "// Clear the previous ecommerce object.\n" +
+    "dataLayer.push({ ecommerce: null });\n";
+  switch (format) {
+    case codeGen.Format.JSON:
+      return codeGen.serialize(update, format);
+    case codeGen.Format.TYPESCRIPT:
+      return (
+        `const ecommerce: ${TS_ECOMMERCE_TYPE} = ` +
+        `${codeGen.serialize(update.ecommerce, format)};\n` +
+        clear +
+        `dataLayer.push({ event: ${codeGen.quote(update.event)}, ecommerce });`
+      );
+  }
+  return clear + `dataLayer.push(${codeGen.serialize(update)});`;
+}
+
+/**
+ * @param {!Object<string, *>} parsedHitData
+ * @param {!codeGen.Format=} format
+ * @param {!Object<string, string>=} mapping See buildUaDataLayerUpdate.
+ * @return {?string} A UA gtag command to send this data, or null if the event
+ *     has no UA equivalent. In JSON format, the event name and parameters as a
+ *     JSON object.
+ */
+function buildUaGtagCommand(
+  parsedHitData,
+  format = codeGen.Format.JS,
+  mapping = {}
+) {
+  const uaEvent = buildUaGtagEvent(parsedHitData, mapping);
+  if (!uaEvent) {
+    return null;
+  }
+  const { event, params } = uaEvent;
+  switch (format) {
+    case codeGen.Format.JSON:
+      return codeGen.serialize({ event, params }, format);
+    case codeGen.Format.TYPESCRIPT:
+      return (
+        `const eventParams: ${TS_PARAMS_TYPE} = ` +
+        `${codeGen.serialize(params, format)};\n` +
+        `gtag('event', ${codeGen.quote(event)}, eventParams);`
+      );
+  }
+  return `gtag('event', ${codeGen.quote(event)}, ${codeGen.serialize(
+    params
+  )});`;
+}
+
+export default {
+  buildUaDataLayerUpdate,
+  buildUaGtagEvent,
+  buildUaDataLayerPush,
+  buildUaGtagCommand,
+};
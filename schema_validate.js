@@ -0,0 +1,803 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Validates ecommerce input against the GA4 recommended events
+ * and the UA Enhanced Ecommerce schema, with diagnostics for each field.
+ */
+import analyticsEc from "./analytics_ec.js";
+import categoryPath from "./category_path.js";
+import numeric from "./numeric.js";
+import schemaId from "./schema_id.js";
+
+/** @enum {string} */
+const Severity = {
+  ERROR: "error",
+  WARNING: "warning",
+};
+
+/**
+ * @typedef {{
+ *   severity: !Severity,
+ *   path: string,
+ *   message: string,
+ * }}
+ */
+let Diagnostic;
+
+/** @const {number} Maximum number of items GA4 accepts in an event. */
+const MAX_ITEMS = 200;
+
+/** @const {number} Maximum number of parameters GA4 accepts in an event. */
+const MAX_PARAMS = 25;
+
+/** @const {number} Maximum length of GA4 event and parameter names. */
+const MAX_NAME_LENGTH = 40;
+
+/** @const {number} Maximum length of GA4 parameter values. */
+const MAX_VALUE_LENGTH = 100;
+
+/** @const {!RegExp} Regex for a valid GA4 event or parameter name. */
+const GA4_NAME_REGEX = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/** @const {!RegExp} Regex for name prefixes that GA4 reserves. */
+const GA4_RESERVED_PREFIX_REGEX = /^(google_|ga_|firebase_)/;
+
+/**
+ * @const {!Array<string>} GA4 recommended ecommerce events. All of them take
+ * an items array.
+ */
+const GA4_ECOMMERCE_EVENTS = [
+  "add_payment_info",
+  "add_shipping_info",
+  "add_to_cart",
+  "add_to_wishlist",
+  "begin_checkout",
+  "purchase",
+  "refund",
+  "remove_from_cart",
+  "select_item",
+  "select_promotion",
+  "view_cart",
+  "view_item",
+  "view_item_list",
+  "view_promotion",
+];
+
+/**
+ * @const {!Array<string>} GA4 ecommerce events where items are optional.
+ * Refunds of a whole transaction and promotion events may omit them.
+ */
+const GA4_OPTIONAL_ITEMS_EVENTS = [
+  "refund",
+  "select_promotion",
+  "view_promotion",
+];
+
+/** @const {!Array<string>} GA4 events that require a transaction_id. */
+const GA4_TRANSACTION_EVENTS = ["purchase", "refund"];
+
+/** @const {!Array<string>} GA4 event parameters that must be numbers. */
+const GA4_NUMERIC_PARAMS = ["value", "tax", "shipping"];
+
+/** @const {!Array<string>} GA4 item parameters that must be numbers. */
+const GA4_NUMERIC_ITEM_PARAMS = ["price", "quantity", "discount", "index"];
+
+/** @const {!Array<string>} GA4 promotion item parameters. */
+const GA4_PROMOTION_ITEM_PARAMS = [
+  "promotion_id",
+  "promotion_name",
+  "creative_name",
+  "creative_slot",
+];
+
+/** @const {!Array<string>} UA Enhanced Ecommerce actions with products. */
+const UA_PRODUCT_ACTIONS = [
+  "detail",
+  "click",
+  "add",
+  "remove",
+  "checkout",
+  "checkoutStep",
+  "checkout_option",
+  "purchase",
+  "refund",
+];
+
+/** @const {!Array<string>} UA Enhanced Ecommerce promotion actions. */
+const UA_PROMOTION_ACTIONS = ["promoView", "promoClick"];
+
+/**
+ * Accumulates diagnostics.
+ */
+class Diagnostics {
+  constructor() {
+    /** @type {!Array<!Diagnostic>} */
+    this.list = [];
+  }
+
+  /**
+   * @param {string} path
+   * @param {string} message
+   */
+  error(path, message) {
+    this.list.push({ severity: Severity.ERROR, path, message });
+  }
+
+  /**
+   * @param {string} path
+   * @param {string} message
+   */
+  warning(path, message) {
+    this.list.push({ severity: Severity.WARNING, path, message });
+  }
+}
+
+/**
+ * @param {*} value
+ * @return {boolean} Whether the value is set, i.e. not undefined, null or "".
+ */
+function isSet(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+/**
+ * Checks that a field is a number, accepting numeric strings with a warning,
+ * or silently for UA, whose own examples write prices and revenue as strings.
+ *
+ * @param {!Diagnostics} diagnostics
+ * @param {string} path
+ * @param {*} value
+ * @param {boolean=} acceptStrings Whether numeric strings are accepted
+ *     without a warning.
+ */
+function checkNumber(diagnostics, path, value, acceptStrings = false) {
+  if (!isSet(value) || typeof value === "number") {
+    return;
+  }
+  if (typeof value === "string" && value.trim() && !isNaN(Number(value))) {
+    if (acceptStrings) {
+      return;
+    }
+    diagnostics.warning(
+      path,
+      `Should be a number, not the string "${value}".`
+    );
+  } else {
+    diagnostics.error(
+      path,
+      `Must be a number, found ${JSON.stringify(value)}.`
+    );
+  }
+}
+
+/**
+ * Checks that a currency is an ISO 4217 currency code.
+ *
+ * @param {!Diagnostics} diagnostics
+ * @param {string} path
+ * @param {*} currency
+ */
+function checkCurrency(diagnostics, path, currency) {
+  if (!isSet(currency) || numeric.isCurrencyCode(currency)) {
+    return;
+  }
+  if (numeric.isCurrencyCode(String(currency).toUpperCase())) {
+    diagnostics.warning(
+      path,
+      `"${currency}" should be uppercase, i.e. ` +
+        `"${String(currency).toUpperCase()}".`
+    );
+  } else {
+    diagnostics.warning(
+      path,
+      `"${currency}" is not an ISO 4217 currency code.`
+    );
+  }
+}
+
+/**
+ * Checks a numeric field of a hit, where all values are strings that
+ * Analytics reads as plain numbers.
+ *
+ * @param {!Diagnostics} diagnostics
+ * @param {string} path
+ * @param {*} value
+ * @return {number} The value as a number, NaN if it isn't set or numeric.
+ */
+function checkHitNumber(diagnostics, path, value) {
+  if (!isSet(value)) {
+    return NaN;
+  }
+  const parsed = numeric.parseNumber(value);
+  if (!parsed) {
+    diagnostics.error(path, `"${value}" is not a number.`);
+    return NaN;
+  }
+  if (parsed.format !== numeric.NumberFormat.PLAIN) {
+    diagnostics.warning(
+      path,
+      `"${value}" is written with a ${parsed.format} separator. Analytics ` +
+        "expects a dot as decimal separator and no thousands separators, " +
+        `i.e. "${parsed.number}".`
+    );
+  }
+  return parsed.number;
+}
+
+/**
+ * Checks the GA4 naming rules for an event or parameter name.
+ *
+ * @param {!Diagnostics} diagnostics
+ * @param {string} path
+ * @param {string} name
+ * @param {string} kind "Event" or "Parameter", for the messages.
+ */
+function checkGa4Name(diagnostics, path, name, kind) {
+  if (name.length > MAX_NAME_LENGTH) {
+    diagnostics.error(
+      path,
+      `${kind} name "${name}" is longer than ${MAX_NAME_LENGTH} characters.`
+    );
+  }
+  if (!GA4_NAME_REGEX.test(name)) {
+    diagnostics.error(
+      path,
+      `${kind} name "${name}" must start with a letter and contain only ` +
+        "letters, numbers and underscores."
+    );
+  }
+  if (GA4_RESERVED_PREFIX_REGEX.test(name)) {
+    diagnostics.error(path, `${kind} name "${name}" uses a reserved prefix.`);
+  }
+}
+
+/**
+ * Checks the GA4 rules for a parameter value.
+ *
+ * @param {!Diagnostics} diagnostics
+ * @param {string} path
+ * @param {*} value
+ */
+function checkGa4Value(diagnostics, path, value) {
+  if (typeof value === "string" && value.length > MAX_VALUE_LENGTH) {
+    diagnostics.warning(
+      path,
+      `Value is longer than ${MAX_VALUE_LENGTH} characters and will be ` +
+        "truncated."
+    );
+  }
+}
+
+/**
+ * @param {!Diagnostics} diagnostics
+ * @param {string} path Path of the item.
+ * @param {!Object<string, *>} item
+ */
+function validateGa4Item(diagnostics, path, item) {
+  if (!item || typeof item !== "object") {
+    diagnostics.error(path, "Items must be objects.");
+    return;
+  }
+  const isPromotion = GA4_PROMOTION_ITEM_PARAMS.some((field) =>
+    isSet(item[field])
+  );
+  if (!isSet(item["item_id"]) && !isSet(item["item_name"]) && !isPromotion) {
+    diagnostics.error(path, "Items must have an item_id or an item_name.");
+  }
+  for (const field of Object.keys(item)) {
+    checkGa4Name(diagnostics, `${path}.${field}`, field, "Parameter");
+    checkGa4Value(diagnostics, `${path}.${field}`, item[field]);
+  }
+  for (const field of GA4_NUMERIC_ITEM_PARAMS) {
+    checkNumber(diagnostics, `${path}.${field}`, item[field]);
+  }
+}
+
+/**
+ * @param {!Diagnostics} diagnostics
+ * @param {string} path Path of the object with the event parameters.
+ * @param {string} eventName
+ * @param {!Object<string, *>} params
+ */
+function validateGa4(diagnostics, path, eventName, params) {
+  if (!eventName) {
+    diagnostics.error("$.event", "The event has no name.");
+  } else {
+    checkGa4Name(diagnostics, "$.event", eventName, "Event");
+  }
+
+  const paramNames = Object.keys(params).filter((name) => name !== "items");
+  if (paramNames.length > MAX_PARAMS) {
+    diagnostics.error(
+      path,
+      `Events can have at most ${MAX_PARAMS} parameters, found ` +
+        `${paramNames.length}.`
+    );
+  }
+  for (const name of paramNames) {
+    checkGa4Name(diagnostics, `${path}.${name}`, name, "Parameter");
+    checkGa4Value(diagnostics, `${path}.${name}`, params[name]);
+  }
+  for (const name of GA4_NUMERIC_PARAMS) {
+    checkNumber(diagnostics, `${path}.${name}`, params[name]);
+  }
+
+  if (isSet(params["value"]) && !isSet(params["currency"])) {
+    diagnostics.error(
+      `${path}.currency`,
+      "currency is required when value is set."
+    );
+  }
+  checkCurrency(diagnostics, `${path}.currency`, params["currency"]);
+  if (
+    GA4_TRANSACTION_EVENTS.includes(eventName) &&
+    !isSet(params["transaction_id"])
+  ) {
+    diagnostics.error(
+      `${path}.transaction_id`,
+      `transaction_id is required for ${eventName} events.`
+    );
+  }
+
+  const items = params["items"];
+  if (items === undefined) {
+    if (
+      GA4_ECOMMERCE_EVENTS.includes(eventName) &&
+      !GA4_OPTIONAL_ITEMS_EVENTS.includes(eventName)
+    ) {
+      diagnostics.error(
+        `${path}.items`,
+        `items is required for ${eventName} events.`
+      );
+    }
+    return;
+  }
+  if (!Array.isArray(items)) {
+    diagnostics.error(`${path}.items`, "items must be an array.");
+    return;
+  }
+  if (items.length > MAX_ITEMS) {
+    diagnostics.error(
+      `${path}.items`,
+      `Events can have at most ${MAX_ITEMS} items, found ${items.length}. ` +
+        "The rest are dropped."
+    );
+  }
+  items.forEach((item, index) => {
+    validateGa4Item(diagnostics, `${path}.items[${index}]`, item);
+  });
+}
+
+/**
+ * @param {!Diagnostics} diagnostics
+ * @param {!Object<string, *>} params The data layer update.
+ */
+function validateGa4DataLayer(diagnostics, params) {
+  const ecommerceObject = params["ecommerce"];
+  if (!ecommerceObject["items"]) {
+    for (const field of Object.keys(ecommerceObject)) {
+      const value = ecommerceObject[field];
+      if (value && value["items"] && !Array.isArray(value)) {
+        // GA4 items nested in a UA-style action object.
+        const merged = Object.assign({}, ecommerceObject, value);
+        delete merged[field];
+        validateGa4(
+          diagnostics,
+          `$.ecommerce.${field}`,
+          params["event"],
+          merged
+        );
+        return;
+      }
+    }
+  }
+  validateGa4(diagnostics, "$.ecommerce", params["event"], ecommerceObject);
+}
+
+/**
+ * @param {!Diagnostics} diagnostics
+ * @param {string} path Path of the product or impression.
+ * @param {!Object<string, *>} product
+ */
+function validateUaProduct(diagnostics, path, product) {
+  if (!product || typeof product !== "object") {
+    diagnostics.error(path, "Products must be objects.");
+    return;
+  }
+  if (!isSet(product["id"]) && !isSet(product["name"])) {
+    diagnostics.error(path, "Products must have an id or a name.");
+  }
+  for (const field of ["price", "quantity", "position"]) {
+    checkNumber(diagnostics, `${path}.${field}`, product[field], true);
+  }
+  const quantity = numeric.toNumber(product["quantity"]);
+  if (!isNaN(quantity) && !Number.isInteger(quantity)) {
+    diagnostics.error(`${path}.quantity`, "quantity must be an integer.");
+  }
+  if (typeof product["category"] === "string") {
+    const { depth } = categoryPath.split(product["category"]);
+    const warning = categoryPath.depthWarning(product["category"], depth);
+    if (warning) {
+      diagnostics.warning(`${path}.category`, warning);
+    }
+  }
+}
+
+/**
+ * @param {!Diagnostics} diagnostics
+ * @param {string} path Path of the promotion.
+ * @param {!Object<string, *>} promotion
+ */
+function validateUaPromotion(diagnostics, path, promotion) {
+  if (!promotion || typeof promotion !== "object") {
+    diagnostics.error(path, "Promotions must be objects.");
+    return;
+  }
+  if (!isSet(promotion["id"]) && !isSet(promotion["name"])) {
+    diagnostics.error(path, "Promotions must have an id or a name.");
+  }
+}
+
+/**
+ * @param {!Diagnostics} diagnostics
+ * @param {!Object<string, *>} ecommerceObject
+ */
+function validateUaDataLayer(diagnostics, ecommerceObject) {
+  const path = "$.ecommerce";
+  const currencyCode = ecommerceObject["currencyCode"];
+  checkCurrency(diagnostics, `${path}.currencyCode`, currencyCode);
+  for (const action of UA_PRODUCT_ACTIONS) {
+    const actionObject = ecommerceObject[action];
+    if (!actionObject) {
+      continue;
+    }
+    const actionPath = `${path}.${action}`;
+    const actionField = actionObject["actionField"] || {};
+    if (
+      (action === "purchase" || action === "refund") &&
+      !isSet(actionField["id"])
+    ) {
+      diagnostics.error(
+        `${actionPath}.actionField.id`,
+        `actionField.id (the transaction ID) is required for ${action}.`
+      );
+    }
+    for (const field of ["revenue", "tax", "shipping"]) {
+      checkNumber(
+        diagnostics,
+        `${actionPath}.actionField.${field}`,
+        actionField[field],
+        true
+      );
+    }
+    const products = actionObject["products"];
+    if (products === undefined) {
+      if (action !== "refund" && action !== "checkout_option") {
+        diagnostics.warning(
+          `${actionPath}.products`,
+          `${action} has no products.`
+        );
+      }
+    } else if (!Array.isArray(products)) {
+      diagnostics.error(
+        `${actionPath}.products`,
+        "products must be an array."
+      );
+    } else {
+      products.forEach((product, index) => {
+        validateUaProduct(
+          diagnostics,
+          `${actionPath}.products[${index}]`,
+          product
+        );
+      });
+    }
+  }
+
+  const impressions = ecommerceObject["impressions"];
+  if (impressions !== undefined) {
+    if (!Array.isArray(impressions)) {
+      diagnostics.error(
+        `${path}.impressions`,
+        "impressions must be an array."
+      );
+    } else {
+      impressions.forEach((impression, index) => {
+        validateUaProduct(
+          diagnostics,
+          `${path}.impressions[${index}]`,
+          impression
+        );
+      });
+    }
+  }
+
+  for (const action of UA_PROMOTION_ACTIONS) {
+    const actionObject = ecommerceObject[action];
+    if (!actionObject) {
+      continue;
+    }
+    const promotionsPath = `${path}.${action}.promotions`;
+    const promotions = actionObject["promotions"];
+    if (!Array.isArray(promotions)) {
+      diagnostics.error(promotionsPath, "promotions must be an array.");
+      continue;
+    }
+    promotions.forEach((promotion, index) => {
+      validateUaPromotion(
+        diagnostics,
+        `${promotionsPath}[${index}]`,
+        promotion
+      );
+    });
+  }
+}
+
+/**
+ * @param {!Diagnostics} diagnostics
+ * @param {string} eventName
+ * @param {!Object<string, *>} params
+ */
+function validateUaGtag(diagnostics, eventName, params) {
+  if (eventName === "purchase" && !isSet(params["transaction_id"])) {
+    diagnostics.error(
+      "$.transaction_id",
+      "transaction_id is required for purchase events."
+    );
+  }
+  for (const name of GA4_NUMERIC_PARAMS) {
+    checkNumber(diagnostics, `$.${name}`, params[name], true);
+  }
+  const listValidators = {
+    items: validateUaProduct,
+    promotions: validateUaPromotion,
+  };
+  for (const name of Object.keys(listValidators)) {
+    const list = params[name];
+    if (list === undefined) {
+      continue;
+    }
+    if (!Array.isArray(list)) {
+      diagnostics.error(`$.${name}`, `${name} must be an array.`);
+      continue;
+    }
+    list.forEach((entry, index) => {
+      listValidators[name](diagnostics, `$.${name}[${index}]`, entry);
+    });
+  }
+}
+
+/**
+ * Validates analytics.js ec plugin commands. The ecommerce data is validated
+ * as the equivalent UA data layer object, with the paths of the diagnostics
+ * pointing back to the commands.
+ *
+ * @param {!Diagnostics} diagnostics
+ * @param {!Array<!Array<*>>} commands The arguments of each ga() command.
+ */
+function validateAnalytics(diagnostics, commands) {
+  let hasProducts = false;
+  let hasAction = false;
+  commands.forEach((command, index) => {
+    const name = analyticsEc.commandName(command);
+    if (!analyticsEc.isEcCommand(command)) {
+      return;
+    }
+    if (!analyticsEc.EC_COMMANDS.includes(name)) {
+      diagnostics.error(`$[${index}]`, `Unknown ec plugin command "${name}".`);
+    } else if (name === "ec:setAction") {
+      hasAction = true;
+      if (typeof command[1] !== "string" || !command[1]) {
+        diagnostics.error(
+          `$[${index}][1]`,
+          "ec:setAction needs the action name, e.g. 'purchase'."
+        );
+      }
+    } else if (name === "ec:addProduct") {
+      hasProducts = true;
+    }
+  });
+  if (hasProducts && !hasAction) {
+    diagnostics.warning(
+      "$",
+      "Products are added but no action is set with ec:setAction, so they " +
+        "aren't sent."
+    );
+  }
+  const sources = {};
+  const ecommerceDiagnostics = new Diagnostics();
+  validateUaDataLayer(
+    ecommerceDiagnostics,
+    analyticsEc.toEcommerce(commands, sources)
+  );
+  for (const diagnostic of ecommerceDiagnostics.list) {
+    diagnostics.list.push(
+      Object.assign({}, diagnostic, {
+        path: analyticsEc.commandPath(sources, diagnostic.path),
+      })
+    );
+  }
+}
+
+/**
+ * Explains why an input wasn't recognized as any schema.
+ *
+ * @param {!Diagnostics} diagnostics
+ * @param {!schemaId.Api} api
+ * @param {!Object<string, *>} params
+ * @param {!schemaId.KnownSchema} schema
+ */
+function explainUnknown(diagnostics, api, params, schema) {
+  if (api === schemaId.Api.ANALYTICS) {
+    diagnostics.error(
+      "$",
+      "No ec plugin commands: expected at least one of " +
+        `${analyticsEc.EC_COMMANDS.join(", ")}.`
+    );
+    return;
+  }
+  if (api === schemaId.Api.DATA_LAYER) {
+    if (!params["ecommerce"]) {
+      diagnostics.error(
+        "$.ecommerce",
+        "Data layer updates must have an ecommerce object."
+      );
+    } else {
+      diagnostics.error(
+        "$.ecommerce",
+        "The ecommerce object has neither GA4 items nor a UA action " +
+          "(impressions, detail, click, add, remove, checkout, purchase, " +
+          "refund, promoView or promoClick)."
+      );
+    }
+    return;
+  }
+  if (schema === schemaId.KnownSchema.UNKNOWN) {
+    diagnostics.error(
+      "$",
+      "No ecommerce parameters: expected at least one of items, " +
+        "transaction_id, value or currency."
+    );
+    return;
+  }
+  const items = params["items"];
+  if (!Array.isArray(items) || !items.length) {
+    diagnostics.warning(
+      "$.items",
+      "Without items, UA and GA4 parameters can't be told apart."
+    );
+    return;
+  }
+  items.forEach((item, index) => {
+    if (!item || typeof item !== "object") {
+      diagnostics.error(`$.items[${index}]`, "Items must be objects.");
+      return;
+    }
+    const ua = isSet(item["id"]) || isSet(item["name"]);
+    const ga4 = isSet(item["item_id"]) || isSet(item["item_name"]);
+    if (ua) {
+      diagnostics.warning(
+        `$.items[${index}]`,
+        "Uses UA fields (id/name) while other items use GA4 fields."
+      );
+    } else if (!ga4) {
+      diagnostics.error(
+        `$.items[${index}]`,
+        "Has neither UA (id/name) nor GA4 (item_id/item_name) fields."
+      );
+    }
+  });
+}
+
+/**
+ * Validates an ecommerce input against the schema it was identified as.
+ *
+ * @param {!schemaId.Api} api
+ * @param {string} eventName The event name. Only used for the gtag API, since
+ *     data layer updates carry their own event name.
+ * @param {!Object<string, *>} params The gtag parameters, the data layer
+ *     update or the analytics.js commands.
+ * @param {!schemaId.KnownSchema} schema The schema returned by
+ *     schemaId.identifySchema for this input.
+ * @return {!Array<!Diagnostic>} Errors and warnings, with a JSON path to the
+ *     field each one applies to.
+ */
+function validate(api, eventName, params, schema) {
+  const diagnostics = new Diagnostics();
+  switch (schema) {
+    case schemaId.KnownSchema.UNIFIED:
+      validateGa4(diagnostics, "$", eventName, params);
+      break;
+    case schemaId.KnownSchema.GTM_LEGACY_GA4:
+      validateGa4DataLayer(diagnostics, params);
+      break;
+    case schemaId.KnownSchema.GTM_UA:
+      validateUaDataLayer(diagnostics, params["ecommerce"]);
+      break;
+    case schemaId.KnownSchema.GTAG_UA:
+      validateUaGtag(diagnostics, eventName, params);
+      break;
+    case schemaId.KnownSchema.ANALYTICS_UA:
+      validateAnalytics(diagnostics, params);
+      break;
+    default:
+      explainUnknown(diagnostics, api, params, schema);
+  }
+  return diagnostics.list;
+}
+
+/**
+ * Checks the numeric and currency fields of a parsed GA4 or UA hit: that
+ * values are plain numbers, that the currency is an ISO 4217 code and that the
+ * value matches the items total, with or without tax, shipping and discounts.
+ *
+ * @param {{
+ *   products: !Array<?Object<string, *>>,
+ *   params: !Object<string, *>,
+ * }} parsedHit As returned by ga4.parse or measurementProtocol.parse.
+ * @return {!Array<!Diagnostic>} Errors and warnings, with the path of the
+ *     field each one applies to.
+ */
+function validateHit(parsedHit) {
+  const diagnostics = new Diagnostics();
+  const params = parsedHit.params || {};
+  checkCurrency(diagnostics, "currency", params["currency"]);
+  const numbers = {};
+  for (const name of GA4_NUMERIC_PARAMS) {
+    numbers[name] = checkHitNumber(diagnostics, name, params[name]);
+  }
+  const products = parsedHit.products || [];
+  products.forEach((product, index) => {
+    if (!product) {
+      return;
+    }
+    for (const field of ["price", "quantity", "discount"]) {
+      const number = checkHitNumber(
+        diagnostics,
+        `products[${index}].${field}`,
+        product[field]
+      );
+      if (field === "quantity" && !isNaN(number) && !Number.isInteger(number)) {
+        diagnostics.error(
+          `products[${index}].quantity`,
+          "quantity must be an integer."
+        );
+      }
+    }
+  });
+
+  const priced = products.filter((product) => product && isSet(product.price));
+  if (isNaN(numbers.value) || !priced.length) {
+    return diagnostics.list;
+  }
+  const totals = numeric.itemsTotal(priced);
+  const { total, discount } = totals;
+  if (isNaN(total) || isNaN(discount)) {
+    return diagnostics.list;
+  }
+  const extras = (numbers.tax || 0) + (numbers.shipping || 0);
+  if (!numeric.matchesItemsTotal(numbers.value, totals, extras)) {
+    const round = (number) => Math.round(number * 100) / 100;
+    diagnostics.warning(
+      "value",
+      `${numbers.value} doesn't match the items total ${round(total)} ` +
+        `(prices times quantities), with or without tax and shipping ` +
+        `(${round(extras)}) or discounts (${round(discount)}).`
+    );
+  }
+  return diagnostics.list;
+}
+
+export default { validate, validateHit, Severity, GA4_ECOMMERCE_EVENTS };
@@ -0,0 +1,228 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Support for saving an analysis session, i.e. the inputs and
+ * the captured hits, as a compressed URL fragment or a JSON file, so that it
+ * can be shared and restored.
+ */
+
+/** @const {number} Version of the session format. */
+const VERSION = 1;
+
+/** @const {string} Prefix of URL fragments that hold a session. */
+const FRAGMENT_PREFIX = "#session=";
+
+/** @const {string} Compression format of the URL fragment. */
+const COMPRESSION_FORMAT = "deflate-raw";
+
+/**
+ * A captured hit, as passed to hitCapture listeners, with the time as an ISO
+ * string.
+ *
+ * @typedef {{
+ *   url: string,
+ *   body: string,
+ *   transport: string,
+ *   time: string,
+ * }}
+ */
+let SavedHit;
+
+/**
+ * @typedef {{
+ *   version: number,
+ *   api: string,
+ *   mode: string,
+ *   event: string,
+ *   params: string,
+ *   ga4Property: string,
+ *   uaProperty: string,
+ *   mapping: string,
+ *   funnel: string,
+ *   hits: !Array<!SavedHit>,
+ * }}
+ */
+let Session;
+
+/**
+ * @const {!Array<string>} Text fields of a session, which are all optional
+ * and default to an empty string.
+ */
+const TEXT_FIELDS = [
+  "api",
+  "mode",
+  "event",
+  "params",
+  "ga4Property",
+  "uaProperty",
+  "mapping",
+  "funnel",
+];
+
+/**
+ * Checks the shape of a session read from a file or URL, so that a corrupt or
+ * hand-edited session fails with a clear message instead of half restoring.
+ *
+ * @param {*} value
+ * @return {!Session} The session with missing optional fields filled in.
+ * @throws {!Error} If the value isn't a session.
+ */
+function validate(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error("A session must be a JSON object.");
+  }
+  if (value.version !== VERSION) {
+    throw new Error(
+      `Unsupported session version ${value.version}, expected ${VERSION}.`
+    );
+  }
+  const session = { version: VERSION };
+  for (const field of TEXT_FIELDS) {
+    const text = value[field] === undefined ? "" : value[field];
+    if (typeof text !== "string") {
+      throw new Error(`The session ${field} must be a string.`);
+    }
+    session[field] = text;
+  }
+  const hits = value.hits === undefined ? [] : value.hits;
+  if (!Array.isArray(hits)) {
+    throw new Error("The session hits must be an array.");
+  }
+  session.hits = hits.map((hit, index) => {
+    if (!hit || typeof hit.url !== "string") {
+      throw new Error(`Hit ${index + 1} of the session has no URL.`);
+    }
+    return {
+      url: hit.url,
+      body: typeof hit.body === "string" ? hit.body : "",
+      transport: typeof hit.transport === "string" ? hit.transport : "",
+      time: typeof hit.time === "string" ? hit.time : "",
+    };
+  });
+  return session;
+}
+
+/**
+ * @param {!Session} session
+ * @return {string} The session as a JSON file.
+ */
+function toJson(session) {
+  return JSON.stringify(session, null, 2) + "\n";
+}
+
+/**
+ * @param {string} text The contents of a session JSON file.
+ * @return {!Session}
+ * @throws {!Error} If the text isn't a valid session.
+ */
+function fromJson(text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (ex) {
+    throw new Error(`Invalid session file: ${ex.message}`);
+  }
+  return validate(value);
+}
+
+/**
+ * @param {!Uint8Array} bytes
+ * @return {string} The bytes as base64url, without padding.
+ */
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * @param {string} text Base64url text, with or without padding.
+ * @return {!Uint8Array}
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * @param {!Uint8Array} bytes
+ * @param {!TransformStream} stream A CompressionStream or DecompressionStream.
+ * @return {!Promise<!Uint8Array>} The transformed bytes.
+ */
+async function transform(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * @param {!Session} session
+ * @return {!Promise<string>} A URL fragment holding the compressed session.
+ */
+async function toFragment(session) {
+  const json = new TextEncoder().encode(JSON.stringify(session));
+  const compressed = await transform(
+    json,
+    new CompressionStream(COMPRESSION_FORMAT)
+  );
+  return FRAGMENT_PREFIX + toBase64Url(compressed);
+}
+
+/**
+ * @param {string} fragment A URL fragment, including the leading "#".
+ * @return {boolean} Whether the fragment holds a session.
+ */
+function isSessionFragment(fragment) {
+  return fragment.startsWith(FRAGMENT_PREFIX);
+}
+
+/**
+ * @param {string} fragment A URL fragment created by toFragment.
+ * @return {!Promise<!Session>}
+ * @throws {!Error} If the fragment doesn't hold a valid session, e.g. because
+ *     the link was cut short.
+ */
+async function fromFragment(fragment) {
+  let json;
+  try {
+    const compressed = fromBase64Url(
+      fragment.substring(FRAGMENT_PREFIX.length)
+    );
+    const bytes = await transform(
+      compressed,
+      new DecompressionStream(COMPRESSION_FORMAT)
+    );
+    json = new TextDecoder().decode(bytes);
+  } catch (ex) {
+    throw new Error(
+      "The session link is damaged, check that it was copied completely."
+    );
+  }
+  return fromJson(json);
+}
+
+export default {
+  VERSION,
+  validate,
+  toJson,
+  fromJson,
+  toFragment,
+  isSessionFragment,
+  fromFragment,
+};
@@ -0,0 +1,438 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Scans source code (JavaScript, TypeScript or templates such as
+ * HTML, PHP or Liquid) for dataLayer.push() and gtag('event', ...) calls,
+ * identifies the ecommerce schema of each one and rewrites the UA calls into
+ * GA4 calls. Nothing is evaluated: values that aren't literals are kept as
+ * objectLiteral.Expressions, which are copied as-is into the rewritten calls.
+ */
+import codeGen from "./code_gen.js";
+import customMapping from "./custom_mapping.js";
+import objectLiteral from "./object_literal.js";
+import schemaConvert from "./schema_convert.js";
+import schemaId from "./schema_id.js";
+import schemaRecommend from "./schema_recommend.js";
+
+/**
+ * @const {!RegExp} Regex for the start of a call, up to its opening
+ * parenthesis, or for a comment or string literal, so that calls in them are
+ * skipped. Capturing group 1 is the comment or string: a block, line or HTML
+ * comment, a template literal, or a quoted string other than the value of an
+ * inline event handler such as onclick="...", which templates use to make
+ * calls. Group 3 is the function as written, e.g. "window.dataLayer.push",
+ * and group 4 the function without "window.".
+ */
+const CALL_REGEX =
+  /(\/\*[\s\S]*?\*\/|(?<!:)\/\/.*|<!--[\s\S]*?-->|`(?:[^`\\]|\\[\s\S])*`|(?<!\bon\w+\s*=\s*)(["'])(?:(?!\2)[^\\\n]|\\.)*\2)|((?:\bwindow\.)?\b(dataLayer\.push|gtag))\s*\(/g;
+
+/**
+ * @const {!RegExp} Regex for a data layer update that clears the ecommerce
+ * object, at the end of the text before a call.
+ */
+const CLEAR_REGEX =
+  /dataLayer\.push\(\s*\{\s*["']?ecommerce["']?\s*:\s*null\s*,?\s*\}\s*\)\s*;?\s*$/;
+
+/**
+ * @const {!RegExp} Regex for the text before a call, on the same line, that
+ * shows the call starts a statement: nothing, or the end of a statement,
+ * block or tag.
+ */
+const STATEMENT_START_REGEX = /(^|[;{}>])\s*$/;
+
+/**
+ * @const {!Array<string>} Fields whose contents the conversion to GA4 reads:
+ * the lists of products, impressions, promotions and items, and the UA action
+ * fields. A call is only rewritten if they are literals.
+ */
+const CONVERTED_FIELDS = [
+  "products",
+  "impressions",
+  "promotions",
+  "items",
+  "actionField",
+];
+
+/** @const {!Array<!schemaId.KnownSchema>} The schemas that are rewritten. */
+const UA_SCHEMAS = [schemaId.KnownSchema.GTM_UA, schemaId.KnownSchema.GTAG_UA];
+
+/**
+ * A replacement of the source code of a call.
+ *
+ * @typedef {{
+ *   start: number,
+ *   end: number,
+ *   code: string,
+ * }}
+ */
+let Rewrite;
+
+/**
+ * A call found in the source code. Event is the event name, or the source
+ * code of the expression that gives it if it isn't a literal.
+ *
+ * @typedef {{
+ *   line: number,
+ *   column: number,
+ *   api: !schemaId.Api,
+ *   event: (string|undefined),
+ *   schema: !schemaId.KnownSchema,
+ *   ga4Event: (string|undefined),
+ *   rewrite: ?Rewrite,
+ *   notes: !Array<string>,
+ *   error: (string|undefined),
+ * }}
+ */
+let ScanResult;
+
+/**
+ * @param {*} value
+ * @return {boolean} Whether the value is an object literal.
+ */
+function isObject(value) {
+  return (
+    !!value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof objectLiteral.Expression)
+  );
+}
+
+/**
+ * @param {*} value The gtag parameters or the data layer update, or any
+ *     object in them.
+ * @return {boolean} Whether any of the CONVERTED_FIELDS in the value, at any
+ *     depth, is an objectLiteral.Expression or a list with Expressions.
+ */
+function hasConvertedExpression(value) {
+  if (!isObject(value)) {
+    return false;
+  }
+  return Object.keys(value).some((key) => {
+    const field = value[key];
+    if (
+      CONVERTED_FIELDS.includes(key) &&
+      (field instanceof objectLiteral.Expression ||
+        (Array.isArray(field) &&
+          field.some((element) => element instanceof objectLiteral.Expression)))
+    ) {
+      return true;
+    }
+    return hasConvertedExpression(field);
+  });
+}
+
+/**
+ * @param {*} value
+ * @return {string|undefined} The value as text for the report.
+ */
+function describe(value) {
+  if (value instanceof objectLiteral.Expression) {
+    return value.text;
+  }
+  return typeof value === "string" ? value : undefined;
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @return {number} The index of the start of the line of the offset.
+ */
+function lineStart(text, offset) {
+  return text.lastIndexOf("\n", offset - 1) + 1;
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @return {number} The index of the end of the line of the offset, before its
+ *     line break.
+ */
+function lineEnd(text, offset) {
+  const end = text.indexOf("\n", offset);
+  return end < 0 ? text.length : end;
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @return {number} The 1-based line number of the offset.
+ */
+function lineNumber(text, offset) {
+  return text.substring(0, offset).split("\n").length;
+}
+
+/**
+ * Builds the GA4 call that replaces a UA call.
+ *
+ * @param {string} text The source code.
+ * @param {{start: number, end: number, callee: string, event: *}} call The
+ *     offsets of the call, the function as written and the event name
+ *     argument or data layer field.
+ * @param {!ScanResult} result The scan result of the call, whose notes are
+ *     added to.
+ * @param {!Object<string, *>} params The gtag parameters or the data layer
+ *     update.
+ * @param {!Object<string, string>} mapping
+ * @return {?Rewrite} The rewrite, or null if the call can't be rewritten.
+ */
+function rewriteCall(text, call, result, params, mapping) {
+  const before = text.substring(lineStart(text, call.start), call.start);
+  if (!STATEMENT_START_REGEX.test(before)) {
+    result.notes.push("Not rewritten: the call isn't a statement of its own.");
+    return null;
+  }
+  if (typeof call.event !== "string" && result.api === schemaId.Api.GTAG) {
+    result.notes.push("Not rewritten: the event name isn't a literal.");
+    return null;
+  }
+
+  if (hasConvertedExpression(params)) {
+    // The conversion would read the Expression as an object and lose it.
+    result.notes.push(
+      "Not rewritten: the products, promotions or action fields aren't " +
+        "literals."
+    );
+    return null;
+  }
+  const ga4Event = customMapping.applyToEvent(
+    schemaConvert.convertToGa4(result.api, call.event, params, result.schema),
+    mapping
+  );
+  if (!ga4Event) {
+    result.notes.push("Not rewritten: the call has no GA4 equivalent.");
+    return null;
+  }
+  const { event, params: ga4Params } = schemaRecommend.buildGa4Event(
+    schemaConvert.toParsedHitData(ga4Event)
+  );
+  result.ga4Event = event;
+  if (
+    (ga4Params["items"] || []).some(
+      (item) => item["category"] instanceof objectLiteral.Expression
+    )
+  ) {
+    result.notes.push(
+      "The category of some items isn't a literal, split it into the GA4 " +
+        "category levels item_category to item_category5."
+    );
+  }
+
+  const indent = /^[ \t]*/.exec(before)[0];
+  let end = call.end;
+  if (text[end] === ";") {
+    end++;
+  }
+  if (result.api === schemaId.Api.GTAG) {
+    const code =
+      `${call.callee}('event', ${codeGen.quote(event)}, ` +
+      `${codeGen.serialize(ga4Params, codeGen.Format.JS, indent)});`;
+    return { start: call.start, end, code };
+  }
+
+  const update = { event, ecommerce: ga4Params };
+  for (const key of Object.keys(params)) {
+    if (key !== "event" && key !== "ecommerce") {
+      // E.g. eventCallback, which the page may rely on.
+      update[key] = params[key];
+    }
+  }
+  if (typeof call.event === "string" && call.event !== event) {
+    result.notes.push(
+      `Update the Tag Manager triggers of the ${call.event} event to ` +
+        `${event}.`
+    );
+  }
+  let code = `${call.callee}(${codeGen.serialize(
+    update,
+    codeGen.Format.JS,
+    indent
+  )});`;
+  if (!CLEAR_REGEX.test(text.substring(0, call.start))) {
+    code =
+      "// Clear the previous ecommerce object.\n" +
+      `${indent}${call.callee}({ ecommerce: null });\n${indent}${code}`;
+  }
+  return { start: call.start, end, code };
+}
+
+/**
+ * Finds the ecommerce data layer updates and gtag events in source code and
+ * identifies their schema.
+ *
+ * @param {string} text The source code of a file.
+ * @param {!Object<string, string>=} mapping Custom dimension and metric
+ *     mapping applied to the GA4 items of the rewritten calls, see
+ *     customMapping.parse.
+ * @return {!Array<!ScanResult>} The calls, in order. UA calls that can be
+ *     rewritten into GA4 calls have a rewrite, see applyRewrites.
+ */
+function scanSource(text, mapping = {}) {
+  const results = [];
+  CALL_REGEX.lastIndex = 0;
+  let match;
+  while ((match = CALL_REGEX.exec(text))) {
+    if (match[1]) {
+      continue;
+    }
+    const start = match.index;
+    const api =
+      match[4] === "gtag" ? schemaId.Api.GTAG : schemaId.Api.DATA_LAYER;
+    const position = {
+      line: lineNumber(text, start),
+      column: start - lineStart(text, start) + 1,
+    };
+
+    let parsed;
+    try {
+      parsed = objectLiteral.parseArguments(text, CALL_REGEX.lastIndex);
+    } catch (ex) {
+      if (!(ex instanceof objectLiteral.ParseError)) {
+        throw ex;
+      }
+      results.push(
+        Object.assign(position, {
+          api,
+          schema: schemaId.KnownSchema.UNKNOWN,
+          rewrite: null,
+          notes: [],
+          error: ex.message,
+        })
+      );
+      continue;
+    }
+    const { args, end } = parsed;
+    // Resume after the call, so that calls in its arguments aren't reported.
+    CALL_REGEX.lastIndex = end;
+
+    let params;
+    let event;
+    if (api === schemaId.Api.GTAG) {
+      if (args[0] !== "event") {
+        continue;
+      }
+      event = args[1];
+      params = isObject(args[2]) ? args[2] : {};
+    } else {
+      params = args[0];
+      if (
+        !isObject(params) ||
+        !params.hasOwnProperty("ecommerce") ||
+        params["ecommerce"] === null
+      ) {
+        // Not ecommerce data, or the update that clears it.
+        continue;
+      }
+      event = params["event"];
+    }
+
+    const result = Object.assign(position, {
+      api,
+      event: describe(event),
+      schema: schemaId.identifySchema(api, params),
+      ga4Event: undefined,
+      rewrite: null,
+      notes: [],
+    });
+    if (UA_SCHEMAS.includes(result.schema)) {
+      result.rewrite = rewriteCall(
+        text,
+        { start, end, callee: match[3], event },
+        result,
+        params,
+        mapping
+      );
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * @param {string} text
+ * @param {!Array<!Rewrite>} rewrites Rewrites within the range, in order.
+ * @param {number} start
+ * @param {number} end
+ * @return {string} The range of the text with the rewrites applied.
+ */
+function rewriteRange(text, rewrites, start, end) {
+  let rewritten = "";
+  let offset = start;
+  for (const rewrite of rewrites) {
+    rewritten += text.substring(offset, rewrite.start) + rewrite.code;
+    offset = rewrite.end;
+  }
+  return rewritten + text.substring(offset, end);
+}
+
+/**
+ * @param {string} text The source code the results were found in.
+ * @param {!Array<!ScanResult>} results As returned by scanSource.
+ * @return {string} The source code with the rewrites applied.
+ */
+function applyRewrites(text, results) {
+  const rewrites = results
+    .map((result) => result.rewrite)
+    .filter((rewrite) => rewrite);
+  return rewriteRange(text, rewrites, 0, text.length);
+}
+
+/**
+ * @param {string} path The path of the file, for the diff header.
+ * @param {string} text The source code the results were found in.
+ * @param {!Array<!ScanResult>} results As returned by scanSource.
+ * @return {string} The rewrites as a unified diff without context lines
+ *     (like diff -U0), or "" if there are none.
+ */
+function formatDiff(path, text, results) {
+  // Rewrites on the same or adjacent lines go in a single hunk, since hunks
+  // can't share lines.
+  const ranges = [];
+  for (const { rewrite } of results) {
+    if (!rewrite) {
+      continue;
+    }
+    const start = lineStart(text, rewrite.start);
+    const end = lineEnd(text, rewrite.end);
+    const previous = ranges[ranges.length - 1];
+    if (previous && start <= previous.end + 1) {
+      previous.end = Math.max(previous.end, end);
+      previous.rewrites.push(rewrite);
+    } else {
+      ranges.push({ start, end, rewrites: [rewrite] });
+    }
+  }
+
+  const hunks = [];
+  let lineDelta = 0;
+  for (const { start, end, rewrites } of ranges) {
+    const oldLines = text.substring(start, end).split("\n");
+    const newLines = rewriteRange(text, rewrites, start, end).split("\n");
+    const oldStart = lineNumber(text, start);
+    hunks.push(
+      `@@ -${oldStart},${oldLines.length} ` +
+        `+${oldStart + lineDelta},${newLines.length} @@`,
+      ...oldLines.map((line) => `-${line}`),
+      ...newLines.map((line) => `+${line}`)
+    );
+    lineDelta += newLines.length - oldLines.length;
+  }
+  if (!hunks.length) {
+    return "";
+  }
+  return [`--- ${path}`, `+++ ${path}`, ...hunks].join("\n") + "\n";
+}
+
+export default { scanSource, applyRewrites, formatDiff };
@@ -0,0 +1,123 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for analytics.js ec plugin commands.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import analyticsEc from "../analytics_ec.js";
+
+/** @const {string} A purchase, as sent with analytics.js. */
+const PURCHASE = `
+ga('create', 'UA-12345-6', 'auto');
+ga('require', 'ec');
+ga('set', 'currencyCode', 'EUR');
+ga('shop.ec:addProduct', { id: 'a', name: 'Tee', price: '9.99', quantity: 2 });
+ga('ec:addProduct', { id: 'b', price: '5' });
+ga('ec:setAction', 'purchase', { id: 'T1', revenue: '24.98' });
+ga('send', 'pageview');
+`;
+
+test("parseCommands and commandName: read ga() commands", () => {
+  const commands = analyticsEc.parseCommands(PURCHASE);
+  assert.equal(commands.length, 7);
+  assert.deepEqual(commands.map(analyticsEc.commandName), [
+    "create",
+    "require",
+    "set",
+    "ec:addProduct",
+    "ec:addProduct",
+    "ec:setAction",
+    "send",
+  ]);
+  assert.deepEqual(commands.map(analyticsEc.isEcCommand), [
+    false,
+    false,
+    false,
+    true,
+    true,
+    true,
+    false,
+  ]);
+});
+
+test("toEcommerce: builds the UA data layer ecommerce object", () => {
+  const sources = {};
+  assert.deepEqual(
+    analyticsEc.toEcommerce(analyticsEc.parseCommands(PURCHASE), sources),
+    {
+      currencyCode: "EUR",
+      purchase: {
+        actionField: { id: "T1", revenue: "24.98" },
+        products: [
+          { id: "a", name: "Tee", price: "9.99", quantity: 2 },
+          { id: "b", price: "5" },
+        ],
+      },
+    }
+  );
+  assert.deepEqual(sources, {
+    currencyCode: "$[2][2]",
+    purchase: "$[5]",
+    "purchase.actionField": "$[5][2]",
+    "purchase.products[0]": "$[3][1]",
+    "purchase.products[1]": "$[4][1]",
+  });
+});
+
+test("toEcommerce: attaches promotions to clicks or views", () => {
+  const promo = ["ec:addPromo", { id: "p1" }];
+  assert.deepEqual(
+    analyticsEc.toEcommerce([promo, ["ec:setAction", "promo_click"]]),
+    { promoClick: { promotions: [{ id: "p1" }] } }
+  );
+  assert.deepEqual(
+    analyticsEc.toEcommerce([
+      ["ec:addImpression", { id: "a", list: "Search" }],
+      promo,
+    ]),
+    {
+      impressions: [{ id: "a", list: "Search" }],
+      promoView: { promotions: [{ id: "p1" }] },
+    }
+  );
+});
+
+test("commandPath: points ecommerce paths back to the commands", () => {
+  const sources = {};
+  analyticsEc.toEcommerce(analyticsEc.parseCommands(PURCHASE), sources);
+  const paths = {
+    "$.ecommerce.currencyCode": "$[2][2]",
+    "$.ecommerce.purchase.products[1].price": "$[4][1].price",
+    "$.ecommerce.purchase.products[1]": "$[4][1]",
+    "$.ecommerce.purchase.actionField.id": "$[5][2].id",
+    "$.ecommerce.purchase.products": "$[5]",
+    "$.ecommerce.refund": "$",
+  };
+  for (const path of Object.keys(paths)) {
+    assert.equal(analyticsEc.commandPath(sources, path), paths[path], path);
+  }
+});
+
+test("formatCommands: writes the commands as ga() calls", () => {
+  assert.equal(
+    analyticsEc.formatCommands([
+      ["set", "currencyCode", "EUR"],
+      ["ec:setAction", "refund", { id: "T1" }],
+    ]),
+    "ga('set', 'currencyCode', 'EUR');\n" +
+      "ga('ec:setAction', 'refund', {\n  id: 'T1',\n});"
+  );
+});
@@ -0,0 +1,87 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for the fixes of items that mix UA and GA4 fields.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import autofix from "../autofix.js";
+import schemaId from "../schema_id.js";
+
+test("applyFixes: renames UA fields and splits the category", () => {
+  const params = {
+    items: [{ id: "a", name: "A", item_brand: "B", category: "X/Y/" }],
+  };
+  assert.deepEqual(autofix.applyFixes(schemaId.Api.GTAG, params), {
+    items: [
+      {
+        item_id: "a",
+        item_name: "A",
+        item_brand: "B",
+        item_category: "X",
+        item_category2: "Y",
+      },
+    ],
+  });
+  assert.deepEqual(
+    autofix.suggestFixes(schemaId.Api.GTAG, params).map((fix) => fix.path),
+    ["$.items[0].id", "$.items[0].name", "$.items[0].category"]
+  );
+});
+
+test("applyFixes: removes category when item_category is set", () => {
+  const params = {
+    event: "view_item",
+    ecommerce: { items: [{ item_id: "a", item_category: "X", category: "Z" }] },
+  };
+  assert.deepEqual(autofix.applyFixes(schemaId.Api.DATA_LAYER, params), {
+    event: "view_item",
+    ecommerce: { items: [{ item_id: "a", item_category: "X" }] },
+  });
+  assert.deepEqual(autofix.suggestFixes(schemaId.Api.DATA_LAYER, params), [
+    {
+      path: "$.ecommerce.items[0].category",
+      description: "Remove category, item_category is already set.",
+    },
+  ]);
+});
+
+test("applyFixes: moves promotions to the items", () => {
+  const params = {
+    items: [{ item_id: "a" }],
+    promotions: [{ id: "P1", name: "Sale", creative: "banner", position: 1 }],
+  };
+  assert.deepEqual(autofix.applyFixes(schemaId.Api.GTAG, params), {
+    items: [
+      { item_id: "a" },
+      {
+        promotion_id: "P1",
+        promotion_name: "Sale",
+        creative_name: "banner",
+        creative_slot: 1,
+      },
+    ],
+  });
+  assert.equal(
+    autofix.suggestFixes(schemaId.Api.GTAG, params).pop().path,
+    "$.promotions"
+  );
+});
+
+test("suggestFixes: nothing to fix in GA4 items", () => {
+  const params = { items: [{ item_id: "a", item_category: "X" }] };
+  assert.deepEqual(autofix.suggestFixes(schemaId.Api.GTAG, params), []);
+  assert.equal(autofix.applyFixes(schemaId.Api.GTAG, params), params);
+});
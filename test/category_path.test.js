@@ -0,0 +1,105 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for converting between UA categories and GA4 category
+ * levels.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import categoryPath from "../category_path.js";
+
+test("LEVEL_FIELDS: lists the GA4 item category parameters", () => {
+  assert.deepEqual(categoryPath.LEVEL_FIELDS, [
+    "item_category",
+    "item_category2",
+    "item_category3",
+    "item_category4",
+    "item_category5",
+  ]);
+});
+
+test("split: puts each level in its own parameter", () => {
+  assert.deepEqual(categoryPath.split("Apparel/Men/Shirts"), {
+    fields: {
+      item_category: "Apparel",
+      item_category2: "Men",
+      item_category3: "Shirts",
+    },
+    depth: 3,
+  });
+  assert.deepEqual(categoryPath.split("Apparel"), {
+    fields: { item_category: "Apparel" },
+    depth: 1,
+  });
+});
+
+test("split: leaves out empty levels", () => {
+  assert.deepEqual(categoryPath.split("/Apparel//Men/ /"), {
+    fields: { item_category: "Apparel", item_category2: "Men" },
+    depth: 2,
+  });
+  assert.deepEqual(categoryPath.split(""), { fields: {}, depth: 0 });
+});
+
+test("split: keeps levels beyond the fifth in the fifth", () => {
+  assert.deepEqual(categoryPath.split("A/B/C/D/E/F/G"), {
+    fields: {
+      item_category: "A",
+      item_category2: "B",
+      item_category3: "C",
+      item_category4: "D",
+      item_category5: "E/F/G",
+    },
+    depth: 7,
+  });
+});
+
+test("split: accepts numeric categories", () => {
+  assert.deepEqual(categoryPath.split(42), {
+    fields: { item_category: "42" },
+    depth: 1,
+  });
+});
+
+test("join: joins the levels that are set", () => {
+  assert.equal(
+    categoryPath.join({
+      item_category: "Apparel",
+      item_category2: "",
+      item_category3: "Shirts",
+      item_category4: null,
+      item_category5: 0,
+    }),
+    "Apparel/Shirts/0"
+  );
+  assert.equal(categoryPath.join({ item_name: "Shirt" }), undefined);
+});
+
+test("join: undoes split", () => {
+  const category = "A/B/C/D/E/F";
+  assert.equal(
+    categoryPath.join(categoryPath.split(category).fields),
+    category
+  );
+});
+
+test("depthWarning: warns about categories GA4 can't hold", () => {
+  assert.equal(categoryPath.depthWarning("A/B/C/D/E", 5), null);
+  assert.equal(
+    categoryPath.depthWarning("A/B/C/D/E/F/G", 7),
+    'category "A/B/C/D/E/F/G" has 7 levels, but GA4 supports 5: levels 5 to ' +
+      "7 are kept together in item_category5."
+  );
+});
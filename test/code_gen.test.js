@@ -0,0 +1,102 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Round-trip tests for code generation: generated code is parsed
+ * back and compared to the input.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import codeGen from "../code_gen.js";
+import objectLiteral from "../object_literal.js";
+
+/** @const {!Object<string, *>} A value with every kind of literal. */
+const VALUE = {
+  event: "purchase",
+  transaction_id: "T_123",
+  value: 25.42,
+  tax: 0,
+  shipping: -1.5e-7,
+  coupon: 'it\'s "free" \\ \n\t ',
+  "non-identifier key": true,
+  "": false,
+  nothing: null,
+  items: [
+    { item_id: "SKU_1", price: 9.99, quantity: 2 },
+    { item_id: "SKU_2", item_name: "Ünïcödé 🛒", quantity: 1 },
+  ],
+  empty: { list: [], object: {} },
+};
+
+for (const format of [codeGen.Format.JS, codeGen.Format.TYPESCRIPT]) {
+  test(`serialize: ${format} parses back to the same value`, () => {
+    assert.deepEqual(
+      objectLiteral.parse(codeGen.serialize(VALUE, format)),
+      VALUE
+    );
+  });
+}
+
+test("serialize: JSON parses back to the same value", () => {
+  assert.deepEqual(
+    JSON.parse(codeGen.serialize(VALUE, codeGen.Format.JSON)),
+    VALUE
+  );
+});
+
+test("serialize: keeps numbers as numbers", () => {
+  assert.equal(
+    codeGen.serialize({ price: 9.99, quantity: 2 }, codeGen.Format.JSON),
+    '{\n  "price": 9.99,\n  "quantity": 2\n}'
+  );
+});
+
+test("serialize: JSON leaves out undefined and writes NaN as null", () => {
+  assert.deepEqual(
+    JSON.parse(
+      codeGen.serialize(
+        { a: undefined, b: NaN, c: [undefined] },
+        codeGen.Format.JSON
+      )
+    ),
+    { b: null, c: [null] }
+  );
+});
+
+test("serialize: keeps expressions as code in JS", () => {
+  const source = "{ ...defaults, items, id: {{Order ID}}, value: total() }";
+  const [value] = objectLiteral.parseArguments(`(${source})`, 1).args;
+  const js = codeGen.serialize(value);
+  assert.equal(
+    js,
+    "{\n  ...defaults,\n  items,\n  id: {{Order ID}},\n  value: total(),\n}"
+  );
+  assert.deepEqual(objectLiteral.parseArguments(`(${js})`, 1).args, [value]);
+});
+
+test("serialize: writes expressions as strings in JSON", () => {
+  const source = "{ ...defaults, items, id: {{Order ID}}, value: total() }";
+  const [value] = objectLiteral.parseArguments(`(${source})`, 1).args;
+  assert.deepEqual(JSON.parse(codeGen.serialize(value, codeGen.Format.JSON)), {
+    "...defaults": "...defaults",
+    items: "items",
+    id: "{{Order ID}}",
+    value: "total()",
+  });
+});
+
+test("quote: escapes quotes, backslashes and line breaks", () => {
+  const value = 'it\'s \\ "x"\r\n ';
+  assert.equal(objectLiteral.parse(codeGen.quote(value)), value);
+});
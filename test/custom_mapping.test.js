@@ -0,0 +1,108 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for mapping UA custom dimensions and metrics to GA4 item
+ * parameters.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import customMapping from "../custom_mapping.js";
+import fixtures from "./fixtures.js";
+
+/** @const {!Object<string, string>} */
+const MAPPING = { dimension5: "item_color", metric2: "item_weight" };
+
+test("parse: reads a mapping and rejects invalid ones", () => {
+  assert.deepEqual(customMapping.parse("  "), {});
+  assert.deepEqual(customMapping.parse(JSON.stringify(MAPPING)), MAPPING);
+  assert.throws(() => customMapping.parse("{"), /^Error: Invalid JSON/);
+  assert.throws(() => customMapping.parse("[]"), /must be an object/);
+  assert.throws(
+    () => customMapping.parse('{"color": "item_color"}'),
+    /color is not a custom dimension or metric/
+  );
+  assert.throws(
+    () => customMapping.parse('{"dimension1": "item color"}'),
+    /dimension1: "item color" is not a valid GA4 parameter name/
+  );
+  assert.throws(
+    () => customMapping.parse(`{"dimension1": "${"a".repeat(41)}"}`),
+    /longer than 40 characters/
+  );
+});
+
+test("applyToEvent: renames the item fields, keeping their order", () => {
+  const ga4Event = {
+    event: "add_to_cart",
+    params: {
+      value: 1,
+      items: [
+        { item_id: "a", dimension5: "blue", metric2: 3, dimension6: "x" },
+      ],
+    },
+  };
+  assert.deepEqual(customMapping.applyToEvent(ga4Event, MAPPING), {
+    event: "add_to_cart",
+    params: {
+      value: 1,
+      items: [
+        { item_id: "a", item_color: "blue", item_weight: 3, dimension6: "x" },
+      ],
+    },
+  });
+  assert.equal(ga4Event.params.items[0].dimension5, "blue");
+  assert.equal(customMapping.applyToEvent(null, MAPPING), null);
+});
+
+test("applyToEvent: leaves items that aren't objects", () => {
+  const ga4Event = {
+    event: "purchase",
+    params: { items: [null, "a", [], { dimension5: "blue" }] },
+  };
+  assert.deepEqual(customMapping.applyToEvent(ga4Event, MAPPING).params.items, [
+    null,
+    "a",
+    [],
+    { item_color: "blue" },
+  ]);
+});
+
+test("applyToHit: maps products, impressions and promotions", () => {
+  const mapped = customMapping.applyToHit(
+    {
+      products: [, { id: "a", dimension5: "blue" }, null],
+      impressions: [
+        ,
+        { name: "Search", impressions: [, { id: "b", metric2: 1 }] },
+        null,
+      ],
+      promos: [, { id: "p", dimension5: "red" }],
+      params: { dimension5: "kept" },
+    },
+    MAPPING
+  );
+  assert.deepEqual(fixtures.asJson(mapped), {
+    products: [null, { id: "a", item_color: "blue" }, null],
+    impressions: [
+      null,
+      { name: "Search", impressions: [null, { id: "b", item_weight: 1 }] },
+      null,
+    ],
+    promos: [null, { id: "p", item_color: "red" }],
+    params: { dimension5: "kept" },
+  });
+  assert.equal(1 in mapped.products, true);
+  assert.equal(0 in mapped.products, false);
+});
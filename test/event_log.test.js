@@ -0,0 +1,96 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for analyzing logs of captured events.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import eventLog from "../event_log.js";
+import schemaId from "../schema_id.js";
+
+test("parseRecords: reads NDJSON", () => {
+  assert.deepEqual(eventLog.parseRecords('{"api":"gtag"}\n\nnull\n'), [
+    { api: "gtag" },
+    null,
+  ]);
+  assert.throws(
+    () => eventLog.parseRecords('{"api":"gtag"}\n{'),
+    /Invalid JSON on line 2/
+  );
+});
+
+test("analyzeRecord: recommends a GA4 command", () => {
+  const analysis = eventLog.analyzeRecord({
+    api: schemaId.Api.DATA_LAYER,
+    params: {
+      event: "addToCart",
+      ecommerce: { add: { products: [{ id: "a" }] } },
+    },
+  });
+  assert.equal(analysis.event, "addToCart");
+  assert.equal(analysis.schema, schemaId.KnownSchema.GTM_UA);
+  assert.equal(analysis.ga4Event.event, "add_to_cart");
+  assert.match(analysis.gtagCommand, /^gtag\('event', 'add_to_cart'/);
+});
+
+test("analyzeRecord: reports malformed records", () => {
+  for (const record of [
+    null,
+    5,
+    [],
+    { api: "gtag", params: "x" },
+    { api: 7, params: {} },
+    { api: "gtag", event: 5, params: {} },
+    { api: "dataLayer", params: { event: ["purchase"] } },
+  ]) {
+    const analysis = eventLog.analyzeRecord(record);
+    assert.equal(analysis.schema, schemaId.KnownSchema.UNKNOWN);
+    assert.match(analysis.error, /^Malformed record/);
+  }
+});
+
+test("analyzeRecord: reports records without an event name", () => {
+  for (const record of [
+    {
+      api: schemaId.Api.DATA_LAYER,
+      params: { ecommerce: { items: [{ item_id: "a" }] } },
+    },
+    { api: schemaId.Api.GTAG, params: { items: [{ item_id: "a" }] } },
+  ]) {
+    const analysis = eventLog.analyzeRecord(record);
+    assert.match(analysis.error, /^No event name/);
+    assert.match(analysis.gtagCommand, /^gtag\('event', 'EVENT_NAME'/);
+  }
+});
+
+test("analyzeRecord: converts analytics.js commands", () => {
+  const analysis = eventLog.analyzeRecord({
+    api: schemaId.Api.ANALYTICS,
+    params: [
+      ["ec:addProduct", { id: "a", price: "9.99" }],
+      ["ec:setAction", "add"],
+    ],
+  });
+  assert.equal(analysis.error, undefined);
+  assert.equal(analysis.schema, schemaId.KnownSchema.ANALYTICS_UA);
+  assert.deepEqual(analysis.ga4Event, {
+    event: "add_to_cart",
+    params: { items: [{ item_id: "a", price: "9.99" }] },
+  });
+  assert.match(
+    eventLog.analyzeRecord({ api: schemaId.Api.ANALYTICS, params: {} }).error,
+    /^Malformed record/
+  );
+});
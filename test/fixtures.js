@@ -0,0 +1,42 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Loads the fixtures in test/fixtures for the tests.
+ */
+import fs from "fs";
+
+/**
+ * @param {string} name The fixture file name, without .json.
+ * @return {!Array<!Object<string, *>>} The fixture cases.
+ */
+function load(name) {
+  return JSON.parse(
+    fs.readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), "utf8")
+  );
+}
+
+/**
+ * Parsers index products from 1, as hits do, leaving a hole at index 0 that
+ * JSON writes as null. Comparing the JSON form of the result to the fixture
+ * compares those holes too.
+ *
+ * @param {*} value
+ * @return {*} The value as it reads back from JSON.
+ */
+function asJson(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+export default { load, asJson };
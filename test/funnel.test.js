@@ -0,0 +1,143 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for analyzing funnels and checking their steps against
+ * each other.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import funnel from "../funnel.js";
+import schemaId from "../schema_id.js";
+
+/**
+ * @param {!schemaId.Api} api
+ * @param {!Array<!Object<string, *>>} steps The funnel input.
+ * @return {!Array<string>} The step and message of each consistency check.
+ */
+function check(api, steps) {
+  return funnel
+    .checkConsistency(funnel.analyzeSteps(api, funnel.parseSteps(api, steps)))
+    .map((check) => `${check.step}: ${check.message}`);
+}
+
+test("parseSteps: rejects malformed funnels", () => {
+  assert.throws(
+    () => funnel.parseSteps(schemaId.Api.GTAG, {}),
+    /must be an array of steps/
+  );
+  assert.throws(
+    () => funnel.parseSteps(schemaId.Api.GTAG, [{ params: {} }]),
+    /Step 1 must have an event name/
+  );
+  assert.throws(
+    () => funnel.parseSteps(schemaId.Api.DATA_LAYER, [{}, null]),
+    /Step 2 must be an object/
+  );
+  assert.throws(
+    () => funnel.parseSteps(schemaId.Api.ANALYTICS, [{}]),
+    /aren't supported/
+  );
+});
+
+test("checkConsistency: accepts a UA purchase with tax and shipping", () => {
+  assert.deepEqual(
+    check(schemaId.Api.DATA_LAYER, [
+      {
+        event: "purchase",
+        ecommerce: {
+          purchase: {
+            actionField: { id: "T1", revenue: "15", tax: "2", shipping: "3" },
+            products: [{ id: "a", price: "5", quantity: 2 }],
+          },
+        },
+      },
+    ]),
+    []
+  );
+});
+
+test("checkConsistency: accepts a value net of discounts", () => {
+  assert.deepEqual(
+    check(schemaId.Api.GTAG, [
+      {
+        event: "add_to_cart",
+        params: {
+          value: 8,
+          items: [{ item_id: "a", price: 5, quantity: 2, discount: 1 }],
+        },
+      },
+    ]),
+    []
+  );
+});
+
+test("checkConsistency: reports values that don't match the items", () => {
+  assert.deepEqual(
+    check(schemaId.Api.GTAG, [
+      {
+        event: "purchase",
+        params: {
+          value: 16,
+          tax: 2,
+          shipping: 3,
+          items: [{ item_id: "a", price: 10 }],
+        },
+      },
+    ]),
+    [
+      "1: The purchase value 16 doesn't match the sum of the item prices " +
+        "times quantities, 10, with or without tax and shipping (5) or " +
+        "discounts (0).",
+    ]
+  );
+});
+
+test("checkConsistency: follows items through the funnel", () => {
+  assert.deepEqual(
+    check(schemaId.Api.GTAG, [
+      {
+        event: "select_item",
+        params: { items: [{ item_id: "a", item_list_name: "Search" }] },
+      },
+      { event: "begin_checkout", params: { items: [{ item_id: "a" }] } },
+      { event: "purchase", params: { items: [{ item_id: "b" }] } },
+    ]),
+    [
+      '2: item_id a has item_list_name "Search" in step 1 but none in ' +
+        "begin_checkout, so the list attribution is lost.",
+      "3: item_id b in purchase isn't in any earlier step, so the item IDs " +
+        "may not be carried through the funnel.",
+      "3: item_id a is in step 2 (begin_checkout) but missing from purchase.",
+    ]
+  );
+});
+
+test("addHit: matches GA4 hits by event and UA hits in order", () => {
+  const steps = funnel.analyzeSteps(schemaId.Api.GTAG, [
+    { event: "add_to_cart", params: { items: [{ item_id: "a" }] } },
+    { event: "purchase", params: { items: [{ item_id: "a" }] } },
+  ]);
+  assert.equal(funnel.addHit(steps, 0, { id: 1 }, "purchase"), 1);
+  assert.equal(funnel.addHit(steps, 0, { id: 2 }, "purchase"), -1);
+  assert.equal(funnel.addHit(steps, 1, { id: 3 }), 0);
+  assert.equal(funnel.addHit(steps, 1, { id: 4 }), 1);
+  assert.deepEqual(
+    steps.map((step) => step.hits),
+    [
+      [null, { id: 3 }, null],
+      [{ id: 1 }, { id: 4 }, null],
+    ]
+  );
+});
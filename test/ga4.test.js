@@ -0,0 +1,39 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for parsing GA4 hits, against captured hit URLs and
+ * bodies.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import ga4 from "../ga4.js";
+import fixtures from "./fixtures.js";
+
+for (const fixture of fixtures.load("ga4_hits")) {
+  test(`parse: ${fixture.description}`, () => {
+    assert.ok(ga4.isGa4Hit(fixture.url));
+    assert.deepEqual(
+      fixtures.asJson(ga4.parse(fixture.url, fixture.body)),
+      fixture.expected
+    );
+  });
+}
+
+test("isGa4Hit: rejects UA hits", () => {
+  assert.equal(
+    ga4.isGa4Hit("https://www.google-analytics.com/collect?v=1&t=pageview"),
+    false
+  );
+});
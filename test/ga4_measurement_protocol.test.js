@@ -0,0 +1,201 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for converting UA measurement protocol hits into GA4
+ * Measurement Protocol requests, validating them and the sample code.
+ */
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { test } from "node:test";
+import ga4MeasurementProtocol from "../ga4_measurement_protocol.js";
+import measurementProtocol from "../measurement_protocol.js";
+
+/**
+ * @param {string} payload The hit payload, e.g. v=1&t=event.
+ * @return {!Object<string, *>} The hit parsed by measurementProtocol.parse.
+ */
+function parseHit(payload) {
+  return measurementProtocol.parse(
+    `https://www.google-analytics.com/collect?${payload}`,
+    ""
+  );
+}
+
+/**
+ * @param {*} payload
+ * @return {!Array<string>} The field path and code of each message.
+ */
+function messages(payload) {
+  return ga4MeasurementProtocol
+    .validate(payload)
+    .validationMessages.map(
+      (message) => `${message.fieldPath} ${message.validationCode}`
+    );
+}
+
+test("fromUaHit: converts a refund with the custom mapping", () => {
+  const payload = ga4MeasurementProtocol.fromUaHit(
+    parseHit("v=1&t=event&cid=1.2&pa=refund&ti=T1&pr1id=a&pr1qt=1&pr1cd5=blue"),
+    { dimension5: "item_color" }
+  );
+  assert.deepEqual(payload, {
+    client_id: "1.2",
+    events: [
+      {
+        name: "refund",
+        params: {
+          transaction_id: "T1",
+          items: [{ item_id: "a", quantity: 1, item_color: "blue" }],
+        },
+      },
+    ],
+  });
+});
+
+test("fromUaHit: converts a checkout option into add_shipping_info", () => {
+  const payload = ga4MeasurementProtocol.fromUaHit(
+    parseHit("v=1&t=event&cid=1.2&pa=checkout&cos=2&col=UPS&pr1id=a&pr1pr=3")
+  );
+  assert.deepEqual(payload.events, [
+    {
+      name: "add_shipping_info",
+      params: { shipping_tier: "UPS", items: [{ item_id: "a", price: 3 }] },
+    },
+  ]);
+});
+
+test("fromUaHit: skips hits without ecommerce data", () => {
+  assert.equal(
+    ga4MeasurementProtocol.fromUaHit(parseHit("v=1&t=pageview&cid=1.2&dp=%2F")),
+    null
+  );
+});
+
+test("validate: accepts a converted hit", () => {
+  const payload = ga4MeasurementProtocol.fromUaHit(
+    parseHit("v=1&t=event&cid=1.2&pa=purchase&ti=T1&tr=3&pr1id=a&pr1pr=3")
+  );
+  assert.deepEqual(messages(payload), []);
+});
+
+test("validate: requires a JSON object with client_id and events", () => {
+  assert.deepEqual(messages([]), [" VALUE_INVALID"]);
+  assert.deepEqual(messages({ events: [] }), [
+    "client_id VALUE_REQUIRED",
+    "events VALUE_REQUIRED",
+  ]);
+  assert.deepEqual(messages({ client_id: 1, events: [{ name: "a" }] }), [
+    "client_id VALUE_INVALID",
+  ]);
+});
+
+test("validate: reports reserved and invalid names", () => {
+  const payload = {
+    client_id: "1",
+    clientId: "1",
+    user_properties: { user_id: { value: "u" }, plan: "gold" },
+    events: [
+      { name: "session_start" },
+      { name: "ga_event" },
+      { name: "2nd", params: { "item-name": "x" } },
+    ],
+  };
+  assert.deepEqual(messages(payload), [
+    "clientId NAME_INVALID",
+    "user_properties.user_id NAME_RESERVED",
+    "user_properties.plan VALUE_INVALID",
+    "events[0].name NAME_RESERVED",
+    "events[1].name NAME_RESERVED",
+    "events[2].name NAME_INVALID",
+    "events[2].params.item-name NAME_INVALID",
+  ]);
+});
+
+test("validate: checks items and parameter values", () => {
+  const payload = {
+    client_id: "1",
+    events: [
+      {
+        name: "purchase",
+        params: {
+          items: [null, { price: 1 }, { item_id: "a" }],
+          coupon: "x".repeat(101),
+          page_title: "x".repeat(101),
+          value: { amount: 1 },
+        },
+      },
+      { name: "refund", params: { items: {} } },
+    ],
+  };
+  assert.deepEqual(messages(payload), [
+    "events[0].params.items[0] VALUE_INVALID",
+    "events[0].params.items[1] VALUE_REQUIRED",
+    "events[0].params.coupon VALUE_OUT_OF_BOUNDS",
+    "events[0].params.value VALUE_INVALID",
+    "events[1].params.items VALUE_INVALID",
+  ]);
+});
+
+test("buildSample: embeds the payload as a Python string literal", (t) => {
+  const payload = {
+    client_id: "1",
+    events: [{ name: "refund", params: { note: 'a """ b \\ c\n' } }],
+  };
+  const sample = ga4MeasurementProtocol.buildSample(
+    payload,
+    ga4MeasurementProtocol.SampleLanguage.PYTHON
+  );
+  const line = sample.split("\n").find((line) => line.startsWith("payload"));
+  let output;
+  try {
+    output = execFileSync(
+      "python3",
+      ["-c", `import json\n${line}\nprint(json.dumps(payload))`],
+      { encoding: "utf8" }
+    );
+  } catch (ex) {
+    if (ex.code === "ENOENT") {
+      t.skip("python3 isn't installed");
+      return;
+    }
+    throw ex;
+  }
+  assert.deepEqual(JSON.parse(output), payload);
+});
+
+test("buildSample: sends the payload to the measurement ID", () => {
+  const payload = { client_id: "1", events: [{ name: "refund" }] };
+  for (const language of Object.values(ga4MeasurementProtocol.SampleLanguage)) {
+    const sample = ga4MeasurementProtocol.buildSample(
+      payload,
+      language,
+      "G-ABC123"
+    );
+    assert.match(sample, /G-ABC123/, language);
+    assert.match(sample, /API_SECRET/, language);
+    assert.match(
+      sample,
+      /"client_id": "1"|client_id: '1'|\\"client_id\\"/,
+      language
+    );
+  }
+  assert.match(
+    ga4MeasurementProtocol.buildSample(
+      payload,
+      ga4MeasurementProtocol.SampleLanguage.NODE
+    ),
+    /measurementId = 'G-XXXXXXXXXX'/
+  );
+});
@@ -0,0 +1,145 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for analyzing Tag Manager container exports and
+ * generating the GA4 tags that mirror their UA tags.
+ */
+import assert from "node:assert/strict";
+import fs from "fs";
+import { test } from "node:test";
+import gtmContainer from "../gtm_container.js";
+
+/** @const {string} The container export fixture. */
+const CONTAINER = fs.readFileSync(
+  new URL("./fixtures/gtm_container.json", import.meta.url),
+  "utf8"
+);
+
+test("parseContainer: rejects what isn't a container export", () => {
+  assert.throws(() => gtmContainer.parseContainer("{"), /^Error: Invalid JSON/);
+  assert.throws(
+    () => gtmContainer.parseContainer('{"exportFormatVersion": 2}'),
+    /containerVersion is missing/
+  );
+  assert.equal(gtmContainer.parseContainer(CONTAINER).containerId, "2");
+});
+
+test("analyzeContainer: finds the UA ecommerce tags and GA4 mirrors", () => {
+  const report = gtmContainer.analyzeContainer(
+    gtmContainer.parseContainer(CONTAINER)
+  );
+  assert.deepEqual(
+    report.uaTags.map((tag) => [
+      tag.name,
+      tag.dataSource,
+      tag.variable,
+      tag.ga4Event,
+      tag.mirroredBy,
+    ]),
+    [
+      ["UA - Add to cart", "dataLayer", undefined, "add_to_cart", undefined],
+      ["UA - Checkout option", "dataLayer", undefined, "{{Event}}", undefined],
+      ["UA - Cart changes", "dataLayer", undefined, "{{Event}}", undefined],
+      ["UA - Purchase", "variable", "Ecommerce", "purchase", "GA4 - Purchase"],
+    ]
+  );
+  assert.deepEqual(report.ga4Tags, [
+    {
+      tagId: "6",
+      name: "GA4 - Purchase",
+      eventName: "purchase",
+      dataSource: "variable",
+      variable: "Ecommerce",
+    },
+  ]);
+});
+
+test("analyzeContainer: reports the triggers that don't tell the event", () => {
+  const [, checkoutOption, cartChanges] = gtmContainer.analyzeContainer(
+    gtmContainer.parseContainer(CONTAINER)
+  ).uaTags;
+  assert.deepEqual(
+    [...checkoutOption.triggers, ...cartChanges.triggers].map((trigger) => [
+      trigger.name,
+      trigger.ga4Event,
+      trigger.unresolved,
+    ]),
+    [
+      [
+        "Event - checkoutOption",
+        null,
+        "fires on checkoutOption, which is sent as add_shipping_info or " +
+          "add_payment_info depending on the checkout step",
+      ],
+      [
+        "Event - cart changes",
+        null,
+        "matches the event name with MATCH_REGEX, not EQUALS",
+      ],
+      ["Click - Remove", null, "is a CLICK trigger, not a custom event one"],
+    ]
+  );
+  assert.equal(cartChanges.warnings.length, 1);
+  assert.match(cartChanges.warnings[0], /"Click - Remove" is a CLICK trigger/);
+});
+
+test("buildGa4Tags: mirrors the UA tags that have no GA4 tag", () => {
+  const containerVersion = gtmContainer.parseContainer(CONTAINER);
+  const { containerVersion: generated } = gtmContainer.buildGa4Tags(
+    containerVersion,
+    gtmContainer.analyzeContainer(containerVersion),
+    "G-ABC123"
+  );
+  assert.deepEqual(
+    generated.tag.map((tag) => [
+      tag.tagId,
+      tag.name,
+      tag.parameter[0].value,
+      tag.firingTriggerId,
+      tag.blockingTriggerId,
+    ]),
+    [
+      ["22", "GA4 Event - add_to_cart", "add_to_cart", ["10"], ["13"]],
+      [
+        "23",
+        "GA4 Event - UA - Checkout option",
+        "{{Event}}",
+        ["11"],
+        undefined,
+      ],
+      [
+        "24",
+        "GA4 Event - UA - Cart changes",
+        "{{Event}}",
+        ["12", "13"],
+        undefined,
+      ],
+    ]
+  );
+  assert.deepEqual(
+    generated.trigger.map((trigger) => trigger.triggerId),
+    ["10", "11", "12", "13"]
+  );
+  assert.deepEqual(generated.variable, [
+    {
+      accountId: "1",
+      containerId: "2",
+      variableId: "25",
+      name: "GA4 Measurement ID",
+      type: "c",
+      parameter: [{ type: "TEMPLATE", key: "value", value: "G-ABC123" }],
+    },
+  ]);
+});
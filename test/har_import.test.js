@@ -0,0 +1,92 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for reading hits from HAR files.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import harImport from "../har_import.js";
+
+/**
+ * @param {!Array<!Object<string, *>>} entries
+ * @return {string} A HAR file with the entries.
+ */
+function har(entries) {
+  return JSON.stringify({ log: { version: "1.2", entries } });
+}
+
+test("extractHits: reads GA4 and UA hits in order", () => {
+  const hits = harImport.extractHits(
+    har([
+      {
+        startedDateTime: "2021-06-01T10:00:02.000Z",
+        request: {
+          url: "https://www.google-analytics.com/collect",
+          postData: { text: "v=1&t=event&pa=purchase&ti=T1" },
+        },
+      },
+      {
+        startedDateTime: "2021-06-01T10:00:01.000Z",
+        request: {
+          url: "https://www.google-analytics.com/g/collect?v=2&en=view_item",
+        },
+      },
+      {
+        startedDateTime: "2021-06-01T10:00:00.000Z",
+        request: { url: "https://example.com/collect?id=1" },
+      },
+    ])
+  );
+  assert.deepEqual(
+    hits.map(({ url, body }) => ({ url, body })),
+    [
+      {
+        url: "https://www.google-analytics.com/g/collect?v=2&en=view_item",
+        body: "",
+      },
+      {
+        url: "https://www.google-analytics.com/collect",
+        body: "v=1&t=event&pa=purchase&ti=T1",
+      },
+    ]
+  );
+});
+
+test("extractHits: decodes base64 bodies as UTF-8", () => {
+  const body = "en=view_item&pr1=idSKU_1~nmCrème brûlée 🍮";
+  const [hit] = harImport.extractHits(
+    har([
+      {
+        startedDateTime: "2021-06-01T10:00:00.000Z",
+        request: {
+          url: "https://www.google-analytics.com/g/collect?v=2",
+          postData: {
+            text: Buffer.from(body, "utf8").toString("base64"),
+            encoding: "base64",
+          },
+        },
+      },
+    ])
+  );
+  assert.equal(hit.body, body);
+});
+
+test("extractHits: rejects files that aren't HAR files", () => {
+  assert.throws(() => harImport.extractHits("{"), /^Error: Invalid HAR file/);
+  assert.throws(
+    () => harImport.extractHits('{"data": []}'),
+    /log.entries is missing/
+  );
+});
@@ -0,0 +1,85 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for comparing the data received by each tag.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import hitCompare from "../hit_compare.js";
+
+const Status = hitCompare.Status;
+
+/**
+ * @param {!Array<*>} values The value of a parameter in each hit.
+ * @return {!hitCompare.Status} The status of the parameter.
+ */
+function paramStatus(values) {
+  const hits = values.map((value) => ({ products: [], params: { value } }));
+  return hitCompare.compare(hits).params[0].status;
+}
+
+test("compare: matches numbers encoded as text", () => {
+  assert.equal(paramStatus([10, "10", "10.0"]), Status.MATCH);
+});
+
+test("compare: reports truncated text", () => {
+  assert.equal(paramStatus(["Summer sale", "Summer"]), Status.TRUNCATED);
+});
+
+test("compare: reports numbers and empty values as mismatches", () => {
+  assert.equal(paramStatus(["100", "10"]), Status.MISMATCH);
+  assert.equal(paramStatus([10, "100"]), Status.MISMATCH);
+  assert.equal(paramStatus(["", "Summer"]), Status.MISMATCH);
+  assert.equal(paramStatus(["Summer", "Winter"]), Status.MISMATCH);
+});
+
+test("compare: reports missing parameters and defaulted quantities", () => {
+  const comparison = hitCompare.compare([
+    { products: [{ item_id: "a", quantity: 1 }], params: { currency: "EUR" } },
+    { products: [{ item_id: "a" }], params: {} },
+  ]);
+  assert.deepEqual(comparison.params, [
+    { field: "currency", values: ["EUR", undefined], status: Status.MISSING },
+  ]);
+  assert.deepEqual(comparison.items[0].fields[1], {
+    field: "quantity",
+    values: [1, undefined],
+    status: Status.DEFAULTED,
+  });
+});
+
+test("compare: aligns items by ID and reports dropped items", () => {
+  const comparison = hitCompare.compare([
+    {
+      products: [{ item_id: "a" }, { item_id: "b", price: 2 }],
+      params: {},
+    },
+    null,
+    { products: [, { item_id: "b", price: "2" }], params: {} },
+  ]);
+  assert.deepEqual(comparison.received, [true, false, true]);
+  assert.deepEqual(
+    comparison.items.map((item) => [item.key, item.fields[0].status]),
+    [
+      ["item_id a", Status.DROPPED],
+      ["item_id b", Status.MATCH],
+    ]
+  );
+  assert.deepEqual(comparison.items[1].fields[1], {
+    field: "price",
+    values: [2, undefined, "2"],
+    status: Status.MATCH,
+  });
+});
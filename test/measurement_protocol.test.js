@@ -0,0 +1,40 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for parsing UA measurement protocol hits, against
+ * captured hit URLs and batch bodies.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import measurementProtocol from "../measurement_protocol.js";
+import fixtures from "./fixtures.js";
+
+for (const fixture of fixtures.load("ua_hits")) {
+  test(`parse: ${fixture.description}`, () => {
+    const parsedHits = measurementProtocol
+      .splitBatch(fixture.url, fixture.body)
+      .map((hit) => measurementProtocol.parse(hit.url, hit.body));
+    assert.deepEqual(fixtures.asJson(parsedHits), fixture.expected);
+  });
+}
+
+test("isUaLegacyHit and isUaGa4Hit: tell the UA tags apart", () => {
+  const legacy = "https://www.google-analytics.com/collect?v=1&el=GTM";
+  const ga4 = "https://www.google-analytics.com/collect?v=1&el=GA4";
+  assert.ok(measurementProtocol.isUaLegacyHit(legacy));
+  assert.ok(!measurementProtocol.isUaGa4Hit(legacy));
+  assert.ok(measurementProtocol.isUaGa4Hit(ga4));
+  assert.ok(!measurementProtocol.isUaLegacyHit(ga4));
+});
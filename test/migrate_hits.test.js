@@ -0,0 +1,85 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for the command line tool that converts UA measurement
+ * protocol hits into GA4 Measurement Protocol requests.
+ */
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+/** @const {string} Path of the command line tool. */
+const CLI = fileURLToPath(new URL("../bin/migrate_hits.js", import.meta.url));
+
+/** @const {string} Path of the hits fixture. */
+const HITS = fileURLToPath(
+  new URL("./fixtures/migrate_hits.txt", import.meta.url)
+);
+
+/**
+ * @param {!Array<string>} args Command line arguments.
+ * @return {{status: number, stdout: string, stderr: string}}
+ */
+function run(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+}
+
+test("migrate_hits: converts ecommerce hits and skips the others", () => {
+  const { status, stdout } = run(["--json", "-", HITS]);
+  assert.equal(status, 0);
+  assert.deepEqual(
+    JSON.parse(stdout).map((result) => [
+      result.source.slice(HITS.length),
+      result.payload.events[0].name,
+      result.validationMessages.length,
+    ]),
+    [
+      [":2", "refund", 0],
+      [":4", "purchase", 0],
+    ]
+  );
+  assert.match(
+    run([HITS]).stdout,
+    /Converted 2 hit\(s\), skipped 1 without ecommerce data\.$/m
+  );
+});
+
+test("migrate_hits: applies the mapping and writes samples", () => {
+  const mapping = fileURLToPath(
+    new URL("./fixtures/migrate_hits_mapping.json", import.meta.url)
+  );
+  const { status, stdout } = run([
+    "--sample",
+    "curl",
+    "--mapping",
+    mapping,
+    HITS,
+  ]);
+  assert.equal(status, 0);
+  assert.match(stdout, /"item_color": "blue"/);
+  assert.match(stdout, /^curl -X POST/m);
+});
+
+test("migrate_hits: reports missing files and bad arguments", () => {
+  const missing = run(["missing_hits.txt"]);
+  assert.equal(missing.status, 2);
+  assert.match(missing.stderr, /^missing_hits\.txt: ENOENT/);
+  assert.equal(missing.stdout, "");
+
+  const badSample = run(["--sample", "ruby", HITS]);
+  assert.equal(badSample.status, 2);
+  assert.match(badSample.stderr, /^Usage:/);
+});
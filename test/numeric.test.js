@@ -0,0 +1,113 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for parsing and checking numeric and currency fields.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import numeric from "../numeric.js";
+
+const { NumberFormat } = numeric;
+
+test("parseNumber: reads plain numbers", () => {
+  assert.deepEqual(numeric.parseNumber(12.5), {
+    number: 12.5,
+    format: NumberFormat.PLAIN,
+  });
+  assert.deepEqual(numeric.parseNumber(" 1234.5 "), {
+    number: 1234.5,
+    format: NumberFormat.PLAIN,
+  });
+  assert.equal(numeric.parseNumber("-.5").number, -0.5);
+  assert.equal(numeric.parseNumber("1e3").number, 1000);
+});
+
+test("parseNumber: reads locale formats", () => {
+  assert.deepEqual(numeric.parseNumber("1,234.56"), {
+    number: 1234.56,
+    format: NumberFormat.THOUSANDS_COMMA,
+  });
+  assert.deepEqual(numeric.parseNumber("12,50"), {
+    number: 12.5,
+    format: NumberFormat.DECIMAL_COMMA,
+  });
+  assert.deepEqual(numeric.parseNumber("1.234,56"), {
+    number: 1234.56,
+    format: NumberFormat.DECIMAL_COMMA,
+  });
+});
+
+test("parseNumber: rejects values that aren't finite numbers", () => {
+  for (const value of [
+    "",
+    "abc",
+    "12 USD",
+    "1,23,4",
+    "1.234.5",
+    "1e999",
+    NaN,
+    Infinity,
+    null,
+    undefined,
+    true,
+    [1],
+  ]) {
+    assert.equal(numeric.parseNumber(value), null, String(value));
+  }
+});
+
+test("toNumber: returns NaN for values that aren't numeric", () => {
+  assert.equal(numeric.toNumber("9,99"), 9.99);
+  assert.ok(isNaN(numeric.toNumber("free")));
+});
+
+test("isCurrencyCode: accepts active uppercase ISO 4217 codes", () => {
+  assert.ok(numeric.isCurrencyCode("USD"));
+  assert.ok(numeric.isCurrencyCode("XAU"));
+  assert.equal(numeric.isCurrencyCode("usd"), false);
+  assert.equal(numeric.isCurrencyCode("US$"), false);
+  assert.equal(numeric.isCurrencyCode("DEM"), false);
+  assert.equal(numeric.isCurrencyCode(undefined), false);
+});
+
+test("itemsTotal: adds up prices and discounts times quantities", () => {
+  assert.deepEqual(
+    numeric.itemsTotal([
+      { price: "10", quantity: 2, discount: 1 },
+      undefined,
+      null,
+      { price: "2,50" },
+    ]),
+    { total: 22.5, discount: 2 }
+  );
+  assert.deepEqual(numeric.itemsTotal([]), { total: 0, discount: 0 });
+  assert.ok(isNaN(numeric.itemsTotal([{ price: "ten" }]).total));
+  assert.ok(isNaN(numeric.itemsTotal([{ price: 1, quantity: "x" }]).total));
+});
+
+test("matchesTotal: allows for rounding", () => {
+  assert.ok(numeric.matchesTotal(10, 10.01));
+  assert.ok(numeric.matchesTotal(10, 9.99));
+  assert.equal(numeric.matchesTotal(10, 10.02), false);
+  assert.equal(numeric.matchesTotal(10, NaN), false);
+});
+
+test("matchesItemsTotal: accepts tax and shipping or discounts", () => {
+  const totals = { total: 20, discount: 2 };
+  assert.ok(numeric.matchesItemsTotal(20, totals, 5));
+  assert.ok(numeric.matchesItemsTotal(25, totals, 5));
+  assert.ok(numeric.matchesItemsTotal(18, totals, 5));
+  assert.equal(numeric.matchesItemsTotal(23, totals, 5), false);
+});
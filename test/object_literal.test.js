@@ -0,0 +1,48 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for parsing JavaScript object literals.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import objectLiteral from "../object_literal.js";
+
+test("parse: accepts JavaScript syntax", () => {
+  assert.deepEqual(
+    objectLiteral.parse(
+      "{ event: 'purchase', /* id */ id: \"T1\", value: .5, items: [1, 2,], }"
+    ),
+    { event: "purchase", id: "T1", value: 0.5, items: [1, 2] }
+  );
+});
+
+test("parse: keeps __proto__ as an own property", () => {
+  const parsed = objectLiteral.parse("{__proto__: {items: [1]}}");
+  assert.deepEqual(Object.keys(parsed), ["__proto__"]);
+  assert.equal(Object.getPrototypeOf(parsed), Object.prototype);
+  assert.equal(parsed.items, undefined);
+  assert.deepEqual(
+    parsed,
+    JSON.parse('{"__proto__": {"items": [1]}}'),
+    "same as JSON.parse"
+  );
+});
+
+test("parse: reads signed hexadecimal numbers", () => {
+  assert.deepEqual(
+    objectLiteral.parse("[0x10, -0x10, +0x10, -1.5e1]"),
+    [16, -16, 16, -15]
+  );
+});
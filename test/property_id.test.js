@@ -0,0 +1,60 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for validating GA4 measurement IDs and UA property IDs.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import propertyId from "../property_id.js";
+
+test("validateGa4Id: accepts measurement IDs and empty input", () => {
+  for (const id of ["G-ABC123DEF4", " G-ABC123 ", "", "  "]) {
+    assert.equal(propertyId.validateGa4Id(id), null, id);
+  }
+});
+
+test("validateGa4Id: reports UA and invalid IDs", () => {
+  assert.equal(
+    propertyId.validateGa4Id(" UA-12345-6"),
+    "UA-12345-6 is a Universal Analytics property ID, not a GA4 measurement ID."
+  );
+  for (const id of ["g-abc123", "G-", "GA-123", "AW-123"]) {
+    assert.match(
+      propertyId.validateGa4Id(id),
+      /is not a valid GA4 measurement ID/,
+      id
+    );
+  }
+});
+
+test("validateUaId: accepts property IDs and empty input", () => {
+  for (const id of ["UA-12345-6", "UA-1-2 ", ""]) {
+    assert.equal(propertyId.validateUaId(id), null, id);
+  }
+});
+
+test("validateUaId: reports GA4 and invalid IDs", () => {
+  assert.equal(
+    propertyId.validateUaId("G-ABC123"),
+    "G-ABC123 is a GA4 measurement ID, not a Universal Analytics property ID."
+  );
+  for (const id of ["UA-12345", "ua-12345-6", "12345-6", "UA-1-2-3"]) {
+    assert.match(
+      propertyId.validateUaId(id),
+      /is not a valid Universal Analytics property ID/,
+      id
+    );
+  }
+});
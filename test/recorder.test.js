@@ -0,0 +1,184 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for recording the ecommerce events of a page.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import recorder from "../recorder.js";
+
+/**
+ * The parts of a DOM element that the recorder panel uses.
+ */
+class FakeElement {
+  constructor() {
+    this.style = {};
+    this.children = [];
+    this.textContent = "";
+    this.removed = false;
+  }
+  append(...children) {
+    this.children.push(...children);
+  }
+  appendChild(child) {
+    this.children.push(child);
+  }
+  addEventListener() {}
+  querySelector() {
+    return this.children[0];
+  }
+  remove() {
+    this.removed = true;
+  }
+}
+
+globalThis.window = globalThis;
+globalThis.location = {
+  href: "https://shop.example/cart",
+  hostname: "shop.example",
+};
+globalThis.document = {
+  body: new FakeElement(),
+  createElement: () => new FakeElement(),
+};
+
+/**
+ * @param {string} log
+ * @return {!Array<!Object<string, *>>} The records of an event log, without
+ *     the time.
+ */
+function parseLog(log) {
+  return log
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const { time, ...record } = JSON.parse(line);
+      assert.ok(!isNaN(Date.parse(time)));
+      return record;
+    });
+}
+
+test("install: records ecommerce data layer updates, old and new", () => {
+  window.dataLayer = [
+    { event: "gtm.js" },
+    { event: "view_item", ecommerce: { items: [{ item_id: "A" }] } },
+  ];
+  recorder.install();
+  dataLayer.push({ ecommerce: null });
+  dataLayer.push(
+    { event: "purchase", ecommerce: { purchase: { products: [{ id: "B" }] } } },
+    { event: "scroll" }
+  );
+  const records = recorder.uninstall();
+
+  assert.deepEqual(
+    records.map(({ api, event, schema }) => ({ api, event, schema })),
+    [
+      { api: "dataLayer", event: "view_item", schema: "ga4-gtm" },
+      { api: "dataLayer", event: "purchase", schema: "ua-gtm" },
+    ]
+  );
+  assert.equal(dataLayer.length, 5);
+  assert.equal(dataLayer.push, Array.prototype.push);
+  assert.equal(recorder.getLog(), "");
+  delete window.dataLayer;
+});
+
+test("getLog: returns the recorded events as an event log", () => {
+  window.dataLayer = [];
+  recorder.install();
+  dataLayer.push({
+    event: "add",
+    ecommerce: { add: { products: [{ id: "A" }] } },
+    eventCallback: () => {},
+    eventTimeout: 2000,
+  });
+  assert.deepEqual(parseLog(recorder.getLog()), [
+    {
+      api: "dataLayer",
+      event: "add",
+      params: {
+        event: "add",
+        ecommerce: { add: { products: [{ id: "A" }] } },
+        eventTimeout: 2000,
+      },
+      schema: "ua-gtm",
+      page: "https://shop.example/cart",
+    },
+  ]);
+  recorder.uninstall();
+  delete window.dataLayer;
+});
+
+test("install: records gtag events with ecommerce data once", () => {
+  window.dataLayer = [];
+  window.gtag = function () {
+    dataLayer.push(arguments);
+  };
+  const originalGtag = window.gtag;
+  recorder.install();
+  gtag("event", "page_view", { page_title: "Cart" });
+  gtag("event", "purchase", {
+    transaction_id: "T1",
+    items: [{ item_id: "A", price: 1 }],
+  });
+  gtag("config", "G-ABC");
+  assert.deepEqual(
+    parseLog(recorder.getLog()).map(({ api, event, schema }) => ({
+      api,
+      event,
+      schema,
+    })),
+    [{ api: "gtag", event: "purchase", schema: "ga4-gtag" }]
+  );
+  assert.equal(dataLayer.length, 3);
+  recorder.uninstall();
+  assert.equal(window.gtag, originalGtag);
+  delete window.gtag;
+  delete window.dataLayer;
+});
+
+test("install: records gtag calls already in the data layer", () => {
+  window.dataLayer = [];
+  (function () {
+    dataLayer.push(arguments);
+  })("event", "add_to_cart", { items: [{ id: "A", name: "Shoe" }] });
+  recorder.install();
+  assert.deepEqual(
+    recorder.uninstall().map(({ api, event, schema }) => ({
+      api,
+      event,
+      schema,
+    })),
+    [{ api: "gtag", event: "add_to_cart", schema: "ua-gtag" }]
+  );
+  delete window.dataLayer;
+});
+
+test("uninstall: keeps a data layer push replaced since installing", () => {
+  window.dataLayer = [];
+  recorder.install();
+  const wrappedPush = dataLayer.push;
+  const tagManagerPush = function (...entries) {
+    return wrappedPush.apply(this, entries);
+  };
+  dataLayer.push = tagManagerPush;
+  dataLayer.push({ event: "refund", ecommerce: { transaction_id: "T1" } });
+  assert.equal(recorder.uninstall().length, 1);
+  assert.equal(dataLayer.push, tagManagerPush);
+  assert.equal(recorder.getLog(), "");
+  assert.deepEqual(recorder.uninstall(), []);
+  delete window.dataLayer;
+});
@@ -0,0 +1,102 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for converting UA ecommerce input to GA4 events.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import schemaConvert from "../schema_convert.js";
+import schemaId from "../schema_id.js";
+
+/**
+ * @param {!schemaId.Api} api
+ * @param {string} eventName
+ * @param {!Object<string, *>} paramsObject
+ * @return {?schemaConvert.Ga4Event}
+ */
+function convert(api, eventName, paramsObject) {
+  return schemaConvert.convertToGa4(
+    api,
+    eventName,
+    paramsObject,
+    schemaId.identifySchema(api, paramsObject)
+  );
+}
+
+test("convertToGa4: skips products and promotions that aren't objects", () => {
+  assert.deepEqual(
+    convert(schemaId.Api.DATA_LAYER, "", {
+      ecommerce: {
+        add: { products: [null, { id: "a", category: "A/B" }, "b"] },
+      },
+    }),
+    {
+      event: "add_to_cart",
+      params: {
+        items: [{ item_id: "a", item_category: "A", item_category2: "B" }],
+      },
+    }
+  );
+  assert.deepEqual(
+    convert(schemaId.Api.GTAG, "select_content", {
+      items: [{ id: "a" }],
+      promotions: [null],
+    }),
+    { event: "select_item", params: { items: [{ item_id: "a" }] } }
+  );
+});
+
+test("convertToGa4: ignores lists that aren't arrays", () => {
+  assert.deepEqual(
+    convert(schemaId.Api.DATA_LAYER, "", {
+      ecommerce: { impressions: "SKU_1" },
+    }),
+    { event: "view_item_list", params: {} }
+  );
+  assert.deepEqual(
+    convert(schemaId.Api.DATA_LAYER, "", {
+      ecommerce: { promoClick: { promotions: { id: "a" } } },
+    }),
+    { event: "select_promotion", params: {} }
+  );
+});
+
+test("convertToGa4: converts checkoutStep like checkout", () => {
+  assert.deepEqual(
+    convert(schemaId.Api.DATA_LAYER, "", {
+      ecommerce: {
+        checkoutStep: {
+          actionField: { step: 3, option: "Visa" },
+          products: [{ id: "a" }],
+        },
+      },
+    }),
+    {
+      event: "add_payment_info",
+      params: { payment_type: "Visa", items: [{ item_id: "a" }] },
+    }
+  );
+});
+
+test("toParsedHitData: indexes products from 1", () => {
+  const parsedHitData = schemaConvert.toParsedHitData({
+    event: "purchase",
+    params: { value: 1, items: [{ item_id: "a" }] },
+  });
+  assert.deepEqual(parsedHitData.params, { value: 1 });
+  assert.equal(parsedHitData.products.length, 2);
+  assert.ok(!(0 in parsedHitData.products));
+  assert.deepEqual(parsedHitData.products[1], { item_id: "a" });
+});
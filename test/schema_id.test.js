@@ -0,0 +1,44 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for schema identification, against real-world data layer
+ * updates, gtag parameters and analytics.js commands.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import schemaId from "../schema_id.js";
+import fixtures from "./fixtures.js";
+
+for (const fixture of fixtures.load("schemas")) {
+  test(`identifySchema: ${fixture.description}`, () => {
+    assert.equal(
+      schemaId.identifySchema(fixture.api, fixture.input),
+      fixture.expected
+    );
+  });
+}
+
+test("classifyItems: classifies each item", () => {
+  assert.deepEqual(
+    schemaId.classifyItems([{ item_id: "a" }, { id: "b" }, {}, null]),
+    [
+      schemaId.KnownSchema.UNIFIED,
+      schemaId.KnownSchema.GTAG_UA,
+      schemaId.KnownSchema.UNKNOWN_GTAG,
+      schemaId.KnownSchema.UNKNOWN_GTAG,
+    ]
+  );
+  assert.deepEqual(schemaId.classifyItems("SKU_1"), []);
+});
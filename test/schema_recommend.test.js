@@ -0,0 +1,53 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for the recommended GA4 gtag commands.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import codeGen from "../code_gen.js";
+import schemaRecommend from "../schema_recommend.js";
+import fixtures from "./fixtures.js";
+
+for (const fixture of fixtures.load("gtag_commands")) {
+  test(`buildGa4GtagCommand: ${fixture.description} (${fixture.format})`, () => {
+    assert.equal(
+      schemaRecommend.buildGa4GtagCommand(
+        fixture.parsedHitData,
+        fixture.format
+      ),
+      fixture.expected
+    );
+  });
+}
+
+test("buildGa4DataLayerPush and buildGtmSetup: name nameless events", () => {
+  const parsedHitData = { params: { value: "1" }, products: [] };
+  assert.match(
+    schemaRecommend.buildGa4DataLayerPush(
+      parsedHitData,
+      codeGen.Format.TYPESCRIPT
+    ),
+    /^dataLayer\.push\(\{ event: 'EVENT_NAME', ecommerce \}\);$/m
+  );
+  assert.equal(
+    schemaRecommend.buildGa4GtagCommand(parsedHitData),
+    "gtag('event', 'EVENT_NAME', {\n  value: 1,\n});"
+  );
+  assert.equal(
+    schemaRecommend.buildGtmSetup(parsedHitData)[0].name,
+    "Custom Event - EVENT_NAME"
+  );
+});
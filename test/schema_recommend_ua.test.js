@@ -0,0 +1,88 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for the UA code equivalent to GA4 events.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import schemaRecommendUa from "../schema_recommend_ua.js";
+
+/** @const {!Object<string, *>} A GA4 add_to_cart event, as parsed hit data. */
+const ADD_TO_CART = {
+  event: "add_to_cart",
+  params: { currency: "USD" },
+  products: [
+    ,
+    {
+      item_id: "SKU_1",
+      item_category: "Apparel",
+      item_category2: "Shirts",
+      item_color: "blue",
+      price: "9.99",
+    },
+  ],
+};
+
+/** @const {!Object<string, string>} */
+const MAPPING = { dimension5: "item_color" };
+
+test("buildUaDataLayerUpdate: maps custom item parameters back", () => {
+  assert.deepEqual(
+    schemaRecommendUa.buildUaDataLayerUpdate(ADD_TO_CART, MAPPING),
+    {
+      event: "add_to_cart",
+      ecommerce: {
+        currencyCode: "USD",
+        add: {
+          products: [
+            {
+              id: "SKU_1",
+              price: 9.99,
+              category: "Apparel/Shirts",
+              dimension5: "blue",
+            },
+          ],
+        },
+      },
+    }
+  );
+});
+
+test("buildUaGtagEvent: maps custom item parameters back", () => {
+  assert.deepEqual(schemaRecommendUa.buildUaGtagEvent(ADD_TO_CART, MAPPING), {
+    event: "add_to_cart",
+    params: {
+      currency: "USD",
+      items: [
+        {
+          id: "SKU_1",
+          price: 9.99,
+          category: "Apparel/Shirts",
+          dimension5: "blue",
+        },
+      ],
+    },
+  });
+  assert.match(
+    schemaRecommendUa.buildUaGtagCommand(ADD_TO_CART, "js", MAPPING),
+    /dimension5: 'blue'/
+  );
+});
+
+test("buildUaGtagEvent: leaves out unmapped custom item parameters", () => {
+  const { params } = schemaRecommendUa.buildUaGtagEvent(ADD_TO_CART);
+  assert.equal(params.items[0].item_color, undefined);
+  assert.equal(params.items[0].dimension5, undefined);
+});
@@ -0,0 +1,127 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for validating ecommerce input.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import schemaId from "../schema_id.js";
+import schemaValidate from "../schema_validate.js";
+
+/**
+ * @param {!schemaId.Api} api
+ * @param {string} eventName
+ * @param {!Object<string, *>} params
+ * @return {!Array<string>} The diagnostics, as "severity path: message".
+ */
+function validate(api, eventName, params) {
+  return schemaValidate
+    .validate(api, eventName, params, schemaId.identifySchema(api, params))
+    .map(({ severity, path, message }) => `${severity} ${path}: ${message}`);
+}
+
+test("validate: reports items that aren't objects", () => {
+  assert.deepEqual(
+    validate(schemaId.Api.GTAG, "view_item", {
+      items: [{ item_id: "a" }, null],
+    }),
+    ["error $.items[1]: Items must be objects."]
+  );
+});
+
+test("validate: reports promotions that aren't objects or arrays", () => {
+  assert.deepEqual(
+    validate(schemaId.Api.DATA_LAYER, "", {
+      ecommerce: { promoClick: { promotions: [null, { id: "a" }] } },
+    }),
+    ["error $.ecommerce.promoClick.promotions[0]: Promotions must be objects."]
+  );
+  assert.deepEqual(
+    validate(schemaId.Api.GTAG, "select_content", {
+      items: [{ id: "a" }],
+      promotions: "x",
+    }),
+    ["error $.promotions: promotions must be an array."]
+  );
+  assert.deepEqual(
+    validate(schemaId.Api.GTAG, "select_content", {
+      items: [{ id: "a" }],
+      promotions: [null],
+    }),
+    ["error $.promotions[0]: Promotions must be objects."]
+  );
+});
+
+test("validate: accepts numeric strings in UA data but not in GA4 data", () => {
+  assert.deepEqual(
+    validate(schemaId.Api.DATA_LAYER, "purchase", {
+      event: "purchase",
+      ecommerce: {
+        currencyCode: "EUR",
+        purchase: {
+          actionField: { id: "T1", revenue: "35.43", tax: "4.90" },
+          products: [{ id: "a", price: "15.25", quantity: "1.5" }],
+        },
+      },
+    }),
+    [
+      "error $.ecommerce.purchase.products[0].quantity: quantity must be an integer.",
+    ]
+  );
+  assert.deepEqual(
+    validate(schemaId.Api.GTAG, "purchase", {
+      transaction_id: "T1",
+      value: "15.25",
+      items: [{ id: "a", price: "15.25" }],
+    }),
+    []
+  );
+  assert.deepEqual(
+    validate(schemaId.Api.GTAG, "add_to_cart", {
+      currency: "EUR",
+      value: "15.25",
+      items: [{ item_id: "a", price: 15.25 }],
+    }),
+    ['warning $.value: Should be a number, not the string "15.25".']
+  );
+});
+
+test("validate: checks checkoutStep products", () => {
+  assert.deepEqual(
+    validate(schemaId.Api.DATA_LAYER, "checkout", {
+      event: "checkout",
+      ecommerce: { checkoutStep: { actionField: { step: 2 }, products: [{}] } },
+    }),
+    [
+      "error $.ecommerce.checkoutStep.products[0]: Products must have an id " +
+        "or a name.",
+    ]
+  );
+});
+
+test("validate: reports analytics.js problems at the commands", () => {
+  assert.deepEqual(
+    validate(schemaId.Api.ANALYTICS, undefined, [
+      ["set", "currencyCode", "EUR"],
+      ["ec:addProduct", { id: "a", price: "9,99" }],
+      ["ec:setAction", "purchase"],
+    ]),
+    [
+      "error $[2]: actionField.id (the transaction ID) is required for " +
+        "purchase.",
+      'error $[1][1].price: Must be a number, found "9,99".',
+    ]
+  );
+});
@@ -0,0 +1,119 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for saving and restoring analysis sessions.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import session from "../session.js";
+
+/** @const {!Object<string, *>} */
+const SESSION = {
+  version: session.VERSION,
+  api: "gtag",
+  mode: "ua",
+  event: "purchase",
+  params: "{transaction_id: 'T1'}",
+  ga4Property: "G-ABC",
+  uaProperty: "UA-1-1",
+  mapping: "",
+  funnel: "",
+  hits: [
+    {
+      url: "https://www.google-analytics.com/g/collect?v=2&en=purchase",
+      body: "",
+      transport: "beacon",
+      time: "2021-06-01T10:00:00.000Z",
+    },
+  ],
+};
+
+test("validate: fills in missing optional fields", () => {
+  assert.deepEqual(
+    session.validate({
+      version: session.VERSION,
+      api: "gtag",
+      hits: [{ url: "https://www.google-analytics.com/collect" }],
+    }),
+    {
+      version: session.VERSION,
+      api: "gtag",
+      mode: "",
+      event: "",
+      params: "",
+      ga4Property: "",
+      uaProperty: "",
+      mapping: "",
+      funnel: "",
+      hits: [
+        {
+          url: "https://www.google-analytics.com/collect",
+          body: "",
+          transport: "",
+          time: "",
+        },
+      ],
+    }
+  );
+});
+
+test("validate: rejects values that aren't sessions", () => {
+  assert.throws(() => session.validate([]), /must be a JSON object/);
+  assert.throws(() => session.validate(null), /must be a JSON object/);
+  assert.throws(
+    () => session.validate({ version: 2 }),
+    /Unsupported session version 2/
+  );
+  assert.throws(
+    () => session.validate({ version: session.VERSION, params: {} }),
+    /The session params must be a string/
+  );
+  assert.throws(
+    () => session.validate({ version: session.VERSION, hits: {} }),
+    /The session hits must be an array/
+  );
+  assert.throws(
+    () => session.validate({ version: session.VERSION, hits: [{}, null] }),
+    /Hit 1 of the session has no URL/
+  );
+});
+
+test("toJson and fromJson: round trip", () => {
+  assert.deepEqual(session.fromJson(session.toJson(SESSION)), SESSION);
+});
+
+test("fromJson: reports invalid JSON", () => {
+  assert.throws(() => session.fromJson("{"), /^Error: Invalid session file/);
+});
+
+test("toFragment and fromFragment: round trip", async () => {
+  const fragment = await session.toFragment(SESSION);
+  assert.ok(session.isSessionFragment(fragment));
+  assert.match(fragment, /^#session=[\w-]+$/);
+  assert.deepEqual(await session.fromFragment(fragment), SESSION);
+});
+
+test("isSessionFragment: ignores other fragments", () => {
+  assert.equal(session.isSessionFragment(""), false);
+  assert.equal(session.isSessionFragment("#results"), false);
+});
+
+test("fromFragment: reports a link that was cut short", async () => {
+  const fragment = await session.toFragment(SESSION);
+  await assert.rejects(
+    session.fromFragment(fragment.substring(0, fragment.length - 10)),
+    /The session link is damaged/
+  );
+});
@@ -0,0 +1,102 @@
+// Copyright 2021 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     https://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for scanning and rewriting ecommerce calls in source
+ * code.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import sourceScan from "../source_scan.js";
+
+test("scanSource: rewrites UA calls into GA4 calls", () => {
+  const text =
+    "gtag('event', 'add_to_cart', { items: [{ id: 'a', price: '9.99' }] });\n";
+  const results = sourceScan.scanSource(text);
+  assert.equal(results.length, 1);
+  assert.equal(results[0].schema, "ua-gtag");
+  assert.equal(
+    sourceScan.applyRewrites(text, results),
+    "gtag('event', 'add_to_cart', {\n" +
+      "  items: [\n" +
+      "    {\n" +
+      "      item_id: 'a',\n" +
+      "      price: 9.99,\n" +
+      "    },\n" +
+      "  ],\n" +
+      "});\n"
+  );
+});
+
+test("scanSource: doesn't rewrite lists that aren't literals", () => {
+  for (const ecommerce of [
+    "{ add: { products: [product, { id: 'b' }] } }",
+    "{ add: { products: cartProducts } }",
+    "{ purchase: { actionField: order, products: [{ id: 'a' }] } }",
+    "{ promoClick: { promotions: [promo] } }",
+  ]) {
+    const text = `dataLayer.push({ event: 'x', ecommerce: ${ecommerce} });`;
+    const [result] = sourceScan.scanSource(text);
+    assert.equal(result.schema, "ua-gtm", ecommerce);
+    assert.equal(result.rewrite, null, ecommerce);
+    assert.match(result.notes[0], /^Not rewritten/, ecommerce);
+    assert.equal(sourceScan.applyRewrites(text, [result]), text);
+  }
+});
+
+test("scanSource: keeps placeholders in rewritten calls", () => {
+  const text =
+    "dataLayer.push({ event: 'addToCart', ecommerce: { add: " +
+    "{ products: [{ id: {{Product ID}} }] } } });";
+  const [result] = sourceScan.scanSource(text);
+  assert.match(result.rewrite.code, /item_id: \{\{Product ID\}\}/);
+});
+
+test("scanSource: skips calls in comments and strings", () => {
+  const call =
+    "dataLayer.push({ event: 'addToCart', ecommerce: { add: " +
+    "{ products: [{ id: 'a' }] } } })";
+  const text = [
+    `const help = "Call ${call.replace(/'/g, "\\'")} to track it.";`,
+    `const example = '${call.replace(/'/g, "\\'")}';`,
+    `// ${call};`,
+    `/* ${call}; */`,
+    `<!-- ${call}; -->`,
+    `const code = \`${call}\`;`,
+    `<a href="https://example.com/" onclick="${call}">`,
+    `<button onclick='${call.replace(/'/g, '"')}'>Add</button>`,
+  ].join("\n");
+  assert.deepEqual(
+    sourceScan.scanSource(text).map((result) => result.line),
+    [7, 8]
+  );
+});
+
+test("formatDiff: merges rewrites on the same or adjacent lines", () => {
+  const text =
+    "gtag('event', 'view_item', { items: [{ id: 'a' }] }); " +
+    "gtag('event', 'view_item', { items: [{ id: 'b' }] });\n" +
+    "gtag('event', 'view_item', { items: [{ id: 'c' }] });\n" +
+    "\n" +
+    "gtag('event', 'view_item', { items: [{ id: 'd' }] });\n";
+  const diff = sourceScan.formatDiff("a.js", text, sourceScan.scanSource(text));
+  assert.deepEqual(
+    diff.split("\n").filter((line) => line.startsWith("@@")),
+    ["@@ -1,2 +1,20 @@", "@@ -4,1 +22,7 @@"]
+  );
+  assert.equal(
+    diff.split("\n").filter((line) => /^-[^-]/.test(line)).length,
+    3
+  );
+});